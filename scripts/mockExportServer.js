@@ -0,0 +1,61 @@
+import { createServer } from "node:http";
+
+import { EXPORT_PDF_PATH } from "../src/api/exportApi.js";
+import { validateExportPayloadV2 } from "../src/api/exportPayload.js";
+
+/**
+ * Local stand-in for the export backend, used by tests to check the v2
+ * contract end to end. Accepts POST /v2/export/pdf, validates the body and
+ * answers with a tiny PDF, or 400 { error, errors } when the payload is off.
+ *
+ * Resolves to { url, received, close() }; `received` holds every valid
+ * payload in arrival order.
+ */
+export function startMockExportServer() {
+  const received = [];
+
+  const server = createServer((req, res) => {
+    const reply = (status, body, type = "application/json") => {
+      res.writeHead(status, { "Content-Type": type });
+      res.end(type === "application/json" ? JSON.stringify(body) : body);
+    };
+
+    if (req.method !== "POST" || req.url !== EXPORT_PDF_PATH) {
+      reply(404, { error: `No route for ${req.method} ${req.url}` });
+      return;
+    }
+
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      let payload;
+      try {
+        payload = JSON.parse(raw);
+      } catch {
+        reply(400, { error: "Body is not valid JSON", errors: [] });
+        return;
+      }
+
+      const errors = validateExportPayloadV2(payload);
+      if (errors.length) {
+        reply(400, { error: "Invalid export payload", errors });
+        return;
+      }
+
+      received.push(payload);
+      reply(200, "%PDF-1.4\n%%EOF\n", "application/pdf");
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        received,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
@@ -1,22 +1,97 @@
-import { useEffect, useMemo, useState } from "react";
+import { Fragment, useEffect, useMemo, useState } from "react";
 import "./App.css";
 import logo from "./assets/logo.png";
+import PayoffChart from "./PayoffChart.jsx";
+import { buildPlanReportPdf } from "./pdf/report.js";
+import { buildSurvivalPlanPdf } from "./pdf/survivalReport.js";
+import { buildExportPayloadV2 } from "./api/exportPayload.js";
+import { requestServerPdf } from "./api/exportApi.js";
+import { PLAN_SCHEMA_VERSION, parsePlanFile, pickPlan, serializePlan } from "./plan/planFile.js";
+import { compareScenarios } from "./plan/scenarios.js";
+import { BACKUP_KEY, STORAGE_KEY, readStoredState, toStoredState } from "./plan/storage.js";
+import { HARDSHIP_RATE, buildSurvivalPlan, survivalSteps } from "./plan/survival.js";
+import {
+  month1Minimum,
+  orderDebtsByPriority,
+  planPaymentFn,
+  planSimulationOptions,
+  planStartMonthOf,
+  rateScheduleOf,
+  simulatePlan,
+  toEngineDebts,
+  toEngineWindfalls,
+} from "./plan/simulatePlan.js";
+import {
+  clampNumber,
+  round2,
+  FREQUENCIES,
+  monthlyAmount,
+  monthlyTotal,
+  FEE_KINDS,
+  MIN_PAYMENT_PRESETS,
+  getMinPaymentPreset,
+  estimateMinimumPayment,
+  aprForMonth,
+  getLoanTerms,
+  amortizationSchedule,
+  computeScheduleMonthRequiredPayments,
+  calendarMonth,
+  PAY_FREQUENCIES,
+  getFrequency,
+  withWindfalls,
+  windfallSavings,
+  listStrategies,
+  DEFAULT_HYBRID_THRESHOLD,
+  solveFixedPayment,
+  optimizeAllocations,
+  validateSchedule,
+  debtTableRows,
+  debtTableCsv,
+} from "./engine/index.js";
 
-const STORAGE_KEY = "clearpath_debt_inputs_v1";
 const STRIPE_DONATE_URL = "https://buy.stripe.com/test_fZucN5d2x2KC9P8alr7wA00";
 
+// Every registered strategy is simulated and compared, in registry order.
+const STRATEGIES = listStrategies();
+
+// Export API for the opt-in server PDF (see api/exportPayload.js); unset = local export only
+const SERVER_EXPORT_URL = import.meta.env.VITE_API_BASE_URL || "";
+
+const FEE_KIND_LABELS = {
+  annual: "Annual",
+  monthly: "Monthly",
+  one_time: "One-time / transfer",
+};
+
 const DEFAULTS = {
   debts: [
     { id: "d1", name: "Credit Card", type: "credit_card", balance: 4000, interest_rate: 29.99 },
     { id: "d2", name: "Personal Loan", type: "loan", balance: 6000, interest_rate: 7.99 },
   ],
-  paycheques: [{ amount: 5300 }],
-  bills: [{ amount: 2700 }],
+  // cash flow entries: { label, amount, frequency } (see FREQUENCIES)
+  paycheques: [{ label: "Paycheque", amount: 5300, frequency: "monthly" }],
+  bills: [{ label: "Bills", amount: 2700, frequency: "monthly" }],
   monthlyPayment: 1500,
 
   goal: "speed", // speed | interest | stick
   paymentMode: "fixed", // fixed | schedule
 
+  // Custom strategy: debt ids in the user's payoff priority (first = paid first)
+  customOrder: [],
+
+  // Hybrid strategy: balances under this are snowballed before switching to avalanche
+  hybridThreshold: DEFAULT_HYBRID_THRESHOLD,
+
+  accrualMode: "monthly", // monthly | daily_balance
+
+  planStart: "", // "YYYY-MM" of month 1; "" = the current month
+
+  // One-off lump sums: { id, label, month, amount, debt_uid } ("" = strategy decides)
+  windfalls: [],
+
+  // Pay calendar: frequency "" = pay once a month, no real dates
+  payCalendar: { frequency: "", start_date: "" },
+
   // schedule rows now support allocations:
   // allocations: { [debtId]: number }  (A = total to that debt, incl minimum)
   paymentSchedule: [
@@ -37,6 +112,60 @@ function nowIso() {
   return new Date().toISOString();
 }
 
+/** "2028-03" -> "March 2028" (short: "Mar 28") */
+function formatCalendarMonth(ym, short = false) {
+  if (!ym) return "";
+  return new Date(`${ym}-01T00:00:00Z`).toLocaleDateString(undefined, {
+    month: short ? "short" : "long",
+    year: short ? "2-digit" : "numeric",
+    timeZone: "UTC",
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = window.URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Read the saved state once on startup (see plan/storage.js). When it had to
+ * be repaired or discarded, the original text is copied to BACKUP_KEY first,
+ * since the next save overwrites it.
+ */
+function loadSavedState() {
+  let raw = null;
+  try {
+    raw = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return { state: null, repairs: [], discarded: false };
+  }
+
+  const loaded = readStoredState(raw, DEFAULTS);
+  if (loaded.repairs.length) {
+    try {
+      localStorage.setItem(BACKUP_KEY, raw);
+    } catch {
+      // storage full or blocked; the notice still tells the user
+    }
+  }
+  return loaded;
+}
+
+/** Signed difference for comparisons: "Same", "+3 mo", "−$120". */
+function formatDiff(n, format) {
+  if (n == null) return "—";
+  if (n === 0) return "Same";
+  return `${n < 0 ? "−" : "+"}${format(Math.abs(n))}`;
+}
+
 function formatUpdated(iso) {
   try {
     const d = new Date(iso);
@@ -60,22 +189,33 @@ const emptyDebt = () => ({
   interest_rate: "",
   min_override_enabled: false,
   min_override_amount: "",
+  min_formula: "auto", // see MIN_PAYMENT_PRESETS
+  min_fixed_amount: "",
+
+  // rate schedule (Advanced)
+  promo_enabled: false,
+  promo_rate: 0,
+  promo_end_month: 12,
+  promo_deferred: false,
+  rate_changes: [], // [{ month, rate }]
+  statement_day: 1,
+  payment_day: 22,
+
+  // installment loan terms (type "loan")
+  original_term: "",
+  remaining_months: "",
+  contractual_payment: "",
+
+  // fees (Advanced)
+  fees: [], // [{ kind, amount, percent, month }], see FEE_KINDS
+  late_fee: "",
 });
 
-function clampNumber(v, fallback = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : fallback;
-}
-
-function keepBlankOrNumber(v, fallback = 0) {
+/** Number input value: "" stays blank, anything else becomes a number >= min. */
+function keepBlankOrNumber(v, fallback = 0, min = -Infinity) {
   if (v === "" || v === null || v === undefined) return "";
   const n = Number(v);
-  return Number.isFinite(n) ? n : fallback;
-}
-
-
-function round2(n) {
-  return Math.round((clampNumber(n, 0) + Number.EPSILON) * 100) / 100;
+  return Number.isFinite(n) ? Math.max(min, n) : fallback;
 }
 
 function formatMoney(n) {
@@ -83,391 +223,96 @@ function formatMoney(n) {
   return x.toLocaleString(undefined, { maximumFractionDigits: 2 });
 }
 
-/**
- * Minimum payment estimator (monthly).
- * Heuristics; issuers vary. We allow Advanced override.
- */
-function estimateMinimumPayment(debt) {
-  const balance = Math.max(0, clampNumber(debt.balance, 0));
-  const apr = Math.max(0, clampNumber(debt.interest_rate, 0));
-  const r = (apr / 100) / 12;
-  const interestOnly = balance * r;
-
-  const floor = 25;
-
-  if (debt.type === "credit_card") {
-    const pctOfBalance = 0.02 * balance;
-    const interestPlusPrincipal = interestOnly + 0.01 * balance;
-    return Math.max(floor, pctOfBalance, interestPlusPrincipal);
-  }
-
-  if (debt.type === "loc") {
-    return Math.max(floor, interestOnly);
-  }
-
-  if (debt.type === "loan") {
-    const principalPortion = balance / 36;
-    return Math.max(floor, interestOnly + principalPortion);
-  }
-
-  const pct = 0.015 * balance;
-  return Math.max(floor, interestOnly + 0.005 * balance, pct);
+/** Optimized schedule vs a baseline strategy (see optimizeAllocations): "saves $120 in interest, takes 2 more months". */
+function optimizeSavingsText({ interestSaved, monthsSaved }) {
+  const months = (n) => `${n} month${n === 1 ? "" : "s"}`;
+  const parts = [];
+  if (interestSaved > 0.005) parts.push(`saves $${formatMoney(interestSaved)} in interest`);
+  if (interestSaved < -0.005) parts.push(`costs $${formatMoney(-interestSaved)} more in interest`);
+  if (monthsSaved > 0) parts.push(`${months(monthsSaved)} sooner`);
+  if (monthsSaved < 0) parts.push(`takes ${months(-monthsSaved)} more`);
+  return parts.length ? parts.join(", ") : "same result";
 }
 
-function computeMonthlyMinimumDynamic(debt, currentBalance) {
-  // Use the same estimator but based on current balance
-  const est = estimateMinimumPayment({
-    type: debt.type,
-    balance: currentBalance,
-    interest_rate: debt.interest_rate,
-  });
-
-  // Apply override floor if enabled
-  if (debt.min_floor_enabled) {
-    return Math.max(est, debt.min_floor);
-  }
-  return est;
+/** One line per schedule problem (see validateSchedule); row is the schedule row that sets the month. */
+function scheduleIssueText(issue, row) {
+  const when = row && row.month !== issue.month ? `Month ${issue.month} (repeats month ${row.month})` : `Month ${issue.month}`;
+  return issue.kind === "over_budget"
+    ? `${when}: allocations need $${formatMoney(issue.required)}, $${formatMoney(issue.shortfall)} more than the $${formatMoney(issue.payment)} payment.`
+    : `${when}: the $${formatMoney(issue.payment)} payment is $${formatMoney(issue.shortfall)} short of the $${formatMoney(issue.required)} in minimums.`;
 }
 
-
 /**
- * Compute the "required" per-debt payments for a given month in schedule mode.
- * A = user enters TOTAL payment to that debt (includes minimum).
- * So required = max(minimum, userAllocation) for each active debt.
- *
- * Returns:
- *  - requiredByDebtId: { [id]: number }
- *  - requiredSum: number
- *  - overBudget: boolean
- *  - unassigned: monthlyPayment - requiredSum (>=0 if feasible)
+ * Per-strategy timeline entries for month m, or null past the shortest plan
+ * (used by the month bar and the chart tooltip).
  */
-function computeScheduleMonthRequiredPayments(debts, scheduleRow, monthlyPayment) {
-  const mPay = Math.max(0, round2(clampNumber(monthlyPayment, 0)));
-  const alloc = scheduleRow?.allocations || {};
-
-  const requiredByDebtId = {};
-  let requiredSum = 0;
-
-  for (const d of debts) {
-    const bal = Math.max(0, clampNumber(d.balance, 0));
-    if (bal <= 0) continue;
-
-    const min = Math.max(0, clampNumber(d.minimum_payment, 0));
-    const user = Math.max(0, clampNumber(alloc[d.id], 0));
-    const required = round2(Math.max(min, user));
-
-    requiredByDebtId[d.id] = required;
-    requiredSum = round2(requiredSum + required);
-  }
-
-  const overBudget = requiredSum - mPay > 0.000001;
-  const unassigned = round2(Math.max(0, mPay - requiredSum));
+function getMonthDetails(simulation, m) {
+  const max = Math.min(...simulation.results.map((r) => r.timeline.length));
+  if (m < 1 || m > max) return null;
+
+  const byStrategy = simulation.results.map((r) => ({
+    strategy: r.strategy,
+    label: r.label,
+    entry: r.timeline[m - 1],
+  }));
+  const winnerMonth = simulation.winnerResult.timeline[m - 1];
 
-  return { requiredByDebtId, requiredSum, overBudget, unassigned };
+  return { max, m, byStrategy, winnerMonth };
 }
 
 /**
- * Strategy simulator (monthly).
- * - Accrue interest monthly.
- * - In FIXED mode:
- *    pay minimums, then strategy gets extra.
- * - In SCHEDULE mode:
- *    pay required per-debt payments first (max(min, allocation)),
- *    then strategy gets any unassigned remainder.
- *
- * paymentPlanFn(monthIndex1Based) returns:
- *  {
- *    monthlyPayment: number,
- *    requiredByDebtId?: { [id]: number },
- *    requiredSum?: number,
- *    overBudget?: boolean,
- *    unassigned?: number
- *  }
+ * Editable list of income or bill entries, each with its own frequency.
+ * Shows the monthly equivalent so bi-weekly and yearly amounts add up.
  */
-function simulateStrategy(strategy, debts, paymentPlanFn) {
-  const MAX_MONTHS = 600;
-
-  const state = debts.map((d) => ({
-    id: d.id,
-    name: d.name,
-    type: d.type,
-    apr: Math.max(0, clampNumber(d.interest_rate, 0)),
-    r: (Math.max(0, clampNumber(d.interest_rate, 0)) / 100) / 12,
-    balance: round2(Math.max(0, clampNumber(d.balance, 0))),
-    interestPaid: 0,
-    payoffMonth: null,
-
-    // override is a FLOOR (never below)
-    min_floor_enabled: !!d.min_floor_enabled,
-    min_floor: round2(Math.max(0, clampNumber(d.min_floor, 0))),
-  }));
-
-  const allPaid = () => state.every((d) => d.balance <= 0.000001);
-
-  const pickTargetId = () => {
-    const active = state.filter((d) => d.balance > 0.000001);
-    if (!active.length) return null;
-
-    if (strategy === "snowball") {
-      active.sort((a, b) => a.balance - b.balance || b.apr - a.apr);
-    } else {
-      active.sort((a, b) => b.apr - a.apr || a.balance - b.balance);
-    }
-    return active[0]?.id ?? null;
-  };
-
-  let totalInterest = 0;
-  const timeline = [];
-
-  for (let month = 1; month <= MAX_MONTHS; month++) {
-    if (allPaid()) break;
+function CashFlowList({ title, entries, onChange, addLabel, placeholder }) {
+  const list = entries?.length ? entries : [{ label: "", amount: "", frequency: "monthly" }];
 
-    const plan = paymentPlanFn(month);
-    const paymentThisMonth = Math.max(
-      0,
-      round2(clampNumber(plan?.monthlyPayment, 0))
-    );
-
-    if (plan?.overBudget) {
-      timeline.push({
-        month,
-        paymentThisMonth,
-        requiredSum: round2(plan?.requiredSum ?? 0),
-        unassigned: round2(plan?.unassigned ?? 0),
-        interestThisMonth: 0,
-        totalInterestToDate: totalInterest,
-        minPaid: 0,
-        directedPaid: 0,
-        extraPaid: 0,
-        totalRemaining: round2(
-          state.reduce((sum, d) => sum + Math.max(0, d.balance), 0)
-        ),
-        targetDebtId: null,
-        targetDebtName: null,
-        appliedToTargetThisMonth: 0,
-        extraAppliedToTarget: 0,
-        extraByDebtId: {},
-        invalid: true,
-      });
-      break;
-    }
-
-    // 1) accrue interest
-    let interestThisMonthTotal = 0;
-    for (const d of state) {
-      if (d.balance <= 0.000001) continue;
-      const interest = round2(d.balance * d.r);
-      d.balance = round2(d.balance + interest);
-      d.interestPaid = round2(d.interestPaid + interest);
-      interestThisMonthTotal = round2(interestThisMonthTotal + interest);
-    }
-    totalInterest = round2(totalInterest + interestThisMonthTotal);
-
-    // 2) compute dynamic minimums for THIS month (after interest)
-    const dynamicMinByDebtId = {};
-    for (const d of state) {
-      if (d.balance <= 0.000001) continue;
-
-      dynamicMinByDebtId[d.id] = round2(
-        computeMonthlyMinimumDynamic(
-          {
-            type: d.type,
-            interest_rate: d.apr,
-            min_floor_enabled: d.min_floor_enabled,
-            min_floor: d.min_floor,
-          },
-          d.balance
-        )
-      );
-    }
-
-    // 3) pay required (schedule allocations, with mins enforced) OR minimums (fixed)
-    let remaining = round2(paymentThisMonth);
-    let minPaidTotal = 0;
-    let directedPaidTotal = 0;
-
-    const requiredByDebtId = plan?.requiredByDebtId || null;
-
-    // Track total paid per debt this month (directed + extra) for a truthful "target"
-    const paidThisMonthByDebtId = {};
-
-    // Compute the REAL required sum for this month:
-    // - fixed: sum(dynamic mins)
-    // - schedule: sum(max(allocation, dynamic min)) for each debt
-    let requiredSumThisMonth = 0;
-
-    for (const d of state) {
-      if (d.balance <= 0.000001) continue;
-
-      const dynamicMin = dynamicMinByDebtId[d.id] || 0;
-      const alloc = requiredByDebtId ? Math.max(0, clampNumber(requiredByDebtId[d.id], 0)) : 0;
-
-      const intended = requiredByDebtId ? Math.max(alloc, dynamicMin) : dynamicMin;
-
-      requiredSumThisMonth = round2(requiredSumThisMonth + intended);
-
-      const pay = round2(Math.min(intended, d.balance, remaining));
-      if (pay > 0) {
-        paidThisMonthByDebtId[d.id] = round2((paidThisMonthByDebtId[d.id] || 0) + pay);
-
-        const minPortion = Math.min(dynamicMin, pay);
-        minPaidTotal = round2(minPaidTotal + minPortion);
-
-        if (requiredByDebtId) directedPaidTotal = round2(directedPaidTotal + pay);
-
-        d.balance = round2(d.balance - pay);
-        remaining = round2(remaining - pay);
-
-        if (d.balance <= 0.000001 && d.payoffMonth == null) d.payoffMonth = month;
-      }
-    }
-
-    // If user allocations/required exceed payment, requiredSumThisMonth can be > paymentThisMonth.
-    // In that case, the month is effectively underfunded. We'll reflect that with unassigned = 0.
-    const unassignedThisMonth = round2(Math.max(0, paymentThisMonth - requiredSumThisMonth));
-
-    // 4) extra targeting (strategy controls whatever remains)
-    const extraByDebtId = {};
-    let extraPaidTotal = 0;
-
-    while (remaining > 0.000001 && !allPaid()) {
-      const targetId = pickTargetId();
-      if (targetId == null) break;
-
-      const t = state.find((x) => x.id === targetId);
-      if (!t || t.balance <= 0.000001) break;
-
-      const pay = round2(Math.min(t.balance, remaining));
-      if (pay <= 0) break;
-
-      t.balance = round2(t.balance - pay);
-      remaining = round2(remaining - pay);
-      extraPaidTotal = round2(extraPaidTotal + pay);
-
-      extraByDebtId[targetId] = round2((extraByDebtId[targetId] || 0) + pay);
-      paidThisMonthByDebtId[targetId] = round2((paidThisMonthByDebtId[targetId] || 0) + pay);
-
-      if (t.balance <= 0.000001 && t.payoffMonth == null) t.payoffMonth = month;
-    }
-
-    // Determine "target" as the debt that received the MOST total payment this month
-    let actualTargetId = null;
-    let actualTargetPaid = 0;
+  const update = (i, patch) => onChange(list.map((e, j) => (j === i ? { ...e, ...patch } : e)));
+  const add = () => onChange([...list, { label: "", amount: "", frequency: "monthly" }]);
+  const remove = (i) => onChange(list.filter((_, j) => j !== i));
 
-    for (const [idStr, amt] of Object.entries(paidThisMonthByDebtId)) {
-      const id = Number(idStr);
-      if (amt > actualTargetPaid) {
-        actualTargetPaid = amt;
-        actualTargetId = id;
-      }
-    }
-
-    const actualTargetDebt =
-      actualTargetId != null ? state.find((x) => x.id === actualTargetId) : null;
-
-    const appliedToTargetThisMonth = round2(actualTargetPaid);
-    const extraAppliedToTarget = round2(extraByDebtId[actualTargetId] || 0);
-
-    const totalRemaining = round2(
-      state.reduce((sum, d) => sum + Math.max(0, d.balance), 0)
-    );
-
-    timeline.push({
-      month,
-      paymentThisMonth,
-      requiredSum: requiredSumThisMonth,
-      unassigned: unassignedThisMonth,
-
-      interestThisMonth: interestThisMonthTotal,
-      totalInterestToDate: totalInterest,
-      minPaid: minPaidTotal,
-      directedPaid: directedPaidTotal,
-      extraPaid: extraPaidTotal,
-      totalRemaining,
-
-      targetDebtId: actualTargetId,
-      targetDebtName: actualTargetDebt?.name ?? null,
-      appliedToTargetThisMonth,
-      extraAppliedToTarget,
-      extraByDebtId,
-      invalid: false,
-    });
-  }
-
-  const monthsToDebtFree = allPaid() ? timeline.length : MAX_MONTHS;
-
-  return {
-    strategy,
-    monthsToDebtFree,
-    totalInterest,
-    timeline,
-    perDebt: state.map((d) => ({
-      id: d.id,
-      name: d.name,
-      apr: d.apr,
-      payoffMonth: d.payoffMonth ?? monthsToDebtFree,
-      interestPaid: d.interestPaid,
-    })),
-  };
-}
-
-
-function pickWinner(goal, snow, aval) {
-  if (goal === "speed") return snow.monthsToDebtFree <= aval.monthsToDebtFree ? "snowball" : "avalanche";
-  if (goal === "interest") return snow.totalInterest <= aval.totalInterest ? "snowball" : "avalanche";
-  return "snowball";
-}
-
-function getPaymentPlanFn(paymentMode, monthlyPayment, scheduleRows, debtsWithMin) {
-  const fixed = Math.max(0, round2(monthlyPayment));
-
-  if (paymentMode !== "schedule") {
-    return (month) => ({
-      monthlyPayment: fixed,
-      requiredByDebtId: null,
-      requiredSum: null,
-      overBudget: false,
-      unassigned: null,
-    });
-  }
-
-  // normalize schedule rows into map: month -> row
-  const map = new Map();
-  (scheduleRows || []).forEach((row) => {
-    const m = Math.max(1, Math.floor(clampNumber(row.month, 0)));
-    map.set(m, {
-      month: m,
-      amount: Math.max(0, round2(clampNumber(row.amount, 0))),
-      allocations: row.allocations || {},
-    });
-  });
-
-  const maxMonth = Math.max(0, ...Array.from(map.keys()));
-  const lastRow = maxMonth ? map.get(maxMonth) : { month: 1, amount: fixed, allocations: {} };
-
-  return (month) => {
-    const row = map.get(month) || lastRow;
-    const info = computeScheduleMonthRequiredPayments(debtsWithMin, row, row.amount);
-    return {
-      monthlyPayment: row.amount,
-      requiredByDebtId: info.requiredByDebtId,
-      requiredSum: info.requiredSum,
-      overBudget: info.overBudget,
-      unassigned: info.unassigned,
-    };
-  };
+  return (
+    <div className="field field-wide cashflow">
+      <label>
+        {title} <span className="tiny">(${formatMoney(monthlyTotal(list))}/month)</span>
+      </label>
+      {list.map((e, i) => (
+        <div className="cashflow-row" key={i}>
+          <input
+            value={e.label ?? ""}
+            placeholder={placeholder}
+            onChange={(ev) => update(i, { label: ev.target.value })}
+          />
+          <input
+            type="number"
+            value={e.amount ?? ""}
+            placeholder="0"
+            onChange={(ev) => update(i, { amount: keepBlankOrNumber(ev.target.value, 0, 0) })}
+          />
+          <select value={e.frequency || "monthly"} onChange={(ev) => update(i, { frequency: ev.target.value })}>
+            {FREQUENCIES.map((f) => (
+              <option key={f.id} value={f.id}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          <div className="tiny cashflow-monthly">${formatMoney(monthlyAmount(e))}/mo</div>
+          <button type="button" className="ghost" onClick={() => remove(i)} disabled={list.length <= 1}>
+            ✕
+          </button>
+        </div>
+      ))}
+      <button type="button" className="ghost cashflow-add" onClick={add}>
+        {addLabel}
+      </button>
+    </div>
+  );
 }
 
 export default function App() {
   // ---------- Load ----------
-  const stored = (() => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      return raw ? JSON.parse(raw) : null;
-    } catch {
-      return null;
-    }
-  })();
+  const [loaded] = useState(loadSavedState);
+  const stored = loaded.state;
 
   const [debts, setDebts] = useState(stored?.debts ?? DEFAULTS.debts);
   const [paycheques, setPaycheques] = useState(stored?.paycheques ?? DEFAULTS.paycheques);
@@ -478,6 +323,58 @@ export default function App() {
   const [paymentMode, setPaymentMode] = useState(stored?.paymentMode ?? DEFAULTS.paymentMode);
 
   const [paymentSchedule, setPaymentSchedule] = useState(stored?.paymentSchedule ?? DEFAULTS.paymentSchedule);
+  const [customOrder, setCustomOrder] = useState(stored?.customOrder ?? DEFAULTS.customOrder);
+  const [hybridThreshold, setHybridThreshold] = useState(stored?.hybridThreshold ?? DEFAULTS.hybridThreshold);
+  const [accrualMode, setAccrualMode] = useState(stored?.accrualMode ?? DEFAULTS.accrualMode);
+  const [payCalendar, setPayCalendar] = useState(stored?.payCalendar ?? DEFAULTS.payCalendar);
+  const [planStart, setPlanStart] = useState(stored?.planStart ?? DEFAULTS.planStart);
+  const [windfalls, setWindfalls] = useState(stored?.windfalls ?? DEFAULTS.windfalls);
+
+  // Named scenarios ({ id, name, plan }); the active one follows edits to the inputs
+  const [scenarios, setScenarios] = useState(stored?.scenarios ?? []);
+  const [activeScenarioId, setActiveScenarioId] = useState(stored?.activeScenarioId ?? null);
+
+  // The plan inputs (what a plan file / scenario holds)
+  const currentPlan = useMemo(
+    () =>
+      pickPlan({
+        debts,
+        paycheques,
+        bills,
+        monthlyPayment,
+        goal,
+        paymentMode,
+        paymentSchedule,
+        customOrder,
+        hybridThreshold,
+        accrualMode,
+        planStart,
+        payCalendar,
+        windfalls,
+      }),
+    [
+      debts,
+      paycheques,
+      bills,
+      monthlyPayment,
+      goal,
+      paymentMode,
+      paymentSchedule,
+      customOrder,
+      hybridThreshold,
+      accrualMode,
+      planStart,
+      payCalendar,
+      windfalls,
+    ]
+  );
+
+  // Simulated month m -> calendar month label ("March 2028")
+  const planStartMonth = useMemo(() => planStartMonthOf(planStart), [planStart]);
+  const monthLabel = (m) => formatCalendarMonth(calendarMonth(planStartMonth, m));
+  const shortMonthLabel = (m) => formatCalendarMonth(calendarMonth(planStartMonth, m), true);
+  // Plans that never pay off run to the engine's month cap; that month isn't a real date
+  const payoffLabel = (paidOff, m) => (paidOff === false ? "Never at this payment" : monthLabel(m));
 
   const [loading, setLoading] = useState(false);
   const [selectedMonth, setSelectedMonth] = useState(1);
@@ -498,74 +395,48 @@ export default function App() {
   const [status, setStatus] = useState(stored?.status ?? "idle");
   const [statusMessage, setStatusMessage] = useState(stored?.statusMessage ?? "");
   const [showDonate, setShowDonate] = useState(!!stored?.showDonate);
+  const [planFileNotice, setPlanFileNotice] = useState(null); // { status, message, errors? }
+  const [storageNotice, setStorageNotice] = useState(loaded.repairs.length ? loaded : null);
 
   // UI state: which schedule month is expanded for allocations
   const [openAllocIdx, setOpenAllocIdx] = useState(null);
   const [showWhy, setShowWhy] = useState(false);
-
-  // Ensure every debt has an id (backward compatibility)
-  useEffect(() => {
-    setDebts((prev) =>
-      (prev || []).map((d) => (d?.id ? d : { ...d, id: makeId("d") }))
-    );
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  const [tableStrategy, setTableStrategy] = useState(null); // null = the winner
+  const [newScenarioName, setNewScenarioName] = useState("");
+  const [compareIds, setCompareIds] = useState([null, null]); // [A, B]; null = first / second scenario
+  const [compareStrategy, setCompareStrategy] = useState("best"); // "best" = each scenario's winner
+  const [goalSeekTarget, setGoalSeekTarget] = useState({ kind: "date", date: "", maxInterest: "" });
+  const [goalSeekResult, setGoalSeekResult] = useState(null); // shown while its inputs are unchanged
+  const [optimizeObjective, setOptimizeObjective] = useState("interest"); // see OPTIMIZE_OBJECTIVES
+  const [optimizeResult, setOptimizeResult] = useState(null); // shown while the schedule is unchanged
+  const [hardshipRate, setHardshipRate] = useState(HARDSHIP_RATE); // Survival Mode: APR to model on cards
+  const [dragPriorityIdx, setDragPriorityIdx] = useState(null);
+  // UI state: which debt row has its advanced options (rates, promos, loan terms) open
+  const [openDebtOptionsIdx, setOpenDebtOptionsIdx] = useState(null);
+  const [showAmortIdx, setShowAmortIdx] = useState(null);
 
   // ---------- Derived values ----------
-  const income = useMemo(() => clampNumber(paycheques?.[0]?.amount, 0), [paycheques]);
-  const expenses = useMemo(() => clampNumber(bills?.[0]?.amount, 0), [bills]);
+  const income = useMemo(() => monthlyTotal(paycheques), [paycheques]);
+  const expenses = useMemo(() => monthlyTotal(bills), [bills]);
   const freeCash = useMemo(() => income - expenses, [income, expenses]);
 
-  const minimumsTotal = useMemo(() => {
-  let sum = 0;
-
-  for (const d of debts || []) {
-    const bal = Math.max(0, Number(d.balance || 0));
-    if (bal <= 0) continue;
-
-    const apr = Math.max(0, Number(d.interest_rate || 0));
-
-    const dynamicMin = computeMonthlyMinimumDynamic(
-      {
-        type: d.type, // ok if undefined; see note below
-        interest_rate: apr,
-        min_floor_enabled: !!d.min_floor_enabled,
-        min_floor: Number(d.min_floor || 0),
-      },
-      bal
-    );
-
-    sum += Number(dynamicMin || 0);
-  }
-
-  return round2(sum);
-}, [debts]);
-
-
   const debtsWithMin = useMemo(() => {
     return (debts || []).map((d) => {
-      const est = estimateMinimumPayment(d);
-      const overrideEnabled = !!d.min_override_enabled;
-      const overrideAmount = Math.max(0, clampNumber(d.min_override_amount, 0));
-      const chosenMin = overrideEnabled ? overrideAmount : est;
-      return { ...d, estimated_minimum_payment: est, minimum_payment: chosenMin };
+      // the form's "estimated minimum" at the month 1 rate (before any override; see activeMinimums)
+      const est = estimateMinimumPayment({ ...d, interest_rate: aprForMonth(rateScheduleOf(d), 1) });
+      return { ...d, estimated_minimum_payment: est };
     });
   }, [debts]);
 
- const activeDebts = debtsWithMin
-  .map((d, idx) => ({
-    id: idx,
-    name: (d.name || "").trim() || "Debt",
-    type: d.type || "other",
-    balance: Math.max(0, clampNumber(d.balance, 0)),
-    interest_rate: Math.max(0, clampNumber(d.interest_rate, 0)),
+  const activeDebts = useMemo(() => toEngineDebts(debts), [debts]);
+
+  // Month-1 minimums of the active debts (override floors, loan payments and fees included),
+  // in activeDebts order: affordability checks, schedule allocations and Survival Mode all use these
+  const activeMinimums = useMemo(() => activeDebts.map(month1Minimum), [activeDebts]);
+  const minimumsTotal = useMemo(() => round2(activeMinimums.reduce((sum, m) => sum + m, 0)), [activeMinimums]);
 
-    // NEW: override is a FLOOR
-    min_floor_enabled: !!d.min_override_enabled,
-    min_floor: Math.max(0, clampNumber(d.min_override_amount, 0)),
-  }))
-  .filter((d) => d.balance > 0);
 
+  const priorityDebts = useMemo(() => orderDebtsByPriority(activeDebts, customOrder), [activeDebts, customOrder]);
 
   const totalDebtBalance = useMemo(() => {
     return activeDebts.reduce((sum, d) => sum + d.balance, 0);
@@ -574,24 +445,40 @@ export default function App() {
   const mpFixed = useMemo(() => Math.max(0, clampNumber(monthlyPayment, 0)), [monthlyPayment]);
 
   const paymentPlanFn = useMemo(
-    () => getPaymentPlanFn(paymentMode, mpFixed, paymentSchedule, activeDebts),
-    [paymentMode, mpFixed, paymentSchedule, activeDebts]
+    () => planPaymentFn({ paymentMode, monthlyPayment: mpFixed, paymentSchedule, payCalendar }, activeDebts, planStartMonth),
+    [paymentMode, mpFixed, paymentSchedule, activeDebts, payCalendar, planStartMonth]
   );
 
-  // Schedule validation / preview
+  // Windfalls pin to debts by stable id; the engine uses list positions
+  const engineWindfalls = useMemo(() => toEngineWindfalls(windfalls, activeDebts), [windfalls, activeDebts]);
+
+  // Schedule validation / preview (regular payments only, windfalls aren't counted on)
   const firstMonthPlan = useMemo(() => paymentPlanFn(1), [paymentPlanFn]);
   const firstMonthPayment = useMemo(() => Math.max(0, round2(firstMonthPlan.monthlyPayment || 0)), [firstMonthPlan]);
   const firstMonthOverBudget = !!firstMonthPlan.overBudget;
   const firstMonthRequiredSum = round2(firstMonthPlan.requiredSum || 0);
   const firstMonthUnassigned = round2(firstMonthPlan.unassigned || 0);
 
-  // Average for PDF export “for now”
-  const avgPayment6 = useMemo(() => {
-    if (paymentMode !== "schedule") return round2(mpFixed);
-    let sum = 0;
-    for (let m = 1; m <= 6; m++) sum += Math.max(0, round2(paymentPlanFn(m).monthlyPayment || 0));
-    return round2(sum / 6);
-  }, [paymentMode, mpFixed, paymentPlanFn]);
+  // Same options simulatePlan runs with
+  const simOptions = useMemo(
+    () => ({
+      ...planSimulationOptions({ customOrder, hybridThreshold, accrualMode }, activeDebts),
+      startMonth: planStartMonth, // daily_balance cycles follow real month lengths
+    }),
+    [customOrder, hybridThreshold, accrualMode, activeDebts, planStartMonth]
+  );
+
+  // Every schedule month, not just month 1: over-budget rows and months below minimums
+  const scheduleIssues = useMemo(() => {
+    if (paymentMode !== "schedule" || !activeDebts.length) return [];
+    const planFnFor = (rows) =>
+      withWindfalls(
+        planPaymentFn({ paymentMode: "schedule", monthlyPayment: mpFixed, paymentSchedule: rows, payCalendar }, activeDebts, planStartMonth),
+        engineWindfalls
+      );
+    return validateSchedule(activeDebts, paymentSchedule, { ...simOptions, planFnFor });
+  }, [paymentMode, activeDebts, paymentSchedule, mpFixed, payCalendar, planStartMonth, engineWindfalls, simOptions]);
+
 
   // ---------- Reality / gating ----------
   const reality = useMemo(() => {
@@ -600,18 +487,18 @@ export default function App() {
     const cannotCoverBills = income < expenses;
     const cannotCoverMinimums = hasDebts ? freeCash < minimumsTotal : false;
 
-    // additional schedule rule: Month 1 cannot be over-budget (requiredSum > month payment)
-    const scheduleInvalid = paymentMode === "schedule" ? firstMonthOverBudget : false;
+    // additional schedule rule: no month can be over budget or below its minimums
+    const scheduleInvalid = paymentMode === "schedule" ? scheduleIssues.length > 0 : false;
 
     // also ensure month 1 payment covers minimums (otherwise you fall behind immediately)
     const month1BelowMins = hasDebts ? firstMonthPayment < minimumsTotal : false;
 
-    const isAtRisk =
-      incomeMissing ||
-      cannotCoverBills ||
-      cannotCoverMinimums ||
-      scheduleInvalid ||
-      month1BelowMins;
+    // Survival Mode plan: income can't carry bills and minimums (schedule problems are fixed in the schedule)
+    const survivalMode = incomeMissing || cannotCoverBills || cannotCoverMinimums;
+
+    const isAtRisk = survivalMode || scheduleInvalid || month1BelowMins;
+    // what to fix first: the money, then the schedule, then a fixed payment below the minimums
+    const atRiskCause = survivalMode ? "survival" : scheduleInvalid ? "schedule" : month1BelowMins ? "payment" : null;
 
     const shortfallBills = Math.max(0, expenses - income);
     const shortfallMinimums = hasDebts ? Math.max(0, minimumsTotal - freeCash) : 0;
@@ -631,6 +518,8 @@ export default function App() {
     return {
       state,
       isAtRisk,
+      atRiskCause,
+      survivalMode,
       hasDebts,
       cannotCoverBills,
       cannotCoverMinimums,
@@ -651,53 +540,125 @@ export default function App() {
     freeCash,
     minimumsTotal,
     paymentMode,
-    firstMonthOverBudget,
+    scheduleIssues,
     firstMonthPayment,
   ]);
 
+  // Survival Mode: a concrete plan instead of just locking results
+  const survivalPlan = useMemo(() => {
+    if (!reality.survivalMode) return null;
+    return buildSurvivalPlan({
+      income,
+      expenses,
+      debts: activeDebts,
+      minimums: activeMinimums,
+      hardshipRate: Math.max(0, clampNumber(hardshipRate, HARDSHIP_RATE)),
+    });
+  }, [reality.survivalMode, income, expenses, activeDebts, activeMinimums, hardshipRate]);
+  const survivalPlanSteps = useMemo(() => (survivalPlan ? survivalSteps(survivalPlan, formatMoney) : []), [survivalPlan]);
+
   // ---------- Simulation ----------
   const simulation = useMemo(() => {
     if (reality.isAtRisk) return null;
+    // Strategies only differ in order, so comparing them needs two debts
     if (activeDebts.length < 2) return null;
 
-    const snow = simulateStrategy("snowball", activeDebts, paymentPlanFn);
-    const aval = simulateStrategy("avalanche", activeDebts, paymentPlanFn);
+    const sim = simulatePlan(currentPlan);
+    if (!sim) return null; // a sim that stopped at an over-budget month is partial
+    const { results, winner } = sim;
+
+    const runnerUp = goal === "stick"
+      ? results
+          .filter((r) => r.strategy !== winner)
+          .reduce((best, r) => (!best || r.stickiness.score > best.stickiness.score ? r : best), null)
+      : null;
+    const months = results.map((r) => r.monthsToDebtFree);
+    const interests = results.map((r) => r.totalInterest);
+
+    // Spread between the best and worst strategy
+    const monthsDiff = Math.max(...months) - Math.min(...months);
+    const interestDiff = round2(Math.max(...interests) - Math.min(...interests));
 
-    // If any sim flagged invalid in month 1 (overbudget), treat as unavailable
-    if (snow.timeline?.[0]?.invalid || aval.timeline?.[0]?.invalid) return null;
+    // What each windfall is worth under the winning strategy
+    const windfallImpact = engineWindfalls.length
+      ? windfallSavings(winner, sim.debts, paymentPlanFn, engineWindfalls, sim.options)
+      : [];
 
-    const winner = pickWinner(goal, snow, aval);
-    const monthsDiff = Math.abs(snow.monthsToDebtFree - aval.monthsToDebtFree);
-    const interestDiff = round2(Math.abs(snow.totalInterest - aval.totalInterest));
+    return {
+      results,
+      winner,
+      winnerResult: results.find((r) => r.strategy === winner),
+      runnerUp,
+      monthsDiff,
+      interestDiff,
+      windfallImpact,
+    };
+  }, [reality.isAtRisk, activeDebts.length, currentPlan, goal, paymentPlanFn, engineWindfalls]);
+
+  // Goal-seek: the fixed payment each strategy needs to hit a target. Solving runs
+  // dozens of simulations per strategy, so it runs on submit and the result is
+  // dropped as soon as anything it depends on changes, the target included.
+  const goalSeekInputs = useMemo(
+    () => ({ goalSeekTarget, activeDebts, planStartMonth, payCalendar, engineWindfalls, simOptions, minimumsTotal, freeCash }),
+    [goalSeekTarget, activeDebts, planStartMonth, payCalendar, engineWindfalls, simOptions, minimumsTotal, freeCash]
+  );
+  const goalSeek = goalSeekResult?.inputs === goalSeekInputs ? goalSeekResult.rows : null;
+
+  const runGoalSeek = () => {
+    const target = goalSeekTarget;
+    if (!activeDebts.length) return;
+    const goal =
+      target.kind === "interest" ? { maxInterest: target.maxInterest } : { date: target.date, start: planStartMonth };
+    const planFnFor = (payment) =>
+      withWindfalls(planPaymentFn({ paymentMode: "fixed", monthlyPayment: payment, payCalendar }, activeDebts, planStartMonth), engineWindfalls);
+
+    const rows = STRATEGIES.map((s) => ({
+      ...solveFixedPayment(s.id, activeDebts, goal, { ...simOptions, planFnFor, minPayment: minimumsTotal, freeCash }),
+      label: s.label,
+    }));
+    setGoalSeekResult({ inputs: goalSeekInputs, rows });
+  };
 
-    return { snow, aval, winner, monthsDiff, interestDiff };
-  }, [reality.isAtRisk, activeDebts, paymentPlanFn, goal]);
+  const applyGoalSeekPayment = (payment) => {
+    setPaymentMode("fixed");
+    setMonthlyPayment(payment);
+  };
 
   useEffect(() => {
     if (!simulation) return;
-    const max = Math.min(simulation.snow.timeline.length, simulation.aval.timeline.length);
+    const max = Math.min(...simulation.results.map((r) => r.timeline.length));
     if (max <= 0) return;
     setSelectedMonth((m) => Math.min(Math.max(1, m), max));
   }, [simulation]);
 
 
-  const monthDetails = useMemo(() => {
+  // Month × debt table for one strategy (defaults to the winner)
+  const monthTable = useMemo(() => {
     if (!simulation) return null;
+    const result =
+      simulation.results.find((r) => r.strategy === tableStrategy) || simulation.winnerResult;
+    const rows = debtTableRows(result);
+    const showFees = rows.some((row) => row.fees > 0);
+    return { result, rows, showFees };
+  }, [simulation, tableStrategy]);
+
+  const downloadMonthTableCsv = () => {
+    if (!monthTable) return;
+    const csv = debtTableCsv(monthTable.result, { monthLabel });
+    downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), `ClearPath_${monthTable.result.strategy}_by_month.csv`);
+  };
 
-    const max = Math.min(simulation.snow.timeline.length, simulation.aval.timeline.length);
-    const m = Math.min(Math.max(1, selectedMonth), max);
-
-    const snowMonth = simulation.snow.timeline[m - 1];
-    const avalMonth = simulation.aval.timeline[m - 1];
-
-    return { max, m, snowMonth, avalMonth };
+  const monthDetails = useMemo(() => {
+    if (!simulation) return null;
+    const max = Math.min(...simulation.results.map((r) => r.timeline.length));
+    return getMonthDetails(simulation, Math.min(Math.max(1, selectedMonth), max));
   }, [simulation, selectedMonth]);
 
 const monthExplanation = useMemo(() => {
   if (!monthDetails) return "";
 
-  const extra = monthDetails.snowMonth.unassigned;
-  const target = monthDetails.snowMonth.targetDebtName;
+  const extra = monthDetails.winnerMonth.unassigned;
+  const target = monthDetails.winnerMonth.targetDebtName;
 
   if (!target || extra <= 0) {
     return "This month, all of your payment goes toward required minimums.";
@@ -719,13 +680,21 @@ const monthExplanation = useMemo(() => {
       goal,
       paymentMode,
       paymentSchedule,
+      customOrder,
+      hybridThreshold,
+      accrualMode,
+      payCalendar,
+      planStart,
+      windfalls,
+      scenarios,
+      activeScenarioId,
       lastUpdated,
       status,
       statusMessage,
       showDonate,
     };
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(toStoredState(payload)));
     } catch {}
   }, [
     debts,
@@ -735,6 +704,14 @@ const monthExplanation = useMemo(() => {
     goal,
     paymentMode,
     paymentSchedule,
+    customOrder,
+    hybridThreshold,
+    accrualMode,
+    payCalendar,
+    planStart,
+    windfalls,
+    scenarios,
+    activeScenarioId,
     lastUpdated,
     status,
     statusMessage,
@@ -742,24 +719,110 @@ const monthExplanation = useMemo(() => {
   ]);
 
   // ---------- Reset ----------
+  /** Replace every plan input; fields missing from `plan` fall back to DEFAULTS. */
+  const applyPlan = (plan) => {
+    setDebts(plan.debts ?? DEFAULTS.debts);
+    setPaycheques(plan.paycheques ?? DEFAULTS.paycheques);
+    setBills(plan.bills ?? DEFAULTS.bills);
+    setMonthlyPayment(plan.monthlyPayment ?? DEFAULTS.monthlyPayment);
+    setGoal(plan.goal ?? DEFAULTS.goal);
+    setPaymentMode(plan.paymentMode ?? DEFAULTS.paymentMode);
+    setPaymentSchedule(plan.paymentSchedule ?? DEFAULTS.paymentSchedule);
+    setCustomOrder(plan.customOrder ?? DEFAULTS.customOrder);
+    setHybridThreshold(plan.hybridThreshold ?? DEFAULTS.hybridThreshold);
+    setAccrualMode(plan.accrualMode ?? DEFAULTS.accrualMode);
+    setPayCalendar(plan.payCalendar ?? DEFAULTS.payCalendar);
+    setPlanStart(plan.planStart ?? DEFAULTS.planStart);
+    setWindfalls(plan.windfalls ?? DEFAULTS.windfalls);
+    setOpenAllocIdx(null);
+  };
+
   const resetAll = () => {
     try {
       localStorage.removeItem(STORAGE_KEY);
     } catch {}
 
-    setDebts(DEFAULTS.debts);
-    setPaycheques(DEFAULTS.paycheques);
-    setBills(DEFAULTS.bills);
-    setMonthlyPayment(DEFAULTS.monthlyPayment);
-    setGoal(DEFAULTS.goal);
-    setPaymentMode(DEFAULTS.paymentMode);
-    setPaymentSchedule(DEFAULTS.paymentSchedule);
+    applyPlan(DEFAULTS);
+    setActiveScenarioId(null); // keep saved scenarios, but don't overwrite the active one
 
     setLastUpdated(null);
     setStatus("idle");
     setStatusMessage("");
     setShowDonate(false);
-    setOpenAllocIdx(null);
+    setPlanFileNotice(null);
+  };
+
+  // ---------- Scenarios ----------
+  useEffect(() => {
+    if (!activeScenarioId) return;
+    setScenarios((prev) => prev.map((sc) => (sc.id === activeScenarioId ? { ...sc, plan: currentPlan } : sc)));
+  }, [currentPlan, activeScenarioId]);
+
+  const saveScenario = () => {
+    const id = makeId("s");
+    const name = newScenarioName.trim() || `Scenario ${scenarios.length + 1}`;
+    setScenarios((prev) => [...prev, { id, name, plan: currentPlan }]);
+    setActiveScenarioId(id);
+    setNewScenarioName("");
+  };
+
+  const openScenario = (id) => {
+    const sc = scenarios.find((x) => x.id === id);
+    if (!sc || id === activeScenarioId) return;
+    if (!activeScenarioId && !window.confirm("Your current inputs aren't saved as a scenario. Replace them?")) return;
+    applyPlan(sc.plan);
+    setActiveScenarioId(id);
+  };
+
+  const renameScenario = (id, name) => {
+    setScenarios((prev) => prev.map((sc) => (sc.id === id ? { ...sc, name } : sc)));
+  };
+
+  const deleteScenario = (id) => {
+    setScenarios((prev) => prev.filter((sc) => sc.id !== id));
+    if (id === activeScenarioId) setActiveScenarioId(null);
+  };
+
+  // Any two scenarios side by side (differences are B - A)
+  const scenarioComparison = useMemo(() => {
+    if (scenarios.length < 2) return null;
+    const a = scenarios.find((sc) => sc.id === compareIds[0]) || scenarios[0];
+    const b = scenarios.find((sc) => sc.id === compareIds[1]) || scenarios.find((sc) => sc.id !== a.id);
+    const simA = simulatePlan({ ...DEFAULTS, ...a.plan });
+    const simB = simulatePlan({ ...DEFAULTS, ...b.plan });
+    return { a, b, simA, simB, result: compareScenarios(simA, simB, compareStrategy) };
+  }, [scenarios, compareIds, compareStrategy]);
+
+  // ---------- Plan file (download / open) ----------
+  const downloadPlan = () => {
+    const text = serializePlan(currentPlan);
+    downloadBlob(new Blob([text], { type: "application/json" }), "ClearPath_Plan.json");
+    setPlanFileNotice({ status: "success", message: "Plan downloaded. Open it here or in another browser to restore it." });
+  };
+
+  const openPlan = async (file) => {
+    if (!file) return;
+    let result;
+    try {
+      result = parsePlanFile(await file.text());
+    } catch {
+      result = { plan: null, errors: ["file: could not be read"] };
+    }
+
+    if (!result.plan) {
+      setPlanFileNotice({ status: "error", message: `${file.name} was not opened. Your current plan is unchanged.`, errors: result.errors });
+      return;
+    }
+
+    applyPlan(result.plan);
+    setActiveScenarioId(null);
+    setPlanFileNotice({
+      status: "success",
+      message:
+        result.version < PLAN_SCHEMA_VERSION
+          ? `Opened ${file.name} (updated from an older plan format).`
+          : `Opened ${file.name}.`,
+    });
   };
 
   // ---------- Debt helpers ----------
@@ -772,6 +835,80 @@ const monthExplanation = useMemo(() => {
       const next = prev.filter((_, i) => i !== index);
       return next.length ? next : [emptyDebt()];
     });
+    setOpenDebtOptionsIdx(null);
+  };
+
+  // Rate changes (per debt)
+  const addRateChange = (index) => {
+    setDebts((prev) =>
+      prev.map((d, i) => {
+        if (i !== index) return d;
+        const changes = d.rate_changes || [];
+        const last = changes[changes.length - 1];
+        const month = (clampNumber(last?.month, 0) || 0) + 12;
+        const rate = clampNumber(last?.rate, clampNumber(d.interest_rate, 0));
+        return { ...d, rate_changes: [...changes, { month, rate }] };
+      })
+    );
+  };
+
+  const updateRateChange = (index, changeIdx, patch) => {
+    setDebts((prev) =>
+      prev.map((d, i) =>
+        i === index
+          ? { ...d, rate_changes: (d.rate_changes || []).map((c, j) => (j === changeIdx ? { ...c, ...patch } : c)) }
+          : d
+      )
+    );
+  };
+
+  const removeRateChange = (index, changeIdx) => {
+    setDebts((prev) =>
+      prev.map((d, i) =>
+        i === index ? { ...d, rate_changes: (d.rate_changes || []).filter((_, j) => j !== changeIdx) } : d
+      )
+    );
+  };
+
+  // Fees (per debt)
+  const addFee = (index) => {
+    setDebts((prev) =>
+      prev.map((d, i) =>
+        i === index ? { ...d, fees: [...(d.fees || []), { kind: "annual", amount: "", percent: "", month: 1 }] } : d
+      )
+    );
+  };
+
+  const updateFee = (index, feeIdx, patch) => {
+    setDebts((prev) =>
+      prev.map((d, i) =>
+        i === index ? { ...d, fees: (d.fees || []).map((f, j) => (j === feeIdx ? { ...f, ...patch } : f)) } : d
+      )
+    );
+  };
+
+  const removeFee = (index, feeIdx) => {
+    setDebts((prev) =>
+      prev.map((d, i) => (i === index ? { ...d, fees: (d.fees || []).filter((_, j) => j !== feeIdx) } : d))
+    );
+  };
+
+  // ---------- Windfalls ----------
+  const addWindfall = () =>
+    setWindfalls((prev) => [...prev, { id: makeId("w"), label: "", month: 1, amount: "", debt_uid: "" }]);
+
+  const updateWindfall = (id, patch) =>
+    setWindfalls((prev) => prev.map((w) => (w.id === id ? { ...w, ...patch } : w)));
+
+  const removeWindfall = (id) => setWindfalls((prev) => prev.filter((w) => w.id !== id));
+
+  // ---------- Custom priority helpers ----------
+  const moveDebtPriority = (from, to) => {
+    if (from === to || to < 0 || to >= priorityDebts.length) return;
+    const uids = priorityDebts.map((d) => d.uid);
+    const [moved] = uids.splice(from, 1);
+    uids.splice(to, 0, moved);
+    setCustomOrder(uids);
   };
 
   // ---------- Schedule helpers ----------
@@ -825,84 +962,122 @@ const monthExplanation = useMemo(() => {
       prev.map((row, i) => {
         if (i !== scheduleIdx) return row;
         const alloc = {};
-        for (const d of activeDebts) alloc[d.id] = round2(d.minimum_payment);
+        activeDebts.forEach((d, j) => (alloc[d.id] = activeMinimums[j]));
         return { ...row, allocations: alloc };
       })
     );
   };
 
   const clearAllocationsForMonth = (scheduleIdx) => {
-    setPaymentSchedule((prev) => prev.map((row, i) => (i === scheduleIdx ? { ...row, allocations: {} } : row)));
+    setPaymentSchedule((prev) =>
+      prev.map((row, i) => (i === scheduleIdx ? { ...row, allocations: {}, locked: {} } : row))
+    );
   };
 
-  // ---------- PDF export snapshot (backend still accepts one payment) ----------
-  const exportPaymentForBackend = paymentMode === "schedule" ? avgPayment6 : mpFixed;
-
-  const exportPdf = async () => {
-    setLoading(true);
-    setStatus("idle");
-    setStatusMessage("");
-    setShowDonate(false);
-
-    try {
-      if (reality.isAtRisk) {
-        setStatus("error");
-        setStatusMessage("Survival Mode: export is locked until bills and minimums are covered.");
-        setLoading(false);
-        return;
-      }
-
-      if (activeDebts.length < 2) {
-        setStatus("error");
-        setStatusMessage("Please add at least two active debts to compare strategies.");
-        setLoading(false);
-        return;
-      }
-
-      const API_BASE_URL =
-  import.meta.env.VITE_API_BASE_URL || "http://localhost:5000";
-
-const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
-  method: "POST",
-  headers: { "Content-Type": "application/json" },
-  body: JSON.stringify({
-    debts: activeDebts.map((d) => ({
-      name: d.name,
-      type: d.type,
-      balance: d.balance,
-      interest_rate: d.interest_rate,
-      minimum_payment: d.minimum_payment,
-    })),
-    paycheques,
-    bills,
-    monthly_payment: exportPaymentForBackend,
-  }),
-});
-
-
-      if (!response.ok) {
-        let msg = "Failed to export PDF";
-        try {
-          const errJson = await response.json();
-          msg = errJson?.error || msg;
-        } catch {}
-        throw new Error(msg);
-      }
+  // Locked allocations are left alone by "Optimize allocations"
+  const toggleAllocationLock = (scheduleIdx, debtId) => {
+    setPaymentSchedule((prev) =>
+      prev.map((row, i) => {
+        if (i !== scheduleIdx) return row;
+        const locked = { ...(row.locked || {}) };
+        if (locked[debtId]) delete locked[debtId];
+        else locked[debtId] = true;
+        return { ...row, locked };
+      })
+    );
+  };
 
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
+  const optimizeSchedule = () => {
+    const planFnFor = (rows) =>
+      withWindfalls(
+        planPaymentFn({ paymentMode: "schedule", monthlyPayment: mpFixed, paymentSchedule: rows, payCalendar }, activeDebts, planStartMonth),
+        engineWindfalls
+      );
+    const opt = optimizeAllocations(activeDebts, paymentSchedule, { ...simOptions, objective: optimizeObjective, planFnFor });
+    setPaymentSchedule(opt.rows);
+    setOptimizeResult(opt);
+    setOpenAllocIdx(null);
+  };
 
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = "ClearPath_Debt_Report.pdf";
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
+  const exportSurvivalPlan = () => {
+    const pdf = buildSurvivalPlanPdf({
+      generatedAt: formatUpdated(nowIso()),
+      plan: survivalPlan,
+      steps: survivalPlanSteps,
+      monthLabel,
+      formatMoney,
+    });
+    downloadBlob(new Blob([pdf], { type: "application/pdf" }), "ClearPath_Survival_Plan.pdf");
+    setStatus("success");
+    setStatusMessage("Survival Mode plan exported.");
+  };
 
-      window.URL.revokeObjectURL(url);
+  // ---------- PDF export (built in the browser from the live simulation) ----------
+  const buildReport = () => {
+    const debtName = (id) => activeDebts.find((d) => d.id === Number(id))?.name ?? "Debt";
+    const bonusMonths = simulation.winnerResult.timeline.filter((row) => row.bonusPayment > 0).length;
 
-      const t = nowIso();
-      setLastUpdated(t);
+    return {
+      generatedAt: formatUpdated(nowIso()),
+      planStart: monthLabel(1),
+      goalLabel,
+      winnerLabel,
+      reality: {
+        income,
+        expenses,
+        freeCash,
+        minimumsTotal,
+      },
+      payment: {
+        mode: paymentMode,
+        monthlyPayment: mpFixed,
+        schedule: paymentSchedule.map((row) => ({
+          month: row.month,
+          amount: row.amount,
+          allocations: Object.entries(row.allocations || {}).map(([id, amount]) => ({ name: debtName(id), amount })),
+        })),
+        note: bonusMonths
+          ? `Paid on your paydays: ${bonusMonths} months have an extra paycheque that goes to the strategy target.`
+          : "",
+      },
+      windfalls: simulation.windfallImpact.map((w) => ({
+        ...w,
+        debtName: w.debt_id != null ? debtName(w.debt_id) : "",
+      })),
+      debts: activeDebts,
+      results: simulation.results,
+      winner: simulation.winner,
+      monthLabel,
+      formatMoney,
+    };
+  };
+
+  // Why the strategy report can't be exported yet ("" when it can)
+  const exportLockedReason = () => {
+    if (reality.survivalMode) return "Survival Mode: export is locked until bills and minimums are covered.";
+    if (reality.atRiskCause === "schedule") return "Fix the payment schedule so every month fits its budget and covers its minimums to export.";
+    if (reality.atRiskCause === "payment") {
+      return `Raise the monthly payment to at least $${formatMoney(reality.minimumsTotal)} (the minimums) to export.`;
+    }
+    if (activeDebts.length < 2 || !simulation) return "Please add at least two active debts to compare strategies.";
+    return "";
+  };
+
+  const exportPdf = () => {
+    setStatus("idle");
+    setStatusMessage("");
+    setShowDonate(false);
+
+    const locked = exportLockedReason();
+    if (locked) {
+      setStatus("error");
+      setStatusMessage(locked);
+      return;
+    }
+
+    try {
+      downloadBlob(new Blob([buildPlanReportPdf(buildReport())], { type: "application/pdf" }), "ClearPath_Debt_Report.pdf");
+      setLastUpdated(nowIso());
       setStatus("success");
       setStatusMessage("PDF exported successfully.");
       setShowDonate(true);
@@ -910,6 +1085,40 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
       console.error(err);
       setStatus("error");
       setStatusMessage(err?.message || "There was a problem exporting your PDF.");
+    }
+  };
+
+  // Opt-in: the same report rendered by the export API (offered only when SERVER_EXPORT_URL is set)
+  const exportServerPdf = async () => {
+    setStatus("idle");
+    setStatusMessage("");
+    setShowDonate(false);
+
+    const locked = exportLockedReason();
+    if (locked) {
+      setStatus("error");
+      setStatusMessage(locked);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const payload = buildExportPayloadV2({
+        plan: currentPlan,
+        debts: activeDebts.map((d, i) => ({ ...d, minimum_payment: activeMinimums[i] })),
+        startMonth: planStartMonth,
+        simulation,
+      });
+      downloadBlob(await requestServerPdf(SERVER_EXPORT_URL, payload), "ClearPath_Debt_Report.pdf");
+      setLastUpdated(nowIso());
+      setStatus("success");
+      setStatusMessage("PDF exported from the server.");
+      setShowDonate(true);
+    } catch (err) {
+      setStatus("error");
+      setStatusMessage(
+        `Server export failed: ${err?.message || "no response"}. Export PDF snapshot builds the same report on your device.`
+      );
     } finally {
       setLoading(false);
     }
@@ -918,7 +1127,9 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
   // ---------- UI helpers ----------
   const stateLabel =
     reality.state === "at_risk"
-      ? "Survival Mode (At Risk)"
+      ? reality.survivalMode
+        ? "Survival Mode (At Risk)"
+        : "Planning Mode (At Risk)"
       : reality.state === "tight"
       ? "Stability Mode (Tight)"
       : reality.state === "optimizing"
@@ -928,8 +1139,7 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
   const stateTone =
     reality.state === "at_risk" ? "danger" : reality.state === "tight" ? "warn" : "good";
 
-  const winnerLabel =
-    simulation?.winner === "snowball" ? "Snowball" : simulation?.winner === "avalanche" ? "Avalanche" : "";
+  const winnerLabel = simulation?.winnerResult?.label ?? "";
 
   const goalLabel =
     goal === "speed" ? "Fastest payoff" : goal === "interest" ? "Lowest interest" : "Easiest to stick to";
@@ -985,6 +1195,29 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
 
       <main className="container">
         <section className="left">
+          {storageNotice && (
+            <div className="notice error storage-notice">
+              <div className="storage-notice-top">
+                <b>
+                  {storageNotice.discarded
+                    ? "Your saved plan couldn't be loaded, so the app started fresh."
+                    : "Part of your saved plan was damaged and has been repaired."}
+                </b>
+                <button type="button" className="ghost" onClick={() => setStorageNotice(null)}>
+                  Dismiss
+                </button>
+              </div>
+              <ul className="plan-file-errors">
+                {storageNotice.repairs.map((r) => (
+                  <li key={r}>{r}</li>
+                ))}
+              </ul>
+              <div className="tiny">
+                A copy of the original data was kept in this browser's storage under "{BACKUP_KEY}".
+              </div>
+            </div>
+          )}
+
 
           {/* Reality Check */}
           <div className={`reality card ${stateTone}`}>
@@ -1018,7 +1251,7 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
             </div>
 
             {paymentMode === "schedule" && month1Info && (
-              <div className={`schedule-feasibility ${month1Info.overBudget ? "badbox" : ""}`}>
+              <div className={`schedule-feasibility ${month1Info.overBudget || scheduleIssues.length ? "badbox" : ""}`}>
                 <div className="sf-title">Schedule check (Month 1)</div>
                 <div className="sf-row">
                   <span>Total payment:</span> <b>${formatMoney(month1Info.payment)}</b>
@@ -1035,12 +1268,32 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                     Reduce allocations or increase the month payment.
                   </div>
                 )}
+                {scheduleIssues.some((issue) => issue.month > 1) && (
+                  <div className="sf-warn">
+                    Later months need attention too:
+                    <ul className="sf-issues">
+                      {scheduleIssues
+                        .filter((issue) => issue.month > 1)
+                        .map((issue) => (
+                          <li key={`${issue.kind}-${issue.month}-${issue.rowIndex}`}>
+                            {scheduleIssueText(issue, paymentSchedule[issue.rowIndex])}
+                          </li>
+                        ))}
+                    </ul>
+                  </div>
+                )}
               </div>
             )}
 
             {reality.isAtRisk ? (
               <div className="reality-callout">
-                <div className="callout-title">Survival Mode: stabilize first</div>
+                <div className="callout-title">
+                  {reality.atRiskCause === "survival"
+                    ? "Survival Mode: stabilize first"
+                    : reality.atRiskCause === "schedule"
+                    ? "Fix the payment schedule first"
+                    : "Your payment doesn’t cover the minimums"}
+                </div>
                 <ul className="callout-list">
                   {reality.cannotCoverBills && (
                     <li>
@@ -1052,31 +1305,131 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                       After bills, you’re short on minimum payments by <b>${formatMoney(reality.shortfallMinimums)}</b> per month.
                     </li>
                   )}
-                  {paymentMode === "schedule" && reality.scheduleInvalid && (
+                  {paymentMode === "schedule" &&
+                    scheduleIssues
+                      .filter((issue) => !(reality.month1BelowMins && issue.month === 1 && issue.kind === "below_minimum"))
+                      .map((issue) => (
+                        <li key={`${issue.kind}-${issue.month}-${issue.rowIndex}`}>
+                          {scheduleIssueText(issue, paymentSchedule[issue.rowIndex])}
+                        </li>
+                      ))}
+                  {reality.month1BelowMins && (
                     <li>
-                      Your month 1 allocations exceed your month 1 total payment. (Reduce allocations or raise month 1 payment.)
+                      {paymentMode === "schedule" ? "Your month 1 total payment" : "Your monthly payment"} is below minimums by{" "}
+                      <b>${formatMoney(reality.shortfallMonth1)}</b>.
                     </li>
                   )}
-                  {paymentMode === "schedule" && reality.month1BelowMins && (
+                  {reality.survivalMode && (
                     <li>
-                      Your month 1 total payment is below minimums by <b>${formatMoney(reality.shortfallMonth1)}</b>.
+                      Minimum income needed to exit Survival Mode: <b>${formatMoney(reality.minIncomeNeeded)}</b>/month
                     </li>
                   )}
-                  <li>
-                    Minimum income needed to exit Survival Mode: <b>${formatMoney(reality.minIncomeNeeded)}</b>/month
-                  </li>
                   <li>
                     Minimum debt payment needed (est.): <b>${formatMoney(reality.minDebtPaymentNeeded)}</b>/month
                   </li>
                 </ul>
 
+                {survivalPlan && (
+                  <div className="callout-actions">
+                    <div className="callout-h">What to do next</div>
+                    <ol className="callout-steps">
+                      {survivalPlanSteps.map((step) => (
+                        <li key={step}>{step}</li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+
+                {survivalPlan?.protect.length > 0 && (
+                  <div className="callout-actions">
+                    <div className="callout-h">Minimums to protect first</div>
+                    <div className="table-wrap">
+                      <table className="table survival-table">
+                        <thead>
+                          <tr>
+                            <th>#</th>
+                            <th>Debt</th>
+                            <th>Minimum</th>
+                            <th>Covered</th>
+                            <th>Why this order</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {survivalPlan.protect.map((p) => (
+                            <tr key={p.id} className={p.status === "covered" ? "" : "survival-short"}>
+                              <td>{p.rank}</td>
+                              <td className="td-strong">{p.name}</td>
+                              <td>${formatMoney(p.minimum)}</td>
+                              <td>
+                                ${formatMoney(p.covered)}
+                                {p.shortBy > 0 && <div className="tiny">${formatMoney(p.shortBy)} short</div>}
+                              </td>
+                              <td className="tiny">{p.reason}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+
+                {survivalPlan?.hardship && (
+                  <div className="callout-actions">
+                    <div className="callout-h">If the cards agree to a hardship rate</div>
+                    <div className="field survival-rate">
+                      <label className="small-label">Hardship APR (%)</label>
+                      <input
+                        type="number"
+                        min={0}
+                        step="0.1"
+                        value={hardshipRate}
+                        onChange={(e) => setHardshipRate(keepBlankOrNumber(e.target.value, HARDSHIP_RATE))}
+                      />
+                    </div>
+                    <div className="table-wrap">
+                      <table className="table survival-table">
+                        <thead>
+                          <tr>
+                            <th />
+                            <th>Today</th>
+                            <th>At {formatMoney(survivalPlan.hardship.rate)}%</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          <tr>
+                            <td className="td-strong">Minimum payments</td>
+                            <td>${formatMoney(survivalPlan.minimumsTotal)}</td>
+                            <td>${formatMoney(survivalPlan.hardship.minimumsTotal)}</td>
+                          </tr>
+                          <tr>
+                            <td className="td-strong">Monthly gap</td>
+                            <td>${formatMoney(survivalPlan.gap)}</td>
+                            <td>${formatMoney(survivalPlan.hardship.gap)}</td>
+                          </tr>
+                          <tr>
+                            <td className="td-strong">Interest, first 12 months</td>
+                            <td>${formatMoney(survivalPlan.hardship.before.firstYearInterest)}</td>
+                            <td>${formatMoney(survivalPlan.hardship.after.firstYearInterest)}</td>
+                          </tr>
+                          <tr>
+                            <td className="td-strong">Paying what’s left after bills</td>
+                            {[survivalPlan.hardship.before, survivalPlan.hardship.after].map((o, i) => (
+                              <td key={i}>{o.paidOff ? `Debt-free by ${monthLabel(o.monthsToDebtFree)}` : "Never pays off"}</td>
+                            ))}
+                          </tr>
+                        </tbody>
+                      </table>
+                    </div>
+                    <div className="tiny">
+                      Applies to {survivalPlan.hardship.debts.map((d) => `${d.name} (${formatMoney(d.from)}%)`).join(", ")}.
+                    </div>
+                  </div>
+                )}
+
                 <div className="callout-actions">
-                  <div className="callout-h">What to do next</div>
-                  <ol className="callout-steps">
-                    <li>Cover bills first (reduce expenses or increase income).</li>
-                    <li>Then ensure you can meet minimum payments consistently.</li>
-                    <li>Once stable, ClearPath unlocks strategy comparisons and timelines.</li>
-                  </ol>
+                  <button type="button" className="ghost" onClick={exportSurvivalPlan}>
+                    Download this plan (PDF)
+                  </button>
                 </div>
               </div>
             ) : (
@@ -1132,23 +1485,21 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
             </div>
 
             <div className="grid">
-              <div className="field">
-                <label>Monthly Income</label>
-                <input
-                  type="number"
-                  value={paycheques?.[0]?.amount ?? 0}
-                  onChange={(e) => setPaycheques([{ amount: keepBlankOrNumber(e.target.value, 0) }])}
-                />
-              </div>
-
-              <div className="field">
-                <label>Monthly Bills</label>
-                <input
-                  type="number"
-                  value={bills?.[0]?.amount ?? 0}
-                  onChange={(e) => setBills([{ amount: keepBlankOrNumber(e.target.value, 0) }])}
-                />
-              </div>
+              <CashFlowList
+                title="Income"
+                entries={paycheques}
+                onChange={setPaycheques}
+                addLabel="+ Add income"
+                placeholder="Paycheque"
+              />
+
+              <CashFlowList
+                title="Bills"
+                entries={bills}
+                onChange={setBills}
+                addLabel="+ Add bill"
+                placeholder="Rent, phone, groceries..."
+              />
 
               <div className="field field-wide">
                 <label>Your goal</label>
@@ -1159,6 +1510,71 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                 </select>
               </div>
 
+              <div className="field field-wide">
+                <label>Plan starts</label>
+                <input type="month" value={planStartMonth} onChange={(e) => setPlanStart(e.target.value)} />
+                <div className="hint">Month 1 of the plan. Payoff dates below count from here.</div>
+              </div>
+
+              {uiMode === "advanced" && (
+                <div className="field field-wide">
+                  <label>Hybrid strategy: snowball balances under ($)</label>
+                  <input
+                    type="number"
+                    value={hybridThreshold}
+                    onChange={(e) => setHybridThreshold(keepBlankOrNumber(e.target.value, 0, 0))}
+                  />
+                  <div className="hint">
+                    Hybrid clears any debt below this balance first, then switches to highest interest.
+                  </div>
+                </div>
+              )}
+
+              {uiMode === "advanced" && (
+                <div className="field field-wide">
+                  <label>Interest calculation</label>
+                  <select value={accrualMode} onChange={(e) => setAccrualMode(e.target.value)}>
+                    <option value="monthly">Monthly (balance × APR ÷ 12)</option>
+                    <option value="daily_balance">Average daily balance (matches card statements)</option>
+                  </select>
+                  <div className="hint">
+                    Daily balance uses each debt’s statement and payment day (set under its “Details”). Paying
+                    earlier in the cycle saves interest.
+                  </div>
+                </div>
+              )}
+
+              {uiMode === "advanced" && (
+                <div className="field field-wide">
+                  <label>Pay debts on your paydays</label>
+                  <div className="debt-options-grid">
+                    <select
+                      value={payCalendar.frequency}
+                      onChange={(e) => setPayCalendar((c) => ({ ...c, frequency: e.target.value }))}
+                    >
+                      <option value="">Off (once a month)</option>
+                      {PAY_FREQUENCIES.map((f) => (
+                        <option key={f} value={f}>
+                          {getFrequency(f).label}
+                        </option>
+                      ))}
+                    </select>
+                    {payCalendar.frequency && (
+                      <input
+                        type="date"
+                        value={payCalendar.start_date}
+                        onChange={(e) => setPayCalendar((c) => ({ ...c, start_date: e.target.value }))}
+                      />
+                    )}
+                  </div>
+                  <div className="hint">
+                    Pick a recent payday. Your monthly payment is split across a normal month’s paycheques; months with
+                    an extra weekly or bi-weekly paycheque send that share to your strategy target as a bonus.
+                    With daily balance interest, payments post on your paydays instead of each debt’s payment day.
+                  </div>
+                </div>
+              )}
+
           {/* Payment Mode (Simple vs Advanced wrapper) */}
 {uiMode === "simple" ? (
   // SIMPLE MODE: fixed payment only
@@ -1167,7 +1583,7 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
     <input
       type="number"
       value={monthlyPayment}
-      onChange={(e) => setMonthlyPayment(keepBlankOrNumber(e.target.value, 0))}
+      onChange={(e) => setMonthlyPayment(keepBlankOrNumber(e.target.value, 0, 0))}
     />
     <div className="hint">Simple mode uses one steady payment every month.</div>
   </div>
@@ -1206,7 +1622,7 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
         <input
           type="number"
           value={monthlyPayment}
-          onChange={(e) => setMonthlyPayment(keepBlankOrNumber(e.target.value, 0))}
+          onChange={(e) => setMonthlyPayment(keepBlankOrNumber(e.target.value, 0, 0))}
         />
       </div>
     ) : (
@@ -1226,13 +1642,40 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
           <div className="schedule-note">Beyond your last month, ClearPath repeats the last month’s plan.</div>
         </div>
 
+        <div className="schedule-toolbar">
+          <select value={optimizeObjective} onChange={(e) => setOptimizeObjective(e.target.value)}>
+            <option value="interest">Lowest interest</option>
+            <option value="months">Fastest payoff</option>
+          </select>
+          <button type="button" className="ghost" onClick={optimizeSchedule} disabled={!activeDebts.length}>
+            Optimize allocations
+          </button>
+          <div className="schedule-note">Fills each month’s allocations for these totals. Locked allocations are kept.</div>
+        </div>
+
+        {optimizeResult && optimizeResult.rows === paymentSchedule && (
+          <div className="notice success optimize-summary">
+            <div>
+              Optimized for {optimizeObjective === "months" ? "fastest payoff" : "lowest interest"}: debt-free by{" "}
+              <b>{payoffLabel(optimizeResult.result.paidOff, optimizeResult.result.monthsToDebtFree)}</b> with{" "}
+              <b>${formatMoney(optimizeResult.result.totalInterest)}</b> interest.
+            </div>
+            {optimizeResult.baselines.map((b) => (
+              <div key={b.strategy}>
+                vs {STRATEGIES.find((st) => st.id === b.strategy)?.label ?? b.strategy}: {optimizeSavingsText(b)}
+              </div>
+            ))}
+          </div>
+        )}
+
         <div className="schedule-list">
           {(paymentSchedule || []).map((row, idx) => {
             const planInfo = computeScheduleMonthRequiredPayments(activeDebts, row, row.amount);
+            const rowIssues = scheduleIssues.filter((issue) => issue.rowIndex === idx);
             const isOpen = openAllocIdx === idx;
 
             return (
-              <div className={`schedule-rowCard ${planInfo.overBudget ? "over" : ""}`} key={idx}>
+              <div className={`schedule-rowCard ${planInfo.overBudget || rowIssues.length ? "over" : ""}`} key={idx}>
                 <div className="schedule-rowTop">
                   <div className="schedule-topLeft">
                     <div className="field schedule-month">
@@ -1292,11 +1735,11 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                   </div>
                 </div>
 
-                {planInfo.overBudget && (
-                  <div className="alloc-warning">
-                    Over budget: your required payments (minimums + allocations) exceed this month’s total payment.
+                {rowIssues.map((issue) => (
+                  <div className="alloc-warning" key={`${issue.kind}-${issue.month}`}>
+                    {scheduleIssueText(issue, row)}
                   </div>
-                )}
+                ))}
 
                 {isOpen && (
                   <div className="alloc-panel">
@@ -1313,9 +1756,9 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                     </div>
 
                     <div className="alloc-grid">
-                      {activeDebts.map((d) => {
+                      {activeDebts.map((d, j) => {
                         const current = clampNumber(row?.allocations?.[d.id], 0);
-                        const min = d.minimum_payment;
+                        const min = activeMinimums[j];
 
                         return (
                           <div className="alloc-item" key={d.id}>
@@ -1337,6 +1780,14 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                               <div className="tiny">
                                 If left blank/0, ClearPath pays the minimum automatically.
                               </div>
+                              <label className="tiny alloc-lock">
+                                <input
+                                  type="checkbox"
+                                  checked={!!row.locked?.[d.id]}
+                                  onChange={() => toggleAllocationLock(idx, d.id)}
+                                />
+                                Lock (keep when optimizing)
+                              </label>
                             </div>
                           </div>
                         );
@@ -1408,7 +1859,7 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                     <input
                       type="number"
                       value={d.balance}
-                      onChange={(e) => updateDebt(idx, { balance: keepBlankOrNumber(e.target.value, 0) })}
+                      onChange={(e) => updateDebt(idx, { balance: keepBlankOrNumber(e.target.value, 0, 0) })}
                     />
                   </div>
 
@@ -1418,13 +1869,26 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                       type="number"
                       step="0.01"
                       value={d.interest_rate}
-                      onChange={(e) => updateDebt(idx, { interest_rate: keepBlankOrNumber(e.target.value, 0) })}
+                      onChange={(e) => updateDebt(idx, { interest_rate: keepBlankOrNumber(e.target.value, 0, 0) })}
                     />
+                    {uiMode === "advanced" && (
+                      <button
+                        type="button"
+                        className="link"
+                        onClick={() => setOpenDebtOptionsIdx(openDebtOptionsIdx === idx ? null : idx)}
+                      >
+                        {openDebtOptionsIdx === idx ? "Hide details" : "Details"}
+                        {(d.promo_enabled || d.rate_changes?.length > 0 || getLoanTerms(d)) && " •"}
+                      </button>
+                    )}
                   </div>
 
                   <div className="field debt-min-est">
                     <label>Minimum (est.)</label>
-                    <div className="readonly">${formatMoney(estimateMinimumPayment(d))}</div>
+                    <div className="readonly">${formatMoney(d.estimated_minimum_payment)}</div>
+                    {d.min_formula && d.min_formula !== "auto" && (
+                      <div className="tiny">{getMinPaymentPreset(d.min_formula).label}</div>
+                    )}
 
                     <button
                       type="button"
@@ -1445,7 +1909,7 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                         <input
                           type="number"
                           value={d.min_override_amount ?? 0}
-                          onChange={(e) => updateDebt(idx, { min_override_amount: keepBlankOrNumber(e.target.value, 0) })}
+                          onChange={(e) => updateDebt(idx, { min_override_amount: keepBlankOrNumber(e.target.value, 0, 0) })}
                         />
                         <div className="tiny">Use your statement minimum if you know it.</div>
                       </div>
@@ -1457,6 +1921,312 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                       Remove
                     </button>
                   </div>
+
+                  {uiMode === "advanced" && openDebtOptionsIdx === idx && (
+                    <div className="debt-options advanced">
+                      <div className="debt-options-section">
+                        <div className="small-label">Minimum payment formula</div>
+                        <div className="debt-options-grid">
+                          <div className="field">
+                            <select
+                              value={d.min_formula || "auto"}
+                              onChange={(e) => updateDebt(idx, { min_formula: e.target.value })}
+                            >
+                              {MIN_PAYMENT_PRESETS.map((p) => (
+                                <option key={p.id} value={p.id}>
+                                  {p.label}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                          {d.min_formula === "fixed" && (
+                            <div className="field">
+                              <label className="small-label">Fixed payment ($)</label>
+                              <input
+                                type="number"
+                                value={d.min_fixed_amount ?? ""}
+                                onChange={(e) => updateDebt(idx, { min_fixed_amount: keepBlankOrNumber(e.target.value, 0) })}
+                              />
+                            </div>
+                          )}
+                        </div>
+                        <div className="tiny">
+                          {getMinPaymentPreset(d.min_formula).description} Check your statement or cardholder agreement
+                          for your issuer’s rule.
+                        </div>
+                      </div>
+
+                      {d.type === "loan" && (() => {
+                        const terms = getLoanTerms(d);
+                        const planPayoff = simulation?.winnerResult?.perDebt.find((p) => p.id === idx)?.payoffMonth;
+                        return (
+                          <div className="debt-options-section">
+                            <div className="small-label">Installment loan terms</div>
+                            <div className="debt-options-grid">
+                              <div className="field">
+                                <label className="small-label">Original term (months)</label>
+                                <input
+                                  type="number"
+                                  value={d.original_term ?? ""}
+                                  onChange={(e) => updateDebt(idx, { original_term: keepBlankOrNumber(e.target.value, 0) })}
+                                />
+                              </div>
+                              <div className="field">
+                                <label className="small-label">Remaining months</label>
+                                <input
+                                  type="number"
+                                  value={d.remaining_months ?? ""}
+                                  onChange={(e) => updateDebt(idx, { remaining_months: keepBlankOrNumber(e.target.value, 0) })}
+                                />
+                              </div>
+                              <div className="field">
+                                <label className="small-label">Contractual payment ($)</label>
+                                <input
+                                  type="number"
+                                  value={d.contractual_payment ?? ""}
+                                  placeholder={terms ? formatMoney(terms.payment) : "From remaining months"}
+                                  onChange={(e) =>
+                                    updateDebt(idx, { contractual_payment: keepBlankOrNumber(e.target.value, 0) })
+                                  }
+                                />
+                              </div>
+                            </div>
+
+                            {terms ? (
+                              <>
+                                <div className="tiny">
+                                  Payment: <b>${formatMoney(terms.payment)}</b>/month ·{" "}
+                                  {Number.isFinite(terms.remainingMonths)
+                                    ? `paid off in ${terms.remainingMonths} months at this payment`
+                                    : "this payment does not cover the interest"}
+                                  {terms.monthsElapsed != null && ` · ${terms.monthsElapsed} of ${terms.originalTerm} months paid`}
+                                </div>
+                                {planPayoff != null &&
+                                  Number.isFinite(terms.remainingMonths) &&
+                                  planPayoff < terms.remainingMonths && (
+                                    <div className="tiny">
+                                      With your plan ({simulation.winnerResult.label}): paid off in{" "}
+                                      <b>{monthLabel(planPayoff)}</b>, {terms.remainingMonths - planPayoff} months early. Extra
+                                      payments shorten the term; the payment stays the same.
+                                    </div>
+                                  )}
+                                <button
+                                  type="button"
+                                  className="link"
+                                  onClick={() => setShowAmortIdx(showAmortIdx === idx ? null : idx)}
+                                >
+                                  {showAmortIdx === idx ? "Hide amortization schedule" : "Show amortization schedule"}
+                                </button>
+                                {showAmortIdx === idx && (
+                                  <div className="table-wrap amort-wrap">
+                                    <table className="table">
+                                      <thead>
+                                        <tr>
+                                          <th>Month</th>
+                                          <th>Payment</th>
+                                          <th>Interest</th>
+                                          <th>Principal</th>
+                                          <th>Balance</th>
+                                        </tr>
+                                      </thead>
+                                      <tbody>
+                                        {amortizationSchedule(d).map((row) => (
+                                          <tr key={row.month}>
+                                            <td>{row.month}</td>
+                                            <td>${formatMoney(row.payment)}</td>
+                                            <td>${formatMoney(row.interest)}</td>
+                                            <td>${formatMoney(row.principal)}</td>
+                                            <td>${formatMoney(row.balance)}</td>
+                                          </tr>
+                                        ))}
+                                      </tbody>
+                                    </table>
+                                  </div>
+                                )}
+                              </>
+                            ) : (
+                              <div className="tiny">
+                                Enter the remaining months or your contractual payment to amortize this loan exactly.
+                                Otherwise the minimum is estimated as interest + balance ÷ 36.
+                              </div>
+                            )}
+                          </div>
+                        );
+                      })()}
+
+                      <div className="debt-options-section">
+                        <label className="checkbox-row">
+                          <input
+                            type="checkbox"
+                            checked={!!d.promo_enabled}
+                            onChange={(e) => updateDebt(idx, { promo_enabled: e.target.checked })}
+                          />
+                          <span>Intro / promo rate (e.g. 0% balance transfer)</span>
+                        </label>
+
+                        {d.promo_enabled && (
+                          <div className="debt-options-grid">
+                            <div className="field">
+                              <label className="small-label">Promo APR (%)</label>
+                              <input
+                                type="number"
+                                step="0.01"
+                                value={d.promo_rate ?? 0}
+                                onChange={(e) => updateDebt(idx, { promo_rate: keepBlankOrNumber(e.target.value, 0) })}
+                              />
+                            </div>
+                            <div className="field">
+                              <label className="small-label">Promo ends after month</label>
+                              <input
+                                type="number"
+                                value={d.promo_end_month ?? 12}
+                                onChange={(e) => updateDebt(idx, { promo_end_month: keepBlankOrNumber(e.target.value, 1) })}
+                              />
+                            </div>
+                            <label className="checkbox-row">
+                              <input
+                                type="checkbox"
+                                checked={!!d.promo_deferred}
+                                onChange={(e) => updateDebt(idx, { promo_deferred: e.target.checked })}
+                              />
+                              <span>Deferred interest (all back interest is charged if not paid off in time)</span>
+                            </label>
+                          </div>
+                        )}
+                      </div>
+
+                      <div className="debt-options-section">
+                        <div className="small-label">Rate changes (variable rate)</div>
+                        {(d.rate_changes || []).map((c, j) => (
+                          <div className="debt-options-grid" key={j}>
+                            <div className="field">
+                              <label className="small-label">From month</label>
+                              <input
+                                type="number"
+                                value={c.month}
+                                onChange={(e) => updateRateChange(idx, j, { month: keepBlankOrNumber(e.target.value, 1) })}
+                              />
+                            </div>
+                            <div className="field">
+                              <label className="small-label">New APR (%)</label>
+                              <input
+                                type="number"
+                                step="0.01"
+                                value={c.rate}
+                                onChange={(e) => updateRateChange(idx, j, { rate: keepBlankOrNumber(e.target.value, 0) })}
+                              />
+                            </div>
+                            <button type="button" className="ghost" onClick={() => removeRateChange(idx, j)}>
+                              Remove
+                            </button>
+                          </div>
+                        ))}
+                        <button type="button" className="ghost" onClick={() => addRateChange(idx)}>
+                          + Add rate change
+                        </button>
+                        <div className="tiny">
+                          The APR you entered applies until the first change. A promo rate overrides both while it
+                          lasts.
+                        </div>
+                      </div>
+
+                      <div className="debt-options-section">
+                        <div className="small-label">Fees</div>
+                        {(d.fees || []).map((f, j) => (
+                          <div className="debt-options-grid" key={j}>
+                            <div className="field">
+                              <label className="small-label">Kind</label>
+                              <select value={f.kind} onChange={(e) => updateFee(idx, j, { kind: e.target.value })}>
+                                {FEE_KINDS.map((k) => (
+                                  <option key={k} value={k}>
+                                    {FEE_KIND_LABELS[k]}
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                            <div className="field">
+                              <label className="small-label">Amount ($)</label>
+                              <input
+                                type="number"
+                                value={f.amount ?? ""}
+                                onChange={(e) => updateFee(idx, j, { amount: keepBlankOrNumber(e.target.value, 0) })}
+                              />
+                            </div>
+                            {f.kind === "one_time" && (
+                              <div className="field">
+                                <label className="small-label">% of balance</label>
+                                <input
+                                  type="number"
+                                  step="0.1"
+                                  value={f.percent ?? ""}
+                                  onChange={(e) => updateFee(idx, j, { percent: keepBlankOrNumber(e.target.value, 0) })}
+                                />
+                              </div>
+                            )}
+                            <div className="field">
+                              <label className="small-label">{f.kind === "one_time" ? "Month" : "First month"}</label>
+                              <input
+                                type="number"
+                                min="1"
+                                value={f.month ?? 1}
+                                onChange={(e) => updateFee(idx, j, { month: keepBlankOrNumber(e.target.value, 1) })}
+                              />
+                            </div>
+                            <button type="button" className="ghost" onClick={() => removeFee(idx, j)}>
+                              Remove
+                            </button>
+                          </div>
+                        ))}
+                        <button type="button" className="ghost" onClick={() => addFee(idx)}>
+                          + Add fee
+                        </button>
+                        <div className="debt-options-grid">
+                          <div className="field">
+                            <label className="small-label">Late fee ($)</label>
+                            <input
+                              type="number"
+                              value={d.late_fee ?? ""}
+                              placeholder="0"
+                              onChange={(e) => updateDebt(idx, { late_fee: keepBlankOrNumber(e.target.value, 0) })}
+                            />
+                          </div>
+                        </div>
+                        <div className="tiny">
+                          Fees are added to the balance in the month they post. A balance-transfer fee is a one-time
+                          fee, usually 3-5% of the balance. The late fee applies in any month the minimum isn't covered.
+                        </div>
+                      </div>
+
+                      {accrualMode === "daily_balance" && (
+                        <div className="debt-options-section">
+                          <div className="small-label">Billing cycle (daily balance interest)</div>
+                          <div className="debt-options-grid">
+                            <div className="field">
+                              <label className="small-label">Statement day (1-28)</label>
+                              <input
+                                type="number"
+                                min="1"
+                                max="28"
+                                value={d.statement_day ?? 1}
+                                onChange={(e) => updateDebt(idx, { statement_day: keepBlankOrNumber(e.target.value, 1) })}
+                              />
+                            </div>
+                            <div className="field">
+                              <label className="small-label">Payment day (1-28)</label>
+                              <input
+                                type="number"
+                                min="1"
+                                max="28"
+                                value={d.payment_day ?? ""}
+                                placeholder="21 days after statement"
+                                onChange={(e) => updateDebt(idx, { payment_day: keepBlankOrNumber(e.target.value, 1) })}
+                              />
+                            </div>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -1464,6 +2234,134 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
             <button className="ghost add-debt" onClick={addDebt} disabled={loading} type="button">
               + Add debt
             </button>
+
+            {priorityDebts.length >= 2 && (
+              <>
+                <div className="divider" />
+
+                <div className="debts-header">
+                  <div className="card-title" style={{ margin: 0 }}>
+                    Custom priority order
+                  </div>
+                </div>
+                <div className="hint">
+                  Drag debts into the order you want them paid off (for example, a family loan first). The Custom
+                  strategy sends extra money to the top debt first.
+                </div>
+
+                <div className="priority-list">
+                  {priorityDebts.map((d, idx) => (
+                    <div
+                      className={`priority-item ${dragPriorityIdx === idx ? "dragging" : ""}`}
+                      key={d.uid ?? d.id}
+                      draggable
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = "move";
+                        setDragPriorityIdx(idx);
+                      }}
+                      onDragOver={(e) => {
+                        e.preventDefault();
+                        if (dragPriorityIdx == null || dragPriorityIdx === idx) return;
+                        moveDebtPriority(dragPriorityIdx, idx);
+                        setDragPriorityIdx(idx);
+                      }}
+                      onDragEnd={() => setDragPriorityIdx(null)}
+                    >
+                      <span className="priority-handle" aria-hidden="true">⋮⋮</span>
+                      <span className="priority-rank">{idx + 1}</span>
+                      <span className="priority-name">{d.name}</span>
+                      <span className="priority-sub">
+                        ${formatMoney(d.balance)} · {formatMoney(d.interest_rate)}%
+                      </span>
+                      <div className="priority-actions">
+                        <button
+                          type="button"
+                          className="ghost"
+                          onClick={() => moveDebtPriority(idx, idx - 1)}
+                          disabled={idx === 0}
+                          aria-label={`Move ${d.name} up`}
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          className="ghost"
+                          onClick={() => moveDebtPriority(idx, idx + 1)}
+                          disabled={idx === priorityDebts.length - 1}
+                          aria-label={`Move ${d.name} down`}
+                        >
+                          ↓
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+
+            {uiMode === "advanced" && (
+              <>
+                <div className="divider" />
+
+                <div className="debts-header">
+                  <div className="card-title" style={{ margin: 0 }}>
+                    Windfalls
+                  </div>
+                </div>
+                <div className="hint">
+                  Tax refunds, bonuses, gifts: one-off amounts on top of your monthly payment. Pin one to a debt, or let
+                  the strategy decide where it goes.
+                </div>
+
+                {windfalls.map((w) => (
+                  <div className="debt-options-grid windfall-row" key={w.id}>
+                    <div className="field">
+                      <label className="small-label">What</label>
+                      <input
+                        value={w.label}
+                        placeholder="Tax refund"
+                        onChange={(e) => updateWindfall(w.id, { label: e.target.value })}
+                      />
+                    </div>
+                    <div className="field">
+                      <label className="small-label">Month ({monthLabel(clampNumber(w.month, 1))})</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={w.month}
+                        onChange={(e) => updateWindfall(w.id, { month: keepBlankOrNumber(e.target.value, 1, 1) })}
+                      />
+                    </div>
+                    <div className="field">
+                      <label className="small-label">Amount ($)</label>
+                      <input
+                        type="number"
+                        value={w.amount}
+                        onChange={(e) => updateWindfall(w.id, { amount: keepBlankOrNumber(e.target.value, 0, 0) })}
+                      />
+                    </div>
+                    <div className="field">
+                      <label className="small-label">Goes to</label>
+                      <select value={w.debt_uid} onChange={(e) => updateWindfall(w.id, { debt_uid: e.target.value })}>
+                        <option value="">Strategy decides</option>
+                        {activeDebts.map((d) => (
+                          <option key={d.uid} value={d.uid}>
+                            {d.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <button type="button" className="ghost" onClick={() => removeWindfall(w.id)}>
+                      Remove
+                    </button>
+                  </div>
+                ))}
+
+                <button type="button" className="ghost" onClick={addWindfall}>
+                  + Add windfall
+                </button>
+              </>
+            )}
           </div>
 
           {/* Live Results */}
@@ -1475,15 +2373,27 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                   Updates instantly. Goal: <b>{goalLabel}</b>.
                 </div>
               </div>
-              <div className="pill">Mode: {paymentMode === "fixed" ? "Fixed" : "Plan type: Month-by-month"}</div>
+              <div className="pill">
+                Mode: {paymentMode === "fixed" ? "Fixed" : "Plan type: Month-by-month"}
+                {accrualMode === "daily_balance" && " · Daily balance interest"}
+              </div>
             </div>
 
             {reality.isAtRisk ? (
               <div className="locked">
-                <div className="locked-title">Locked (Survival Mode)</div>
+                <div className="locked-title">
+                  {reality.atRiskCause === "survival"
+                    ? "Locked (Survival Mode)"
+                    : reality.atRiskCause === "schedule"
+                    ? "Locked (payment schedule)"
+                    : "Locked (payment below minimums)"}
+                </div>
                 <div className="locked-text">
-                  Strategy comparison is disabled until bills and minimums are covered (and month 1 allocations fit inside
-                  month 1 payment).
+                  {reality.atRiskCause === "survival"
+                    ? "Strategy comparison is disabled until bills and minimums are covered."
+                    : reality.atRiskCause === "schedule"
+                    ? "Strategy comparison is disabled until every month of the schedule fits its budget and covers its minimums."
+                    : `Strategy comparison is disabled until the monthly payment covers the minimums ($${formatMoney(reality.minimumsTotal)}).`}
                 </div>
               </div>
             ) : !simulation ? (
@@ -1493,39 +2403,79 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
               </div>
             ) : (
               <>
+                <PayoffChart
+                  results={simulation.results}
+                  debts={activeDebts}
+                  selectedMonth={monthDetails?.m}
+                  onSelectMonth={setSelectedMonth}
+                  detailsFor={(m) => getMonthDetails(simulation, m)}
+                  monthLabel={monthLabel}
+                  shortMonthLabel={shortMonthLabel}
+                  formatMoney={formatMoney}
+                />
+
                 {monthDetails && (
   <div className="monthBar">
     <div className="monthLeft">
-      <div className="monthLabel">Show month</div>
-      <select
-        value={monthDetails.m}
-        onChange={(e) => setSelectedMonth(clampNumber(e.target.value, 1))}
-      >
-        {Array.from({ length: monthDetails.max }, (_, i) => i + 1).map((m) => (
-          <option key={m} value={m}>
-            Month {m}
-          </option>
-        ))}
-      </select>
+      <div className="monthLabel">Selected month (click the chart)</div>
+      <div className="month-step">
+        <button
+          type="button"
+          className="ghost"
+          onClick={() => setSelectedMonth(monthDetails.m - 1)}
+          disabled={monthDetails.m <= 1}
+          aria-label="Previous month"
+        >
+          ‹
+        </button>
+        <b>{monthLabel(monthDetails.m)}</b>
+        <button
+          type="button"
+          className="ghost"
+          onClick={() => setSelectedMonth(monthDetails.m + 1)}
+          disabled={monthDetails.m >= monthDetails.max}
+          aria-label="Next month"
+        >
+          ›
+        </button>
+      </div>
     </div>
 
     <div className="monthRight">
   <div className="monthChip">
     Monthly payment:{" "}
-    <b>${formatMoney(monthDetails.snowMonth.paymentThisMonth)}</b>
+    <b>${formatMoney(monthDetails.winnerMonth.paymentThisMonth)}</b>
   </div>
 
   <div className="monthChip">
     Must-pay amount:{" "}
-    <b>${formatMoney(monthDetails.snowMonth.requiredSum)}</b>
+    <b>${formatMoney(monthDetails.winnerMonth.requiredSum)}</b>
   </div>
 
   <div className="monthChip">
     Extra you can aim:{" "}
-    <b>${formatMoney(monthDetails.snowMonth.unassigned)}</b>
+    <b>${formatMoney(monthDetails.winnerMonth.unassigned)}</b>
   </div>
+
+  {monthDetails.winnerMonth.windfall > 0 && (
+    <div className="monthChip">
+      Windfall:{" "}
+      <b>${formatMoney(monthDetails.winnerMonth.windfall)}</b>
+    </div>
+  )}
+
+  {monthDetails.winnerMonth.bonusPayment > 0 && (
+    <div className="monthChip">
+      Extra paycheque bonus:{" "}
+      <b>${formatMoney(monthDetails.winnerMonth.bonusPayment)}</b>
+    </div>
+  )}
 </div>
 
+{monthDetails.winnerMonth.payDates.length > 0 && (
+  <div className="tiny">Paydays: {monthDetails.winnerMonth.payDates.join(", ")}</div>
+)}
+
 {monthExplanation && (
   <div className="monthExplanation">
     {monthExplanation}
@@ -1543,83 +2493,93 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
 
 {monthDetails && (
   <div className="targetsGrid">
-    <div className="targetCard">
-      <div className="targetH">Snowball target (Month {monthDetails.m})</div>
-      <div className="targetName">{monthDetails.snowMonth.targetDebtName || "—"}</div>
-      <div className="targetSub">
-  Applied to target this month: <b>${formatMoney(monthDetails.snowMonth.appliedToTargetThisMonth)}</b>
-</div>
-<div className="targetSub muted">
-  Extra decided automatically (total): ${formatMoney(monthDetails.snowMonth.extraPaid)}
-</div>
-
-
-    </div>
-
-    <div className="targetCard">
-      <div className="targetH">Avalanche target (Month {monthDetails.m})</div>
-      <div className="targetName">{monthDetails.avalMonth.targetDebtName || "—"}</div>
-      <div className="targetSub">
-  Applied to target this month: <b>${formatMoney(monthDetails.avalMonth.appliedToTargetThisMonth)}</b>
-</div>
-<div className="targetSub muted">
-  Extra decided automatically (total): ${formatMoney(monthDetails.avalMonth.extraPaid)}
-</div>
-
-    </div>
+    {monthDetails.byStrategy.map(({ strategy, label, entry }) => (
+      <div className="targetCard" key={strategy}>
+        <div className="targetH">{label} target ({monthLabel(monthDetails.m)})</div>
+        <div className="targetName">{entry.targetDebtName || "—"}</div>
+        <div className="targetSub">
+          Applied to target this month: <b>${formatMoney(entry.appliedToTargetThisMonth)}</b>
+        </div>
+        <div className="targetSub muted">
+          Extra decided automatically (total): ${formatMoney(entry.extraPaid)}
+        </div>
+      </div>
+    ))}
   </div>
 )}
 
-                <div className="result-grid">
-                  <div className={`result-card ${simulation.winner === "snowball" ? "winner" : ""}`}>
-                    <div
-  className="result-h"
-  title="Pays off the smallest debt first to build momentum."
->
-  Snowball ⓘ
-</div>
-
-                    <div className="result-kpi">
-                      <div>
-                        <div className="kpi-label">Debt-free in</div>
-                        <div className="kpi-value">{simulation.snow.monthsToDebtFree} mo</div>
-                      </div>
-                      <div>
-                        <div className="kpi-label">Total interest</div>
-                        <div className="kpi-value">${formatMoney(simulation.snow.totalInterest)}</div>
-                      </div>
+                {!simulation.winnerResult.paidOff && (
+                  <div className="notice error never-payoff">
+                    <div className="callout-title">This plan never pays off at ${formatMoney(firstMonthPayment)}/month</div>
+                    <ul className="callout-list">
+                      {simulation.winnerResult.perDebt
+                        .filter((pd) => !pd.paidOff)
+                        .map((pd) => (
+                          <li key={pd.id}>
+                            <b>{pd.name}</b>:{" "}
+                            {pd.negativeAmortization
+                              ? `the balance grows every month (interest and fees outpace what it gets paid). On its own it needs about $${formatMoney(pd.progressPayment)}/month to get paid off.`
+                              : "never gets paid off; the payment runs out on other debts first."}
+                          </li>
+                        ))}
+                    </ul>
+                    <div>
+                      Pay at least <b>${formatMoney(simulation.winnerResult.progressPayment)}</b> a month to pay every debt off.
                     </div>
                   </div>
+                )}
 
-                  <div className={`result-card ${simulation.winner === "avalanche" ? "winner" : ""}`}>
-                   <div
-  className="result-h"
-  title="Pays off the highest-interest debt first to reduce interest."
->
-  Avalanche ⓘ
-</div>
-
-                    <div className="result-kpi">
-                      <div>
-                        <div className="kpi-label">Debt-free in</div>
-                        <div className="kpi-value">{simulation.aval.monthsToDebtFree} mo</div>
+                <div className="result-grid">
+                  {simulation.results.map((r) => (
+                    <div className={`result-card ${simulation.winner === r.strategy ? "winner" : ""}`} key={r.strategy}>
+                      <div className="result-h" title={r.description}>
+                        {r.label} ⓘ
                       </div>
-                      <div>
-                        <div className="kpi-label">Total interest</div>
-                        <div className="kpi-value">${formatMoney(simulation.aval.totalInterest)}</div>
+
+                      <div className="result-kpi">
+                        <div>
+                          <div className="kpi-label">Debt-free by</div>
+                          <div className="kpi-value">{payoffLabel(r.paidOff, r.monthsToDebtFree)}</div>
+                          <div className="tiny">
+                            {r.paidOff ? `${r.monthsToDebtFree} months` : `needs $${formatMoney(r.progressPayment)}+/month`}
+                          </div>
+                        </div>
+                        <div>
+                          <div className="kpi-label">Total interest</div>
+                          <div className="kpi-value">${formatMoney(r.totalInterest)}</div>
+                        </div>
+                        <div>
+                          <div className="kpi-label">Total fees</div>
+                          <div className="kpi-value">${formatMoney(r.totalFees)}</div>
+                        </div>
                       </div>
                     </div>
-                  </div>
+                  ))}
 
                   <div className="result-summary">
                     <div className="summary-title">Best for your goal</div>
                     <div className="summary-big">{winnerLabel}</div>
                     <div className="summary-sub">
-                      Difference: {simulation.monthsDiff} mo • ${formatMoney(simulation.interestDiff)} interest
+                      Spread across strategies: {simulation.monthsDiff} mo • ${formatMoney(simulation.interestDiff)} interest
                     </div>
                   </div>
                 </div>
 
+                {simulation.windfallImpact.length > 0 && (
+                  <div className="windfall-impact">
+                    <div className="summary-title">What your windfalls are worth ({simulation.winnerResult.label})</div>
+                    <ul className="why-list">
+                      {simulation.windfallImpact.map((w, i) => (
+                        <li key={windfalls[i]?.id ?? i}>
+                          <b>{w.label}</b> (${formatMoney(w.amount)}, {monthLabel(w.month)}
+                          {w.debt_id != null && ` → ${activeDebts.find((d) => d.id === w.debt_id)?.name}`}): saves{" "}
+                          <b>{w.monthsSaved} mo</b> and <b>${formatMoney(w.interestSaved)}</b> interest
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 <div className="why-wrap">
   <button
     type="button"
@@ -1632,20 +2592,59 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
 
 <div className={`why-body ${showWhy ? "open" : ""}`}>
   <div className="why-inner">
-    {simulation.monthsDiff === 0 && simulation.interestDiff === 0 ? (
+    {!simulation.winnerResult.paidOff ? (
+      <p>
+        No strategy pays every debt off at this payment, so none of them wins yet. Raise the payment to at least $
+        {formatMoney(simulation.winnerResult.progressPayment)} a month first.
+      </p>
+    ) : simulation.monthsDiff === 0 && simulation.interestDiff === 0 ? (
       <>
-        <p>In this scenario, Snowball and Avalanche produce the same result.</p>
-        <p>Both strategies target the same debt first, so the timeline and interest naturally match.</p>
+        <p>In this scenario, every strategy produces the same result.</p>
+        <p>They all target the same debts in the same order, so the timeline and interest naturally match.</p>
       </>
-    ) : simulation.winner === "avalanche" ? (
+    ) : goal === "interest" ? (
       <>
-        <p>Avalanche focuses on paying off the highest-interest debt first.</p>
-        <p>In your case, this reduces total interest paid over time, saving more money even if the payoff timeline is similar.</p>
+        <p>{simulation.winnerResult.label}: {simulation.winnerResult.description}</p>
+        <p>
+          In your case, it pays the least total interest (${formatMoney(simulation.winnerResult.totalInterest)}), up to $
+          {formatMoney(simulation.interestDiff)} less than the other strategies.
+        </p>
+      </>
+    ) : goal === "speed" ? (
+      <>
+        <p>{simulation.winnerResult.label}: {simulation.winnerResult.description}</p>
+        <p>
+          In your case, it reaches debt-free soonest ({monthLabel(simulation.winnerResult.monthsToDebtFree)}), up to{" "}
+          {simulation.monthsDiff} mo sooner than the other strategies.
+        </p>
       </>
     ) : (
       <>
-        <p>Snowball focuses on paying off the smallest balance first.</p>
-        <p>In your case, this reaches debt-free just as fast while helping close accounts sooner and reduce mental load.</p>
+        <p>{simulation.winnerResult.label}: {simulation.winnerResult.description}</p>
+        <p>It gives you the most early, frequent wins, which makes a plan easier to stick to:</p>
+        <ul className="why-list">
+          <li>
+            First account closed: <b>{monthLabel(simulation.winnerResult.stickiness.firstPayoffMonth)}</b>
+          </li>
+          <li>
+            Accounts closed in the first 12 months: <b>{simulation.winnerResult.stickiness.closedInFirstYear}</b>
+          </li>
+          <li>
+            Longest stretch without a payoff: <b>{simulation.winnerResult.stickiness.longestGapWithoutWin} mo</b>
+          </li>
+          <li>
+            Stickiness score: <b>{simulation.winnerResult.stickiness.score}</b>
+            {simulation.runnerUp && (
+              <>
+                {" "}
+                (next best: {simulation.runnerUp.label}, {simulation.runnerUp.stickiness.score})
+              </>
+            )}
+          </li>
+        </ul>
+        <p className="tiny">
+          Score = 12 × accounts closed in year one − months to first payoff − longest stretch without a payoff.
+        </p>
       </>
     )}
   </div>
@@ -1656,7 +2655,7 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
 
                 {simulation.monthsDiff === 0 && simulation.interestDiff === 0 && (
                  <div className="strategy-note">
-                  In some situations, Snowball and Avalanche produce the same result when they target the same debt.
+                  In some situations, all strategies produce the same result when they target the same debts.
                   </div>
                 )}
 
@@ -1668,56 +2667,423 @@ const response = await fetch(`${API_BASE_URL}/v1/export/pdf`, {
                       <tr>
                         <th>Debt</th>
                         <th>APR</th>
-                        <th>Snowball payoff</th>
-                        <th>Snowball interest</th>
-                        <th>Avalanche payoff</th>
-                        <th>Avalanche interest</th>
+                        {simulation.results.map((r) => (
+                          <Fragment key={r.strategy}>
+                            <th>{r.label} payoff</th>
+                            <th>{r.label} interest</th>
+                          </Fragment>
+                        ))}
                       </tr>
                     </thead>
                     <tbody>
-                      {simulation.snow.perDebt.map((sd) => {
-                        const ad = simulation.aval.perDebt.find((x) => x.id === sd.id);
-                        return (
-                          <tr key={sd.id}>
-                            <td className="td-strong">{sd.name}</td>
-                            <td>{formatMoney(sd.apr)}%</td>
-                            <td>{sd.payoffMonth} mo</td>
-                            <td>${formatMoney(sd.interestPaid)}</td>
-                            <td>{ad?.payoffMonth ?? "-"} mo</td>
-                            <td>${formatMoney(ad?.interestPaid ?? 0)}</td>
-                          </tr>
-                        );
-                      })}
+                      {simulation.results[0].perDebt.map((sd) => (
+                        <tr key={sd.id}>
+                          <td className="td-strong">{sd.name}</td>
+                          <td>{formatMoney(sd.apr)}%</td>
+                          {simulation.results.map((r) => {
+                            const pd = r.perDebt.find((x) => x.id === sd.id);
+                            return (
+                              <Fragment key={r.strategy}>
+                                <td>{pd?.payoffMonth ? payoffLabel(pd.paidOff, pd.payoffMonth) : "-"}</td>
+                                <td>${formatMoney(pd?.interestPaid ?? 0)}</td>
+                              </Fragment>
+                            );
+                          })}
+                        </tr>
+                      ))}
                     </tbody>
                   </table>
                 </div>
 
                 <div className="tiny muted-note">
                   Allocations are applied first (as totals per debt, with minimums enforced). Any remaining unassigned
-                  payment is allocated by the chosen strategy (Snowball/Avalanche).
+                  payment is allocated by each strategy in turn.
+                </div>
+
+                <div className="divider" />
+
+                <div className="debts-header">
+                  <div className="card-title" style={{ margin: 0 }}>
+                    Month by month
+                  </div>
+                  <div className="month-table-actions">
+                    <select
+                      value={monthTable.result.strategy}
+                      onChange={(e) => setTableStrategy(e.target.value)}
+                      aria-label="Strategy shown in the table"
+                    >
+                      {simulation.results.map((r) => (
+                        <option key={r.strategy} value={r.strategy}>
+                          {r.label}
+                          {r.strategy === simulation.winner ? " (best for your goal)" : ""}
+                        </option>
+                      ))}
+                    </select>
+                    <button type="button" className="ghost" onClick={downloadMonthTableCsv}>
+                      Download CSV
+                    </button>
+                  </div>
+                </div>
+
+                <div className="table-wrap month-table-wrap">
+                  <table className="table month-table">
+                    <thead>
+                      <tr>
+                        <th rowSpan={2}>Month</th>
+                        {monthTable.result.perDebt.map((d) => (
+                          <th key={d.id} colSpan={monthTable.showFees ? 4 : 3}>
+                            {d.name}
+                          </th>
+                        ))}
+                        <th rowSpan={2}>Total paid</th>
+                        <th rowSpan={2}>Total left</th>
+                      </tr>
+                      <tr>
+                        {monthTable.result.perDebt.map((d) => (
+                          <Fragment key={d.id}>
+                            <th>Paid</th>
+                            <th>Interest</th>
+                            {monthTable.showFees && <th>Fees</th>}
+                            <th>Balance</th>
+                          </Fragment>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {monthTable.rows.map((row) => (
+                        <tr
+                          key={row.month}
+                          className={row.month === monthDetails?.m ? "selected" : ""}
+                          onClick={() => setSelectedMonth(row.month)}
+                        >
+                          <td className="td-strong">{monthLabel(row.month)}</td>
+                          {row.debts.map((c) => (
+                            <Fragment key={c.id}>
+                              <td>${formatMoney(c.payment)}</td>
+                              <td>${formatMoney(c.interest)}</td>
+                              {monthTable.showFees && <td>${formatMoney(c.fees)}</td>}
+                              <td>${formatMoney(c.balance)}</td>
+                            </Fragment>
+                          ))}
+                          <td>${formatMoney(row.payment)}</td>
+                          <td className="td-strong">${formatMoney(row.balance)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
                 </div>
               </>
             )}
           </div>
 
+          {/* Goal-seek */}
+          <div className="card">
+            <div className="card-top">
+              <div>
+                <div className="card-title">Find my payment</div>
+                <div className="card-subtitle">
+                  Pick a debt-free date or an interest budget and get the smallest fixed monthly payment that reaches it, for
+                  each strategy.
+                </div>
+              </div>
+            </div>
+
+            <form
+              className="goalseek-form"
+              onSubmit={(e) => {
+                e.preventDefault();
+                runGoalSeek();
+              }}
+            >
+              <select
+                value={goalSeekTarget.kind}
+                onChange={(e) => setGoalSeekTarget((t) => ({ ...t, kind: e.target.value }))}
+              >
+                <option value="date">Debt-free by</option>
+                <option value="interest">Pay at most this in interest</option>
+              </select>
+              {goalSeekTarget.kind === "interest" ? (
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="0"
+                  value={goalSeekTarget.maxInterest}
+                  onChange={(e) => setGoalSeekTarget((t) => ({ ...t, maxInterest: keepBlankOrNumber(e.target.value, 0) }))}
+                />
+              ) : (
+                <input
+                  type="month"
+                  min={planStartMonth}
+                  value={goalSeekTarget.date}
+                  onChange={(e) => setGoalSeekTarget((t) => ({ ...t, date: e.target.value }))}
+                />
+              )}
+              <button
+                type="submit"
+                className="ghost"
+                disabled={goalSeekTarget.kind === "interest" ? goalSeekTarget.maxInterest === "" : !goalSeekTarget.date}
+              >
+                Calculate
+              </button>
+            </form>
+
+            {goalSeek && (
+              <div className="table-wrap">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Strategy</th>
+                      <th>Payment needed</th>
+                      <th>Debt-free by</th>
+                      <th>Interest</th>
+                      <th>Fits free cash (${formatMoney(freeCash)})?</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {goalSeek.map((r) =>
+                      r.achievable ? (
+                        <tr key={r.strategy}>
+                          <td className="td-strong">{r.label}</td>
+                          <td className="td-strong">${formatMoney(r.payment)}/mo</td>
+                          <td>{monthLabel(r.monthsToDebtFree)}</td>
+                          <td>${formatMoney(r.totalInterest)}</td>
+                          <td>{r.fitsFreeCash ? "Yes" : `No, $${formatMoney(r.payment - freeCash)} short`}</td>
+                          <td>
+                            <button type="button" className="ghost" onClick={() => applyGoalSeekPayment(r.payment)}>
+                              Use
+                            </button>
+                          </td>
+                        </tr>
+                      ) : (
+                        <tr key={r.strategy}>
+                          <td className="td-strong">{r.label}</td>
+                          <td colSpan={5}>Not reachable with a fixed payment.</td>
+                        </tr>
+                      )
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {goalSeek && (
+              <div className="hint">
+                Never below your minimums (${formatMoney(minimumsTotal)}). Includes your pay calendar and windfalls.
+              </div>
+            )}
+          </div>
+
+          {/* Scenarios */}
+          <div className="card">
+            <div className="card-top">
+              <div>
+                <div className="card-title">Scenarios</div>
+                <div className="card-subtitle">
+                  Save named versions of your plan ("what if I pay $200 more?"), switch between them and compare any two.
+                  Edits to the inputs are saved to the open scenario.
+                </div>
+              </div>
+            </div>
+
+            {scenarios.length > 0 && (
+              <div className="scenario-list">
+                {scenarios.map((sc) => (
+                  <div key={sc.id} className={`scenario-row ${sc.id === activeScenarioId ? "active" : ""}`}>
+                    <input
+                      value={sc.name}
+                      aria-label="Scenario name"
+                      onChange={(e) => renameScenario(sc.id, e.target.value)}
+                    />
+                    {sc.id === activeScenarioId ? (
+                      <span className="pill">Open</span>
+                    ) : (
+                      <button type="button" className="ghost" onClick={() => openScenario(sc.id)}>
+                        Open
+                      </button>
+                    )}
+                    <button type="button" className="ghost" onClick={() => deleteScenario(sc.id)} aria-label="Delete scenario">
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="scenario-save">
+              <input
+                value={newScenarioName}
+                placeholder={`Scenario ${scenarios.length + 1}`}
+                onChange={(e) => setNewScenarioName(e.target.value)}
+              />
+              <button type="button" className="ghost" onClick={saveScenario}>
+                Save current inputs as a new scenario
+              </button>
+            </div>
+
+            {scenarioComparison && (
+              <>
+                <div className="divider" />
+                <div className="scenario-compare-controls">
+                  {["A", "B"].map((side, i) => (
+                    <label key={side}>
+                      {side}
+                      <select
+                        value={(i === 0 ? scenarioComparison.a : scenarioComparison.b).id}
+                        onChange={(e) => setCompareIds((prev) => prev.map((id, j) => (j === i ? e.target.value : id)))}
+                      >
+                        {scenarios.map((sc) => (
+                          <option key={sc.id} value={sc.id}>
+                            {sc.name || "Untitled"}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                  <label>
+                    Strategy
+                    <select value={compareStrategy} onChange={(e) => setCompareStrategy(e.target.value)}>
+                      <option value="best">Each scenario's best</option>
+                      {STRATEGIES.map((st) => (
+                        <option key={st.id} value={st.id}>
+                          {st.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+
+                {!scenarioComparison.result ? (
+                  <div className="hint">
+                    {!scenarioComparison.simA ? scenarioComparison.a.name : scenarioComparison.b.name} can't be simulated: it
+                    needs a debt with a balance and a first month that covers the minimums.
+                  </div>
+                ) : (
+                  <div className="table-wrap">
+                    <table className="table scenario-table">
+                      <thead>
+                        <tr>
+                          <th />
+                          <th>A: {scenarioComparison.a.name}</th>
+                          <th>B: {scenarioComparison.b.name}</th>
+                          <th>B − A</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        <tr>
+                          <td className="td-strong">Strategy</td>
+                          <td>{scenarioComparison.result.a.label}</td>
+                          <td>{scenarioComparison.result.b.label}</td>
+                          <td />
+                        </tr>
+                        <tr>
+                          <td className="td-strong">Debt-free by</td>
+                          <td>{formatCalendarMonth(scenarioComparison.result.a.debtFreeMonth) || "Never"}</td>
+                          <td>{formatCalendarMonth(scenarioComparison.result.b.debtFreeMonth) || "Never"}</td>
+                          <td>{formatDiff(scenarioComparison.result.monthsDiff, (n) => `${n} mo`)}</td>
+                        </tr>
+                        <tr>
+                          <td className="td-strong">Total interest</td>
+                          <td>${formatMoney(scenarioComparison.result.a.totalInterest)}</td>
+                          <td>${formatMoney(scenarioComparison.result.b.totalInterest)}</td>
+                          <td>{formatDiff(scenarioComparison.result.interestDiff, (n) => `$${formatMoney(n)}`)}</td>
+                        </tr>
+                        {(scenarioComparison.result.a.totalFees > 0 || scenarioComparison.result.b.totalFees > 0) && (
+                          <tr>
+                            <td className="td-strong">Total fees</td>
+                            <td>${formatMoney(scenarioComparison.result.a.totalFees)}</td>
+                            <td>${formatMoney(scenarioComparison.result.b.totalFees)}</td>
+                            <td>{formatDiff(scenarioComparison.result.feesDiff, (n) => `$${formatMoney(n)}`)}</td>
+                          </tr>
+                        )}
+                        <tr className="scenario-table-section">
+                          <td colSpan={4}>Payoff by debt</td>
+                        </tr>
+                        {scenarioComparison.result.debts.map((d) => (
+                          <tr key={d.uid}>
+                            <td className="td-strong">{d.name}</td>
+                            <td>
+                              {d.a ? `${formatCalendarMonth(d.a.payoffCalendarMonth) || "Never"} · $${formatMoney(d.a.interestPaid)}` : "Not in A"}
+                            </td>
+                            <td>
+                              {d.b ? `${formatCalendarMonth(d.b.payoffCalendarMonth) || "Never"} · $${formatMoney(d.b.interestPaid)}` : "Not in B"}
+                            </td>
+                            <td>
+                              {d.a && d.b
+                                ? `${formatDiff(d.monthsDiff, (n) => `${n} mo`)} · ${formatDiff(d.interestDiff, (n) => `$${formatMoney(n)}`)}`
+                                : "—"}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+
           {/* Export */}
           <div className="card">
             <div className="card-top">
               <div>
                 <div className="card-title">Export</div>
                 <div className="card-subtitle">
-                  Snapshot PDF (optional). Backend still accepts a single monthly payment; schedule exports using the
-                  average of the next 6 months for now.
+                  Snapshot PDF of exactly what you see: your schedule, allocations, strategy results, chart and month-by-month
+                  plan. Built on your device, works offline.
                 </div>
               </div>
             </div>
 
-            <button className="cta cta-dark" onClick={exportPdf} disabled={loading || reality.isAtRisk}>
-              {reality.isAtRisk ? "Locked (Survival Mode)" : loading ? "Exporting…" : "Export PDF snapshot"}
+            <button
+              className="cta cta-dark"
+              onClick={survivalPlan ? exportSurvivalPlan : exportPdf}
+              disabled={loading}
+            >
+              {survivalPlan ? "Export Survival Mode plan" : "Export PDF snapshot"}
             </button>
 
+            {SERVER_EXPORT_URL && !reality.isAtRisk && (
+              <button type="button" className="ghost" onClick={exportServerPdf} disabled={loading}>
+                {loading ? "Exporting…" : "Export via server"}
+              </button>
+            )}
+
             {status !== "idle" && <div className={`notice ${status}`}>{statusMessage}</div>}
 
+            <div className="plan-file">
+              <div className="tiny">
+                Save your inputs as a plan file to back them up or move them to another browser.
+              </div>
+              <div className="plan-file-actions">
+                <button type="button" className="ghost" onClick={downloadPlan}>
+                  Download plan
+                </button>
+                <label className="ghost plan-file-open">
+                  Open plan
+                  <input
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={(e) => {
+                      openPlan(e.target.files?.[0]);
+                      e.target.value = "";
+                    }}
+                  />
+                </label>
+              </div>
+              {planFileNotice && (
+                <div className={`notice ${planFileNotice.status}`}>
+                  {planFileNotice.message}
+                  {planFileNotice.errors?.length > 0 && (
+                    <ul className="plan-file-errors">
+                      {planFileNotice.errors.map((e) => (
+                        <li key={e}>{e}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+
             {showDonate && (
               <div className="donate">
                 <div className="donate-title">Support the tool</div>
@@ -0,0 +1,175 @@
+import { useCallback, useMemo, useRef, useState } from "react";
+import { CHART_COLORS as COLORS, CHART_OVERLAYS as OVERLAYS } from "./chartTheme.js";
+
+const WIDTH = 720;
+const HEIGHT = 260;
+const PAD = { top: 12, right: 12, bottom: 28, left: 56 };
+
+function formatAxisMoney(n) {
+  return n >= 1000 ? `$${Math.round(n / 1000)}k` : `$${Math.round(n)}`;
+}
+
+/**
+ * Remaining balance per debt, month by month, built from simulateStrategy
+ * timelines. Snowball is drawn solid and Avalanche dashed, one color per debt.
+ *
+ * Props:
+ *  - results: simulation results (need .strategy, .label, .timeline)
+ *  - debts: [{ id, name, balance }], starting balances (month 0)
+ *  - selectedMonth, onSelectMonth(m): click a month to select it
+ *  - detailsFor(m): month details for the hover tooltip
+ *  - monthLabel(m), shortMonthLabel(m) (x-axis ticks), formatMoney(n)
+ */
+export default function PayoffChart({
+  results,
+  debts,
+  selectedMonth,
+  onSelectMonth,
+  detailsFor,
+  monthLabel,
+  shortMonthLabel,
+  formatMoney,
+}) {
+  const svgRef = useRef(null);
+  const [hoverMonth, setHoverMonth] = useState(null);
+
+  const overlays = useMemo(
+    () =>
+      OVERLAYS.map((o) => ({ ...o, result: results.find((r) => r.strategy === o.strategy) })).filter((o) => o.result),
+    [results]
+  );
+
+  const maxMonth = Math.max(1, ...overlays.map((o) => o.result.timeline.length));
+  const maxBalance = Math.max(1, ...debts.map((d) => d.balance));
+
+  const x = useCallback((m) => PAD.left + (m / maxMonth) * (WIDTH - PAD.left - PAD.right), [maxMonth]);
+  const y = useCallback((b) => PAD.top + (1 - b / maxBalance) * (HEIGHT - PAD.top - PAD.bottom), [maxBalance]);
+
+  const paths = useMemo(() => {
+    const out = [];
+    for (const o of overlays) {
+      debts.forEach((d, i) => {
+        const points = [[0, d.balance]];
+        for (const row of o.result.timeline) {
+          if (row.invalid) break;
+          points.push([row.month, row.balanceByDebtId?.[d.id] ?? 0]);
+        }
+        out.push({
+          key: `${o.strategy}-${d.id}`,
+          color: COLORS[i % COLORS.length],
+          dash: o.dash,
+          d: points.map(([m, b], j) => `${j ? "L" : "M"}${x(m).toFixed(1)},${y(b).toFixed(1)}`).join(" "),
+        });
+      });
+    }
+    return out;
+  }, [overlays, debts, x, y]);
+
+  // Months with a windfall or an extra paycheque in any overlay
+  const markers = useMemo(() => {
+    const rows = overlays[0]?.result.timeline || [];
+    return rows.filter((r) => r.windfall > 0 || r.bonusPayment > 0).map((r) => r.month);
+  }, [overlays]);
+
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map((t) => t * maxBalance);
+  const xStep = Math.max(1, Math.ceil(maxMonth / 8));
+  const xTicks = [];
+  for (let m = xStep; m <= maxMonth; m += xStep) xTicks.push(m);
+
+  const monthAt = (clientX) => {
+    const rect = svgRef.current?.getBoundingClientRect();
+    if (!rect || !rect.width) return null;
+    const sx = ((clientX - rect.left) / rect.width) * WIDTH;
+    const m = Math.round(((sx - PAD.left) / (WIDTH - PAD.left - PAD.right)) * maxMonth);
+    return Math.min(maxMonth, Math.max(1, m));
+  };
+
+  const hover = hoverMonth != null ? detailsFor(hoverMonth) : null;
+
+  return (
+    <div className="chart-wrap">
+      <div className="chart-legend">
+        {debts.map((d, i) => (
+          <span key={d.id} className="chart-key">
+            <span className="chart-swatch" style={{ background: COLORS[i % COLORS.length] }} />
+            {d.name}
+          </span>
+        ))}
+        {overlays.map((o) => (
+          <span key={o.strategy} className="chart-key">
+            <svg width="22" height="8" aria-hidden="true">
+              <line x1="0" y1="4" x2="22" y2="4" stroke="#374151" strokeWidth="2" strokeDasharray={o.dash} />
+            </svg>
+            {o.result.label}
+          </span>
+        ))}
+      </div>
+
+      <svg
+        ref={svgRef}
+        className="chart"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label="Remaining balance per debt by month"
+        onMouseMove={(e) => setHoverMonth(monthAt(e.clientX))}
+        onMouseLeave={() => setHoverMonth(null)}
+        onClick={(e) => {
+          const m = monthAt(e.clientX);
+          if (m != null) onSelectMonth(m);
+        }}
+      >
+        {yTicks.map((b) => (
+          <g key={b}>
+            <line className="chart-grid" x1={PAD.left} x2={WIDTH - PAD.right} y1={y(b)} y2={y(b)} />
+            <text className="chart-axis" x={PAD.left - 6} y={y(b) + 4} textAnchor="end">
+              {formatAxisMoney(b)}
+            </text>
+          </g>
+        ))}
+        {xTicks.map((m) => (
+          <text key={m} className="chart-axis" x={x(m)} y={HEIGHT - 8} textAnchor="middle">
+            {shortMonthLabel(m)}
+          </text>
+        ))}
+
+        {paths.map((p) => (
+          <path key={p.key} d={p.d} fill="none" stroke={p.color} strokeWidth="2" strokeDasharray={p.dash} />
+        ))}
+
+        {markers.map((m) => (
+          <circle key={m} className="chart-marker" cx={x(m)} cy={HEIGHT - PAD.bottom} r="4" />
+        ))}
+
+        {selectedMonth != null && (
+          <line className="chart-selected" x1={x(selectedMonth)} x2={x(selectedMonth)} y1={PAD.top} y2={HEIGHT - PAD.bottom} />
+        )}
+        {hoverMonth != null && (
+          <line className="chart-hover" x1={x(hoverMonth)} x2={x(hoverMonth)} y1={PAD.top} y2={HEIGHT - PAD.bottom} />
+        )}
+      </svg>
+
+      {hover && (
+        <div
+          className="chart-tooltip"
+          style={{ left: `${(x(hoverMonth) / WIDTH) * 100}%` }}
+          data-flip={hoverMonth > maxMonth / 2 ? "left" : "right"}
+        >
+          <div className="chart-tooltip-title">{monthLabel(hover.m)}</div>
+          <div>
+            Payment: <b>${formatMoney(hover.winnerMonth.paymentThisMonth)}</b> · Must-pay: $
+            {formatMoney(hover.winnerMonth.requiredSum)} · Extra: ${formatMoney(hover.winnerMonth.unassigned)}
+          </div>
+          {hover.winnerMonth.windfall > 0 && <div>Windfall: ${formatMoney(hover.winnerMonth.windfall)}</div>}
+          {hover.byStrategy.map(({ strategy, label, entry }) => (
+            <div key={strategy} className="chart-tooltip-row">
+              {label}: {entry?.targetDebtName || "—"}
+              {entry && ` ($${formatMoney(entry.appliedToTargetThisMonth)})`}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="hint">Hover to see a month, click to select it. Dots mark windfalls and extra paycheques.</div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+export const EXPORT_PDF_PATH = "/v2/export/pdf";
+
+/**
+ * POST a v2 payload (see exportPayload.js) and return the PDF as a Blob.
+ * Throws with the server's message when the request is rejected.
+ */
+export async function requestServerPdf(baseUrl, payload, { fetchImpl = fetch } = {}) {
+  const response = await fetchImpl(`${baseUrl.replace(/\/$/, "")}${EXPORT_PDF_PATH}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    let msg = "Failed to export PDF";
+    try {
+      const errJson = await response.json();
+      msg = errJson?.error || msg;
+      if (errJson?.errors?.length) msg += ` (${errJson.errors.join("; ")})`;
+    } catch {
+      // not JSON; keep the generic message
+    }
+    throw new Error(msg);
+  }
+
+  return response.blob();
+}
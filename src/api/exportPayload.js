@@ -0,0 +1,210 @@
+import { ACCRUAL_MODES } from "../engine/index.js";
+import { PLAN_SCHEMA_VERSION, pickPlan, validatePlan } from "../plan/planFile.js";
+import { planSimulationOptions, toEngineWindfalls } from "../plan/simulatePlan.js";
+
+/**
+ * Versioned request body for POST /v2/export/pdf.
+ *
+ * v1 sent debts, paycheques, bills and one averaged monthly_payment. v2
+ * carries the complete plan plus the results the user saw, so a server-side
+ * report matches the app:
+ *
+ *  {
+ *    version: 2,
+ *    generated_at: ISO string,
+ *    plan_schema_version: number,   // PLAN_SCHEMA_VERSION of `plan`
+ *    plan: { ... },                 // every input, exactly as in a plan file (see planFile.js)
+ *    engine: {                      // the inputs as the simulation ran them
+ *      start_month: "YYYY-MM",
+ *      accrual: "monthly" | "daily_balance",
+ *      custom_order: debt_index[],
+ *      hybrid_threshold: number,
+ *      pay_calendar: { frequency, start_date, plan_start } | null,
+ *      windfalls: [{ label, month, amount, debt_index: number | null }],
+ *      debts: [{
+ *        index, uid, name, type, balance, interest_rate, minimum_payment,
+ *        min_override: { enabled, amount }, min_formula, min_fixed_amount,
+ *        promo: { rate, end_month, deferred } | null, rate_changes: [{ month, rate }],
+ *        statement_day, payment_day, original_term, remaining_months, contractual_payment,
+ *        fees: [{ kind, amount?, percent?, month? }], late_fee,
+ *      }],                          // optional numbers are null when blank
+ *    },
+ *    results: {
+ *      winner: strategy id,
+ *      strategies: [{
+ *        strategy, label, months_to_debt_free, paid_off, total_interest, total_fees,
+ *        per_debt: [{ index, payoff_month, paid_off, interest_paid, fees_paid }],
+ *        timeline: [{ month, payment, interest, fees, remaining, target_index }],
+ *      }],
+ *    },
+ *  }
+ *
+ * debt_index is the engine's debt id: the debt's position in `plan.debts`,
+ * counted before debts with no balance are left out of `engine.debts`. Look
+ * debts up by `engine.debts[].index`, not by array position. Schedule
+ * allocations in `plan` are keyed by it too.
+ */
+export const EXPORT_PAYLOAD_VERSION = 2;
+
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+const optNum = (v) => (v === "" || v == null ? null : num(v));
+
+/**
+ * Build the v2 payload from the plan inputs and the live simulation.
+ * `debts` are the engine debts the simulation ran on (toEngineDebts) with
+ * each one's month-1 minimum_payment; `startMonth` is month 1 ("YYYY-MM").
+ */
+export function buildExportPayloadV2({ plan, debts, startMonth, simulation, generatedAt = new Date().toISOString() }) {
+  const inputs = pickPlan(plan);
+  const options = planSimulationOptions(inputs, debts);
+  const payCalendar = inputs.payCalendar;
+
+  return {
+    version: EXPORT_PAYLOAD_VERSION,
+    generated_at: generatedAt,
+    plan_schema_version: PLAN_SCHEMA_VERSION,
+    plan: inputs,
+    engine: {
+      start_month: startMonth,
+      accrual: options.accrual || "monthly",
+      custom_order: options.customOrder,
+      hybrid_threshold: options.hybridThreshold,
+      pay_calendar: payCalendar?.frequency
+        ? { frequency: payCalendar.frequency, start_date: payCalendar.start_date, plan_start: startMonth }
+        : null,
+      windfalls: toEngineWindfalls(inputs.windfalls, debts).map((w) => ({
+        label: w.label,
+        month: num(w.month),
+        amount: num(w.amount),
+        debt_index: w.debt_id,
+      })),
+      debts: debts.map((d) => ({
+        index: d.id,
+        uid: d.uid ?? null,
+        name: d.name,
+        type: d.type,
+        balance: num(d.balance),
+        interest_rate: num(d.interest_rate),
+        minimum_payment: num(d.minimum_payment),
+        min_override: { enabled: !!d.min_floor_enabled, amount: num(d.min_floor) },
+        min_formula: d.min_formula || "auto",
+        min_fixed_amount: optNum(d.min_fixed_amount),
+        promo: d.promo ? { rate: num(d.promo.rate), end_month: num(d.promo.end_month), deferred: !!d.promo.deferred } : null,
+        rate_changes: (d.rate_changes || []).map((c) => ({ month: num(c.month), rate: num(c.rate) })),
+        statement_day: optNum(d.statement_day),
+        payment_day: optNum(d.payment_day),
+        original_term: optNum(d.original_term),
+        remaining_months: optNum(d.remaining_months),
+        contractual_payment: optNum(d.contractual_payment),
+        fees: d.fees || [],
+        late_fee: optNum(d.late_fee),
+      })),
+    },
+    results: {
+      winner: simulation.winner,
+      strategies: simulation.results.map((r) => ({
+        strategy: r.strategy,
+        label: r.label,
+        months_to_debt_free: r.monthsToDebtFree,
+        paid_off: r.paidOff !== false, // false: months_to_debt_free is the engine's cap, not a date
+        total_interest: r.totalInterest,
+        total_fees: r.totalFees || 0,
+        per_debt: r.perDebt.map((pd) => ({
+          index: pd.id,
+          payoff_month: pd.payoffMonth,
+          paid_off: pd.paidOff !== false,
+          interest_paid: pd.interestPaid,
+          fees_paid: pd.feesPaid || 0,
+        })),
+        timeline: r.timeline
+          .filter((row) => !row.invalid)
+          .map((row) => ({
+            month: row.month,
+            payment: row.paymentThisMonth,
+            interest: row.interestThisMonth,
+            fees: row.feesThisMonth || 0,
+            remaining: row.totalRemaining,
+            target_index: row.targetDebtId,
+          })),
+      })),
+    },
+  };
+}
+
+const isNum = (v, min = -Infinity) => typeof v === "number" && Number.isFinite(v) && v >= min;
+const isStr = (v) => typeof v === "string";
+
+/**
+ * Check a payload against the v2 contract.
+ * Returns a list of "path: problem" strings; empty when valid.
+ */
+export function validateExportPayloadV2(p) {
+  const errors = [];
+  const check = (ok, path, problem) => {
+    if (!ok) errors.push(`${path}: ${problem}`);
+  };
+
+  if (!p || typeof p !== "object") return ["payload: must be an object"];
+  check(p.version === EXPORT_PAYLOAD_VERSION, "version", `must be ${EXPORT_PAYLOAD_VERSION}`);
+  check(isStr(p.generated_at), "generated_at", "must be a string");
+  check(p.plan_schema_version === PLAN_SCHEMA_VERSION, "plan_schema_version", `must be ${PLAN_SCHEMA_VERSION}`);
+  if (!p.plan || typeof p.plan !== "object") errors.push("plan: must be an object");
+  else for (const e of validatePlan(p.plan)) errors.push(`plan.${e}`);
+
+  const engine = p.engine;
+  if (!engine || typeof engine !== "object") {
+    errors.push("engine: must be an object");
+  } else {
+    check(/^\d{4}-\d{2}$/.test(engine.start_month ?? ""), "engine.start_month", "must be YYYY-MM");
+    check(ACCRUAL_MODES.includes(engine.accrual), "engine.accrual", `must be one of ${ACCRUAL_MODES.join(", ")}`);
+    check(Array.isArray(engine.custom_order), "engine.custom_order", "must be an array");
+    check(isNum(engine.hybrid_threshold, 0), "engine.hybrid_threshold", "must be a number >= 0");
+    check(
+      engine.pay_calendar === null || typeof engine.pay_calendar === "object",
+      "engine.pay_calendar",
+      "must be an object or null"
+    );
+
+    if (!Array.isArray(engine.windfalls)) errors.push("engine.windfalls: must be an array");
+    else
+      engine.windfalls.forEach((w, i) => {
+        check(isNum(w?.month, 1), `engine.windfalls[${i}].month`, "must be a number >= 1");
+        check(isNum(w?.amount, 0), `engine.windfalls[${i}].amount`, "must be a number >= 0");
+      });
+
+    if (!Array.isArray(engine.debts) || !engine.debts.length) {
+      errors.push("engine.debts: must be a non-empty array");
+    } else {
+      engine.debts.forEach((d, i) => {
+        const at = `engine.debts[${i}]`;
+        check(isNum(d?.index, 0), `${at}.index`, "must be a number >= 0");
+        check(isStr(d?.name), `${at}.name`, "must be a string");
+        check(isNum(d?.balance, 0), `${at}.balance`, "must be a number >= 0");
+        check(isNum(d?.interest_rate, 0), `${at}.interest_rate`, "must be a number >= 0");
+        check(isNum(d?.minimum_payment, 0), `${at}.minimum_payment`, "must be a number >= 0");
+        check(d?.promo === null || typeof d?.promo === "object", `${at}.promo`, "must be an object or null");
+        check(Array.isArray(d?.rate_changes), `${at}.rate_changes`, "must be an array");
+        check(Array.isArray(d?.fees), `${at}.fees`, "must be an array");
+      });
+    }
+  }
+
+  const strategies = p.results?.strategies;
+  if (!Array.isArray(strategies) || !strategies.length) {
+    errors.push("results.strategies: must be a non-empty array");
+  } else {
+    check(strategies.some((s) => s.strategy === p.results.winner), "results.winner", "must name one of the strategies");
+    strategies.forEach((s, i) => {
+      check(isStr(s?.strategy), `results.strategies[${i}].strategy`, "must be a string");
+      check(isNum(s?.months_to_debt_free, 0), `results.strategies[${i}].months_to_debt_free`, "must be a number >= 0");
+      check(isNum(s?.total_interest, 0), `results.strategies[${i}].total_interest`, "must be a number >= 0");
+      check(Array.isArray(s?.per_debt), `results.strategies[${i}].per_debt`, "must be an array");
+      check(Array.isArray(s?.timeline), `results.strategies[${i}].timeline`, "must be an array");
+    });
+  }
+
+  return errors;
+}
@@ -0,0 +1,149 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { getPaymentPlanFn, simulateStrategy, withWindfalls } from "../engine/index.js";
+import { toEngineDebts, toEngineWindfalls } from "../plan/simulatePlan.js";
+import { requestServerPdf } from "./exportApi.js";
+import { buildExportPayloadV2, validateExportPayloadV2 } from "./exportPayload.js";
+import { startMockExportServer } from "../../scripts/mockExportServer.js";
+
+const PLAN = {
+  debts: [
+    {
+      id: "visa",
+      name: "Visa",
+      type: "credit_card",
+      balance: 2000,
+      interest_rate: 19.99,
+      min_override_enabled: true,
+      min_override_amount: 60,
+      promo_enabled: true,
+      promo_rate: 0,
+      promo_end_month: 6,
+      rate_changes: [{ month: 12, rate: 24.99 }],
+      statement_day: 5,
+      payment_day: 28,
+      fees: [{ kind: "annual", amount: 99, month: 3 }],
+      late_fee: 35,
+    },
+    { id: "car", name: "Loan", type: "loan", balance: 5000, interest_rate: 7, original_term: 60, remaining_months: 40, contractual_payment: "" },
+  ],
+  paycheques: [{ label: "Job", amount: 2100, frequency: "biweekly" }],
+  bills: [{ label: "Rent", amount: 1400, frequency: "monthly" }],
+  monthlyPayment: 0,
+  goal: "interest",
+  paymentMode: "schedule",
+  paymentSchedule: [
+    { month: 1, amount: 600, allocations: { 0: 400 } },
+    { month: 2, amount: 700, allocations: {} },
+  ],
+  customOrder: ["car", "visa"],
+  hybridThreshold: 1000,
+  accrualMode: "daily_balance",
+  planStart: "2027-03",
+  payCalendar: { frequency: "biweekly", start_date: "2027-03-05" },
+  windfalls: [{ id: "w1", label: "Tax refund", month: 4, amount: 1200, debt_uid: "car" }],
+  // UI state that isn't part of the plan
+  status: "idle",
+};
+
+function buildPayload() {
+  const debts = toEngineDebts(PLAN.debts).map((d) => ({ ...d, minimum_payment: d.min_floor || 100 }));
+  const planFn = withWindfalls(getPaymentPlanFn("schedule", 0, PLAN.paymentSchedule, debts), toEngineWindfalls(PLAN.windfalls, debts));
+  const results = ["snowball", "avalanche"].map((s) => ({ ...simulateStrategy(s, debts, planFn), label: s }));
+  return buildExportPayloadV2({
+    plan: PLAN,
+    debts,
+    startMonth: "2027-03",
+    simulation: { winner: "avalanche", results },
+    generatedAt: "2027-03-01T00:00:00.000Z",
+  });
+}
+
+let server;
+before(async () => {
+  server = await startMockExportServer();
+});
+after(() => server.close());
+
+test("v2 payload carries the full plan and both strategies' results", () => {
+  const p = buildPayload();
+
+  assert.deepEqual(validateExportPayloadV2(p), []);
+  assert.equal(p.version, 2);
+  assert.equal(p.plan_schema_version, 2);
+  const { status: _uiState, ...inputs } = PLAN;
+  assert.deepEqual(p.plan, inputs);
+
+  assert.equal(p.engine.start_month, "2027-03");
+  assert.equal(p.engine.accrual, "daily_balance");
+  assert.deepEqual(p.engine.custom_order, [1, 0]);
+  assert.deepEqual(p.engine.pay_calendar, { frequency: "biweekly", start_date: "2027-03-05", plan_start: "2027-03" });
+  assert.deepEqual(p.engine.windfalls, [{ label: "Tax refund", month: 4, amount: 1200, debt_index: 1 }]);
+
+  const [visa, loan] = p.engine.debts;
+  assert.deepEqual(visa.min_override, { enabled: true, amount: 60 });
+  assert.deepEqual(visa.promo, { rate: 0, end_month: 6, deferred: false });
+  assert.deepEqual(visa.rate_changes, [{ month: 12, rate: 24.99 }]);
+  assert.deepEqual(visa.fees, [{ kind: "annual", amount: 99, month: 3 }]);
+  assert.equal(visa.late_fee, 35);
+  assert.equal(visa.statement_day, 5);
+  assert.equal(visa.payment_day, 28);
+  assert.deepEqual(loan.min_override, { enabled: false, amount: 0 });
+  assert.equal(loan.original_term, 60);
+  assert.equal(loan.remaining_months, 40);
+  assert.equal(loan.contractual_payment, null);
+  assert.equal(loan.promo, null);
+
+  assert.deepEqual(p.results.strategies.map((s) => s.strategy), ["snowball", "avalanche"]);
+  for (const s of p.results.strategies) {
+    assert.equal(s.timeline.length, s.months_to_debt_free);
+    assert.equal(s.per_debt.length, PLAN.debts.length);
+  }
+  assert.equal(p.results.strategies[0].timeline[0].payment, 600);
+});
+
+test("mock server accepts a valid payload and returns a PDF", async () => {
+  const payload = buildPayload();
+  const blob = await requestServerPdf(`${server.url}/`, payload);
+
+  assert.equal(blob.type, "application/pdf");
+  assert.ok((await blob.text()).startsWith("%PDF-"));
+  assert.deepEqual(server.received.at(-1), payload);
+});
+
+test("mock server rejects a v1-style payload with field errors", async () => {
+  const v1 = { debts: [], paycheques: [], bills: [], monthly_payment: 500 };
+  await assert.rejects(requestServerPdf(server.url, v1), (err) => {
+    assert.match(err.message, /^Invalid export payload/);
+    assert.match(err.message, /version: must be 2/);
+    assert.match(err.message, /plan: must be an object/);
+    assert.match(err.message, /engine: must be an object/);
+    return true;
+  });
+});
+
+test("validator points at the offending field", () => {
+  const p = buildPayload();
+  p.plan.paymentSchedule[1].amount = -5;
+  p.engine.debts[0].balance = "2000";
+  p.results.winner = "hybrid";
+
+  assert.deepEqual(validateExportPayloadV2(p), [
+    "plan.paymentSchedule[1].amount: must be a number >= 0",
+    "engine.debts[0].balance: must be a number >= 0",
+    "results.winner: must name one of the strategies",
+  ]);
+});
+
+test("debt_index is the position in plan.debts, even when a paid-off debt is left out", () => {
+  const plan = { ...PLAN, debts: [{ id: "old", name: "Paid off", balance: 0 }, ...PLAN.debts] };
+  const debts = toEngineDebts(plan.debts).map((d) => ({ ...d, minimum_payment: 100 }));
+  const planFn = getPaymentPlanFn("fixed", 800, [], debts);
+  const results = ["avalanche"].map((s) => ({ ...simulateStrategy(s, debts, planFn), label: s }));
+  const p = buildExportPayloadV2({ plan, debts, startMonth: "2027-03", simulation: { winner: "avalanche", results } });
+
+  assert.deepEqual(p.engine.debts.map((d) => [d.index, d.uid]), [[1, "visa"], [2, "car"]]);
+  assert.equal(p.engine.windfalls[0].debt_index, 2);
+  assert.deepEqual(p.engine.custom_order, [2, 1]);
+});
@@ -0,0 +1,9 @@
+// Shared by the on-screen chart and the PDF report so both look the same.
+
+export const CHART_COLORS = ["#2563eb", "#dc2626", "#16a34a", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#4b5563"];
+
+// Strategies drawn as overlays: solid and dashed lines per debt
+export const CHART_OVERLAYS = [
+  { strategy: "snowball", dash: "" },
+  { strategy: "avalanche", dash: "6 4" },
+];
@@ -0,0 +1,65 @@
+import { calendarMonth } from "./dates.js";
+import { clampNumber } from "./numbers.js";
+
+/**
+ * Interest accrual modes.
+ *  - monthly: balance × APR/12 once per month, before payments (default).
+ *  - daily_balance: average daily balance, like card statements.
+ *    Interest = Σ daily balance × APR/365 over the billing cycle, so a payment
+ *    made early in the cycle saves more interest than one made late.
+ *
+ * daily_balance reads per debt (day of month, 1-28):
+ *  statement_day: day the cycle closes (default 1)
+ *  payment_day: day the payment posts (default 21 days after the statement)
+ * With a pay calendar, payments post on the paydays instead (see billingCycleSplit).
+ *
+ * Each cycle is as long as its calendar month (28-31 days) when the plan
+ * start is known, else an average month (365/12 days), so a year of cycles
+ * charges a full year of APR/365.
+ *
+ * Grace periods are not modelled: a carried balance accrues every day.
+ */
+export const ACCRUAL_MODES = ["monthly", "daily_balance"];
+
+/** Average month, for when the calendar month isn't known. */
+export const DEFAULT_CYCLE_DAYS = 365 / 12;
+const DEFAULT_DAYS_TO_PAYMENT = 21;
+
+function dayOfMonth(v, fallback) {
+  const n = Math.floor(clampNumber(v, fallback));
+  return Math.min(28, Math.max(1, n || fallback));
+}
+
+/** Days in simulated `month`'s calendar month ("YYYY-MM" start), or DEFAULT_CYCLE_DAYS. */
+export function cycleDaysForMonth(start, month) {
+  const ym = calendarMonth(start, month);
+  if (!ym) return DEFAULT_CYCLE_DAYS;
+  const [y, m] = ym.split("-").map(Number);
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+/**
+ * Split a billing cycle around the payment date.
+ * The cycle starts the day after statement_day; the payment is credited on
+ * payment_day, so that day already carries the lower balance.
+ *
+ * payDays (days of the month) post the payment in equal shares on each
+ * payday instead. Interest is linear in when each share lands, so the split
+ * sits at the paydays' average position in the cycle.
+ */
+export function billingCycleSplit(debt, cycleDays = DEFAULT_CYCLE_DAYS, payDays = []) {
+  const days = Math.max(1, clampNumber(cycleDays, DEFAULT_CYCLE_DAYS));
+  const whole = Math.round(days); // day positions within the cycle
+  const statementDay = dayOfMonth(debt?.statement_day, 1);
+
+  let daysBeforePayment = Math.min(DEFAULT_DAYS_TO_PAYMENT - 1, whole - 1);
+  if (debt?.payment_day != null && debt.payment_day !== "") {
+    const paymentDay = dayOfMonth(debt.payment_day, 1);
+    daysBeforePayment = (((paymentDay - statementDay - 1) % whole) + whole) % whole;
+  }
+  if (payDays.length) {
+    const positions = payDays.map((day) => (((day - statementDay - 1) % whole) + whole) % whole);
+    daysBeforePayment = positions.reduce((sum, p) => sum + p, 0) / positions.length;
+  }
+  return { cycleDays: days, daysBeforePayment, daysAfterPayment: days - daysBeforePayment };
+}
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_CYCLE_DAYS, billingCycleSplit, cycleDaysForMonth } from "./accrual.js";
+import { simulateStrategy } from "./simulate.js";
+
+test("days before payment count from the day after the statement", () => {
+  assert.deepEqual(billingCycleSplit({ statement_day: 1, payment_day: 11 }, 30), {
+    cycleDays: 30,
+    daysBeforePayment: 9,
+    daysAfterPayment: 21,
+  });
+  assert.equal(billingCycleSplit({ statement_day: 1, payment_day: 2 }).daysBeforePayment, 0);
+  assert.equal(billingCycleSplit({ statement_day: 20, payment_day: 5 }, 30).daysBeforePayment, 14);
+  assert.equal(billingCycleSplit({ statement_day: 20, payment_day: 5 }, 31).daysBeforePayment, 15);
+});
+
+test("payment defaults to 21 days after the statement", () => {
+  assert.equal(billingCycleSplit({}).daysBeforePayment, 20);
+  assert.equal(billingCycleSplit({ statement_day: 15 }).daysBeforePayment, 20);
+});
+
+test("paydays split the cycle at their average position", () => {
+  const debt = { statement_day: 1, payment_day: 28 };
+  assert.equal(billingCycleSplit(debt, 31, [15, 31]).daysBeforePayment, 21);
+  assert.equal(billingCycleSplit(debt, 31, [2]).daysBeforePayment, 0);
+  assert.equal(billingCycleSplit(debt, 31, []).daysBeforePayment, 26);
+});
+
+test("average daily balance interest matches a hand-worked statement", () => {
+  // 18.25% APR = 0.05% per day. $1000 for 9 days, then $704.50 for 21 days.
+  const debts = [
+    { id: 0, name: "Card", type: "loc", balance: 1000, interest_rate: 18.25, statement_day: 1, payment_day: 11 },
+  ];
+  const res = simulateStrategy("avalanche", debts, () => ({ monthlyPayment: 300 }), {
+    accrual: "daily_balance",
+    cycleDays: 30,
+  });
+  const m1 = res.timeline[0];
+  assert.equal(m1.interestThisMonth, 4.5 + 7.4);
+  assert.equal(m1.totalRemaining, 711.9);
+});
+
+test("cycles follow calendar month lengths, or an average month without a start", () => {
+  assert.deepEqual(
+    Array.from({ length: 14 }, (_, i) => cycleDaysForMonth("2027-01", i + 1)),
+    [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31, 31, 29]
+  );
+  assert.equal(cycleDaysForMonth("", 1), 365 / 12);
+  assert.equal(billingCycleSplit({}).cycleDays, DEFAULT_CYCLE_DAYS);
+});
+
+test("a year of daily accrual charges balance × APR", () => {
+  // Payment posts the day after the statement, so the whole cycle accrues after it;
+  // paying last cycle's interest keeps the balance at $10,000 all year.
+  // 18.25% APR = 0.05% a day = $5 a day.
+  const debts = [
+    { id: 0, name: "Card", type: "loc", balance: 10000, interest_rate: 18.25, statement_day: 1, payment_day: 2 },
+  ];
+  const days = (m) => cycleDaysForMonth("2027-01", m);
+  const planFn = (m) => ({ monthlyPayment: m === 1 ? 0 : 5 * days(m - 1) });
+  const res = simulateStrategy("avalanche", debts, planFn, { accrual: "daily_balance", startMonth: "2027-01" });
+  const year = res.timeline.slice(0, 12);
+
+  assert.deepEqual(year.map((t) => t.interestThisMonth), year.map((t) => 5 * days(t.month)));
+  assert.equal(Math.round(year.reduce((sum, t) => sum + t.interestThisMonth, 0) * 100) / 100, 10000 * 0.1825);
+  assert.equal(year.at(-1).totalRemaining, 10000 + 5 * 31);
+
+  // Without a start date: 12 average months, within rounding of a full year
+  const avg = simulateStrategy("avalanche", debts, () => ({ monthlyPayment: 0 }), { accrual: "daily_balance" });
+  assert.ok(Math.abs(avg.timeline[0].interestThisMonth - (10000 * 0.1825) / 12) < 0.01);
+});
+
+test("paying earlier in the cycle costs less interest", () => {
+  const card = { id: 0, name: "Card", type: "credit_card", balance: 5000, interest_rate: 24.99, statement_day: 1 };
+  const run = (payment_day) =>
+    simulateStrategy("avalanche", [{ ...card, payment_day }], () => ({ monthlyPayment: 400 }), {
+      accrual: "daily_balance",
+    });
+  const early = run(3);
+  const late = run(28);
+  assert.ok(early.totalInterest < late.totalInterest);
+  assert.ok(early.monthsToDebtFree <= late.monthsToDebtFree);
+});
+
+test("monthly mode ignores statement and payment days", () => {
+  const debt = { id: 0, name: "Card", type: "loc", balance: 1000, interest_rate: 12 };
+  const plain = simulateStrategy("avalanche", [debt], () => ({ monthlyPayment: 300 }));
+  const withDays = simulateStrategy("avalanche", [{ ...debt, statement_day: 5, payment_day: 6 }], () => ({
+    monthlyPayment: 300,
+  }));
+  assert.deepEqual(plain, withDays);
+  assert.equal(plain.timeline[0].interestThisMonth, 10);
+});
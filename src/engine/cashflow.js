@@ -0,0 +1,32 @@
+import { clampNumber, round2 } from "./numbers.js";
+
+/**
+ * Income and bill entries, normalized to a monthly amount.
+ *
+ * Entry: { label?: string, amount: number, frequency?: string }
+ * A missing or unknown frequency is treated as monthly (older saved inputs
+ * only stored { amount }).
+ */
+export const FREQUENCIES = [
+  { id: "weekly", label: "Weekly", perYear: 52 },
+  { id: "biweekly", label: "Every 2 weeks", perYear: 26 },
+  { id: "semi_monthly", label: "Twice a month", perYear: 24 },
+  { id: "monthly", label: "Monthly", perYear: 12 },
+  { id: "annual", label: "Yearly", perYear: 1 },
+];
+
+const BY_ID = new Map(FREQUENCIES.map((f) => [f.id, f]));
+
+export function getFrequency(id) {
+  return BY_ID.get(id) || BY_ID.get("monthly");
+}
+
+/** One entry's average monthly amount (a bi-weekly $2000 cheque is ~$4333/month). */
+export function monthlyAmount(entry) {
+  const amount = Math.max(0, clampNumber(entry?.amount, 0));
+  return round2((amount * getFrequency(entry?.frequency).perYear) / 12);
+}
+
+export function monthlyTotal(entries) {
+  return round2((entries || []).reduce((sum, e) => sum + monthlyAmount(e), 0));
+}
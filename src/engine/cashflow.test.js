@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { monthlyAmount, monthlyTotal } from "./cashflow.js";
+
+test("frequencies normalize to a monthly amount", () => {
+  assert.equal(monthlyAmount({ amount: 1200, frequency: "weekly" }), 5200);
+  assert.equal(monthlyAmount({ amount: 2000, frequency: "biweekly" }), 4333.33);
+  assert.equal(monthlyAmount({ amount: 2000, frequency: "semi_monthly" }), 4000);
+  assert.equal(monthlyAmount({ amount: 2000, frequency: "monthly" }), 2000);
+  assert.equal(monthlyAmount({ amount: 600, frequency: "annual" }), 50);
+});
+
+test("older entries without a frequency count as monthly", () => {
+  assert.equal(monthlyAmount({ amount: 5300 }), 5300);
+  assert.equal(monthlyAmount({ amount: 100, frequency: "fortnightly-ish" }), 100);
+  assert.equal(monthlyAmount({ amount: "" }), 0);
+});
+
+test("totals add every entry", () => {
+  const bills = [
+    { label: "Rent", amount: 1800 },
+    { label: "Insurance", amount: 1200, frequency: "annual" },
+    { label: "Groceries", amount: 150, frequency: "weekly" },
+  ];
+  assert.equal(monthlyTotal(bills), 1800 + 100 + 650);
+  assert.equal(monthlyTotal([]), 0);
+  assert.equal(monthlyTotal(undefined), 0);
+});
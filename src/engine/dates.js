@@ -0,0 +1,50 @@
+/**
+ * Calendar helpers. Simulated months are 1-based offsets from a plan start;
+ * these turn them into real calendar months.
+ *
+ * All dates are UTC calendar days; no time zones involved.
+ */
+
+/** "YYYY-MM-DD" -> UTC Date, or null when it isn't a real date. */
+export function parseIsoDate(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s ?? "").trim());
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3] ? d : null;
+}
+
+export function toIsoDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+/** "YYYY-MM" or "YYYY-MM-DD" -> UTC Date on the 1st of that month, or null. */
+export function parseMonth(s) {
+  const str = String(s ?? "").trim();
+  const d = parseIsoDate(/^\d{4}-\d{2}$/.test(str) ? `${str}-01` : str);
+  return d ? new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1)) : null;
+}
+
+/**
+ * Calendar month ("YYYY-MM") of simulated `month` (1 = the start month).
+ * Returns null when start isn't a valid date.
+ */
+export function calendarMonth(start, month) {
+  const first = parseMonth(start);
+  if (!first || month == null || !Number.isFinite(Number(month))) return null;
+  const d = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + Math.floor(month) - 1, 1));
+  return toIsoDate(d).slice(0, 7);
+}
+
+/**
+ * Inverse of calendarMonth: the simulated month that falls in `date`'s
+ * calendar month ("YYYY-MM" or a full date). May be < 1 when date is before
+ * the start; null when either can't be read.
+ */
+export function monthNumber(start, date) {
+  const first = parseMonth(start);
+  const target = parseMonth(date);
+  if (!first || !target) return null;
+  return (
+    (target.getUTCFullYear() - first.getUTCFullYear()) * 12 + (target.getUTCMonth() - first.getUTCMonth()) + 1
+  );
+}
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { calendarMonth, monthNumber, parseMonth } from "./dates.js";
+
+test("simulated months map to calendar months", () => {
+  assert.equal(calendarMonth("2026-11", 1), "2026-11");
+  assert.equal(calendarMonth("2026-11", 3), "2027-01");
+  assert.equal(calendarMonth("2026-11-19", 27), "2029-01");
+});
+
+test("invalid starts give null", () => {
+  assert.equal(parseMonth("2026-13"), null);
+  assert.equal(parseMonth(""), null);
+  assert.equal(calendarMonth("soon", 1), null);
+  assert.equal(calendarMonth("2026-01", null), null);
+});
+
+test("monthNumber is the inverse of calendarMonth", () => {
+  assert.equal(monthNumber("2026-11", "2026-11"), 1);
+  assert.equal(monthNumber("2026-11-19", "2029-01-05"), 27);
+  assert.equal(calendarMonth("2026-11", monthNumber("2026-11", "2031-06")), "2031-06");
+  assert.equal(monthNumber("2026-11", "2026-09"), -1);
+  assert.equal(monthNumber("2026-11", "someday"), null);
+});
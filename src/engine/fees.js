@@ -0,0 +1,60 @@
+import { clampNumber, round2 } from "./numbers.js";
+
+/**
+ * Per-debt fees, added to the balance on the months they post.
+ *
+ * Input (on the debt):
+ *  fees?: [{
+ *    kind: "annual" | "monthly" | "one_time",
+ *    amount?: number,   // dollars
+ *    percent?: number,  // one_time only: % of the balance (balance-transfer fee)
+ *    month?: number,    // annual: first month billed, then every 12 (default 1)
+ *                       // one_time: month it posts (default 1)
+ *  }]
+ *  late_fee?: number    // charged in any month the minimum isn't fully paid
+ *
+ * Fees only post while the debt still has a balance.
+ */
+export const FEE_KINDS = ["annual", "monthly", "one_time"];
+
+function feeMonth(fee) {
+  return Math.max(1, Math.floor(clampNumber(fee?.month, 1)));
+}
+
+/** Scheduled fees posting in `month` on a debt currently at `balance`. */
+export function scheduledFeesForMonth(debt, month, balance) {
+  let total = 0;
+
+  for (const fee of debt?.fees || []) {
+    const amount = Math.max(0, clampNumber(fee?.amount, 0));
+    const start = feeMonth(fee);
+
+    if (fee?.kind === "monthly") {
+      if (month >= start) total += amount;
+    } else if (fee?.kind === "annual") {
+      if (month >= start && (month - start) % 12 === 0) total += amount;
+    } else if (fee?.kind === "one_time") {
+      if (month === start) {
+        const percent = Math.max(0, clampNumber(fee?.percent, 0));
+        total += amount + (percent / 100) * Math.max(0, clampNumber(balance, 0));
+      }
+    }
+  }
+
+  return round2(total);
+}
+
+/** Fees a debt keeps charging in the long run, per month (annual fees spread over 12). */
+export function recurringMonthlyFees(debt) {
+  let total = 0;
+  for (const fee of debt?.fees || []) {
+    const amount = Math.max(0, clampNumber(fee?.amount, 0));
+    if (fee?.kind === "monthly") total += amount;
+    else if (fee?.kind === "annual") total += amount / 12;
+  }
+  return round2(total);
+}
+
+export function lateFeeOf(debt) {
+  return round2(Math.max(0, clampNumber(debt?.late_fee, 0)));
+}
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { lateFeeOf, recurringMonthlyFees, scheduledFeesForMonth } from "./fees.js";
+import { simulateStrategy } from "./simulate.js";
+
+test("annual fees bill every 12 months from their first month", () => {
+  const debt = { fees: [{ kind: "annual", amount: 95, month: 3 }] };
+  const billed = [1, 2, 3, 4, 14, 15, 27].filter((m) => scheduledFeesForMonth(debt, m, 1000) > 0);
+  assert.deepEqual(billed, [3, 15, 27]);
+});
+
+test("monthly and one-time fees", () => {
+  const debt = {
+    fees: [
+      { kind: "monthly", amount: 5 },
+      { kind: "one_time", amount: 10, percent: 3, month: 2 },
+    ],
+  };
+  assert.equal(scheduledFeesForMonth(debt, 1, 2000), 5);
+  assert.equal(scheduledFeesForMonth(debt, 2, 2000), 5 + 10 + 60);
+  assert.equal(scheduledFeesForMonth(debt, 3, 2000), 5);
+});
+
+test("bad fee input is ignored", () => {
+  assert.equal(scheduledFeesForMonth({}, 1, 1000), 0);
+  assert.equal(scheduledFeesForMonth({ fees: [{ kind: "weekly", amount: 5 }] }, 1, 1000), 0);
+  assert.equal(scheduledFeesForMonth({ fees: [{ kind: "monthly", amount: -5 }] }, 1, 1000), 0);
+  assert.equal(lateFeeOf({ late_fee: "abc" }), 0);
+});
+
+test("a balance-transfer fee is charged up front and adds to the payoff", () => {
+  const base = [{ id: 0, name: "BT", type: "credit_card", balance: 5000, interest_rate: 0 }];
+  const withFee = [{ ...base[0], fees: [{ kind: "one_time", percent: 3, month: 1 }] }];
+  const planFn = () => ({ monthlyPayment: 500 });
+
+  const a = simulateStrategy("avalanche", base, planFn);
+  const b = simulateStrategy("avalanche", withFee, planFn);
+
+  assert.equal(b.timeline[0].feesThisMonth, 150);
+  assert.equal(b.totalFees, 150);
+  assert.equal(b.totalInterest, 0);
+  assert.equal(b.monthsToDebtFree, a.monthsToDebtFree + 1);
+});
+
+test("recurring fees average annual fees over the year and skip one-time fees", () => {
+  const debt = {
+    fees: [
+      { kind: "monthly", amount: 5 },
+      { kind: "annual", amount: 120, month: 3 },
+      { kind: "one_time", percent: 3 },
+    ],
+  };
+  assert.equal(recurringMonthlyFees(debt), 15);
+  assert.equal(recurringMonthlyFees({}), 0);
+});
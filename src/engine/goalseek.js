@@ -0,0 +1,101 @@
+import { monthNumber } from "./dates.js";
+import { clampNumber, round2 } from "./numbers.js";
+import { getPaymentPlanFn } from "./schedule.js";
+import { simulateStrategy } from "./simulate.js";
+
+// Give up above this many times the total balance (the goal can't be met)
+const MAX_PAYMENT_FACTOR = 1000;
+
+/**
+ * Resolve a goal to the month count and interest cap the solver checks.
+ * goal: { months?, date?, start?, maxInterest? } (date needs start, the plan's month 1)
+ */
+function goalLimits(goal) {
+  let months = goal?.months != null && goal.months !== "" ? Math.floor(clampNumber(goal.months, 0)) : null;
+  if (goal?.date) {
+    const m = monthNumber(goal.start, goal.date);
+    months = m == null ? null : months == null ? m : Math.min(months, m);
+  }
+  const maxInterest =
+    goal?.maxInterest != null && goal.maxInterest !== "" ? Math.max(0, clampNumber(goal.maxInterest, 0)) : null;
+  return { months, maxInterest };
+}
+
+/**
+ * Goal-seek: the smallest fixed monthly payment that gets a strategy debt-free
+ * by a month / date, or keeps total interest under a cap (or both).
+ *
+ * goal: {
+ *   months?: number,        // debt-free within this many months
+ *   date?: "YYYY-MM",       // ...or by this calendar month (needs start)
+ *   start?: "YYYY-MM",      // calendar month of month 1
+ *   maxInterest?: number,   // total interest at most this
+ * }
+ *
+ * options: simulateStrategy options, plus
+ *  - planFnFor(payment): paymentPlanFn for a fixed payment (default: plain
+ *    getPaymentPlanFn("fixed", ...)); wrap it to keep the pay calendar and
+ *    windfalls in the picture
+ *  - minPayment: never suggest less than this (e.g. month-1 minimums)
+ *  - freeCash: when given, report whether the payment fits in it
+ *
+ * Assumes paying more never makes the plan slower or dearer, and bisects to
+ * the cent. Returns {
+ *   strategy, achievable,
+ *   payment,                // null when not achievable
+ *   monthsToDebtFree, totalInterest,   // at that payment
+ *   fitsFreeCash,           // null without options.freeCash
+ * }
+ */
+export function solveFixedPayment(strategy, debts, goal, options = {}) {
+  const { planFnFor = (p) => getPaymentPlanFn("fixed", p, [], debts), minPayment = 0, freeCash, ...simOptions } = options;
+  const { months, maxInterest } = goalLimits(goal);
+
+  const unreachable = { strategy, achievable: false, payment: null, monthsToDebtFree: null, totalInterest: null, fitsFreeCash: null };
+  if ((months == null && maxInterest == null) || (months != null && months < 1)) return unreachable;
+
+  const run = (payment) => simulateStrategy(strategy, debts, planFnFor(payment), simOptions);
+  const meets = (r) =>
+    !r.timeline.some((row) => row.invalid) &&
+    (r.timeline.at(-1)?.totalRemaining ?? 0) <= 0.005 &&
+    (months == null || r.monthsToDebtFree <= months) &&
+    (maxInterest == null || r.totalInterest <= maxInterest + 0.005);
+
+  const done = (payment, r) => ({
+    strategy,
+    achievable: true,
+    payment,
+    monthsToDebtFree: r.monthsToDebtFree,
+    totalInterest: r.totalInterest,
+    fitsFreeCash: freeCash == null ? null : payment <= round2(freeCash),
+  });
+
+  let lo = Math.max(0, Math.ceil(clampNumber(minPayment, 0) * 100) / 100);
+  let best = run(lo);
+  if (meets(best)) return done(lo, best);
+
+  // Grow until the goal is met, then bisect back down to the cent
+  const total = debts.reduce((sum, d) => sum + Math.max(0, clampNumber(d.balance, 0)), 0);
+  const cap = Math.max(1, total) * MAX_PAYMENT_FACTOR;
+  let hi = Math.max(1, lo * 2);
+  for (;;) {
+    best = run(hi);
+    if (meets(best)) break;
+    if (hi >= cap) return unreachable;
+    lo = hi;
+    hi = Math.min(cap, hi * 2);
+  }
+
+  while (hi - lo > 0.01 + 1e-9) {
+    const mid = Math.round(((lo + hi) / 2) * 100) / 100;
+    if (mid <= lo || mid >= hi) break;
+    const r = run(mid);
+    if (meets(r)) {
+      hi = mid;
+      best = r;
+    } else {
+      lo = mid;
+    }
+  }
+  return done(round2(hi), best);
+}
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { solveFixedPayment } from "./goalseek.js";
+import { getPaymentPlanFn } from "./schedule.js";
+import { simulateStrategy } from "./simulate.js";
+import { withWindfalls } from "./windfalls.js";
+
+const DEBTS = [
+  { id: 0, name: "Visa", type: "credit_card", balance: 4000, interest_rate: 24.99 },
+  { id: 1, name: "Loan", type: "other", balance: 6000, interest_rate: 8 },
+];
+const run = (strategy, payment) => simulateStrategy(strategy, DEBTS, getPaymentPlanFn("fixed", payment, [], DEBTS));
+
+test("finds the smallest payment that is debt-free in time", () => {
+  for (const strategy of ["snowball", "avalanche"]) {
+    const res = solveFixedPayment(strategy, DEBTS, { months: 24 });
+
+    assert.equal(res.achievable, true);
+    assert.ok(res.monthsToDebtFree <= 24);
+    assert.equal(run(strategy, res.payment).monthsToDebtFree, res.monthsToDebtFree);
+    assert.ok(run(strategy, res.payment - 0.01).monthsToDebtFree > 24, `${strategy} is not minimal`);
+  }
+});
+
+test("a date target counts months from the plan start", () => {
+  const byDate = solveFixedPayment("avalanche", DEBTS, { date: "2028-12", start: "2027-01" });
+  const byMonths = solveFixedPayment("avalanche", DEBTS, { months: 24 });
+  assert.equal(byDate.payment, byMonths.payment);
+});
+
+test("an interest cap is met at the minimal payment", () => {
+  const res = solveFixedPayment("avalanche", DEBTS, { maxInterest: 1000 });
+
+  assert.ok(res.totalInterest <= 1000);
+  assert.ok(run("avalanche", res.payment - 0.01).totalInterest > 1000);
+});
+
+test("reports whether the payment fits in free cash and respects the floor", () => {
+  const res = solveFixedPayment("avalanche", DEBTS, { months: 24 }, { freeCash: 300 });
+  assert.equal(res.fitsFreeCash, false);
+
+  const easy = solveFixedPayment("avalanche", DEBTS, { months: 600 }, { minPayment: 250, freeCash: 300 });
+  assert.equal(easy.payment, 250);
+  assert.equal(easy.fitsFreeCash, true);
+});
+
+test("windfalls lower the payment needed when planFnFor keeps them", () => {
+  const windfalls = [{ month: 3, amount: 3000 }];
+  const plain = solveFixedPayment("avalanche", DEBTS, { months: 18 });
+  const withBonus = solveFixedPayment("avalanche", DEBTS, { months: 18 }, {
+    planFnFor: (p) => withWindfalls(getPaymentPlanFn("fixed", p, [], DEBTS), windfalls),
+  });
+  assert.ok(withBonus.payment < plain.payment);
+});
+
+test("impossible or empty goals are not achievable", () => {
+  assert.equal(solveFixedPayment("avalanche", DEBTS, { maxInterest: 0 }).achievable, false);
+  assert.equal(solveFixedPayment("avalanche", DEBTS, { date: "2026-01", start: "2027-01" }).achievable, false);
+  assert.equal(solveFixedPayment("avalanche", DEBTS, {}).payment, null);
+});
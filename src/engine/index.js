@@ -0,0 +1,125 @@
+/**
+ * ClearPath payoff engine.
+ *
+ * Pure functions only: no React, no DOM, no storage. Safe to import from
+ * the app, a Web Worker or a Node script.
+ *
+ * Typical use:
+ *
+ *   const planFn = getPaymentPlanFn("fixed", 1500, [], debts);
+ *   const snow = simulateStrategy("snowball", debts, planFn);
+ *   const aval = simulateStrategy("avalanche", debts, planFn);
+ *   const winner = pickWinner("interest", [snow, aval]); // strategy id
+ *
+ * Input debt (EngineDebt):
+ *  {
+ *    id: string | number,          // any stable key; echoed back in results
+ *    name: string,
+ *    type: "credit_card" | "loan" | "loc" | "other",
+ *    balance: number,              // current balance ($)
+ *    interest_rate: number,        // APR in percent (19.99, not 0.1999)
+ *    min_floor_enabled?: boolean,  // statement minimum known?
+ *    min_floor?: number,           // minimum never goes below this
+ *    min_formula?: string,         // MIN_PAYMENT_PRESETS id; default "auto"
+ *    min_fixed_amount?: number,    // min_formula "fixed" only
+ *    promo?: { rate, end_month, deferred? },   // intro / balance-transfer APR
+ *    rate_changes?: [{ month, rate }],         // variable-rate steps
+ *    statement_day?, payment_day?: number,     // 1-28, daily_balance accrual only
+ *    original_term?, remaining_months?, contractual_payment?: number,
+ *                                  // "loan" only: amortize at the contract payment
+ *    fees?: [{ kind, amount?, percent?, month? }],  // annual / monthly / one_time
+ *    late_fee?: number,            // when the month's minimum isn't fully paid
+ *    minimum_payment?: number,     // schedule mode only: month-1 minimum used by
+ *                                  // computeScheduleMonthRequiredPayments
+ *  }
+ *
+ * paymentPlanFn(month) -> PaymentPlan, see simulateStrategy.
+ * Wrap it with withPayCalendar(planFn, { frequency, start_date }) to pay on
+ * real paydays (extra weekly / bi-weekly paycheques become bonus payments),
+ * and with withWindfalls(planFn, windfalls) to add one-off lump sums.
+ * Under daily_balance accrual the month's payment posts on those paydays
+ * (equal shares) instead of each debt's payment_day, so paying early in the
+ * cycle saves interest.
+ *
+ * simulateStrategy(strategy, debts, paymentPlanFn, options?)
+ *  - strategy: a registered strategy id. Built in: "snowball", "avalanche",
+ *    "custom", "interest_cost", "cash_flow_index", "hybrid".
+ *    Add your own with registerStrategy(id, { label, description, compare }).
+ *  - options.customOrder: debt ids, highest priority first ("custom" only)
+ *  - options.hybridThreshold: balances under this are snowballed first ("hybrid" only;
+ *    default DEFAULT_HYBRID_THRESHOLD)
+ *  - options.accrual: "monthly" (default) | "daily_balance"
+ *  - options.startMonth: "YYYY-MM" of month 1, so daily_balance cycles use
+ *    real month lengths (default: 365/12 days per cycle)
+ *  - options.cycleDays: fixed billing cycle length for daily_balance
+ *
+ * simulateStrategy(...) -> SimulationResult:
+ *  {
+ *    strategy: string,
+ *    monthsToDebtFree: number,     // MAX_MONTHS when not paid off in time
+ *    paidOff: boolean,             // false: the plan never pays off (check before
+ *                                  // showing monthsToDebtFree as a date)
+ *    progressPayment: number,      // fixed monthly payment that pays every debt off
+ *    totalInterest: number,
+ *    totalFees: number,            // fees are NOT included in totalInterest
+ *    timeline: TimelineEntry[],    // one entry per simulated month (1-based `month`)
+ *    perDebt: [{ id, name, apr, payoffMonth, interestPaid, feesPaid,
+ *                paidOff, endingBalance, negativeAmortization, progressPayment }],
+ *  }
+ *
+ * TimelineEntry:
+ *  {
+ *    month, paymentThisMonth, requiredSum, unassigned,
+ *    payDates, bonusPayment,        // pay calendar only (withPayCalendar), else [] / 0
+ *    windfall, windfallDirectedPaid, // lump sums (withWindfalls) and the part paid to pinned debts
+ *    interestThisMonth, deferredInterestThisMonth, totalInterestToDate,
+ *    feesThisMonth, feesByDebtId, totalFeesToDate,
+ *    minimumsDue,                   // sum of this month's minimums
+ *    minPaid,                       // part of the required payments that covered minimums
+ *    directedPaid,                  // schedule mode: required payments (allocations incl. minimums); else 0
+ *    extraPaid,                     // what the strategy placed
+ *    totalRemaining,
+ *    // Everything paid this month (Σ paidByDebtId) =
+ *    //   (directedPaid in schedule mode, else minPaid) + windfallDirectedPaid + extraPaid
+ *    targetDebtId, targetDebtName,  // debt that received the most this month
+ *    appliedToTargetThisMonth, extraAppliedToTarget,
+ *    extraByDebtId: { [id]: number },
+ *    balanceByDebtId: { [id]: number },  // end-of-month balances
+ *    interestByDebtId, paidByDebtId: { [id]: number },  // see debtTableRows
+ *    paidOffDebtIds: id[],          // debts that reached $0 this month
+ *    invalid: boolean,              // true = plan over budget; simulation stopped here
+ *  }
+ *
+ * solveFixedPayment(strategy, debts, goal, options?) runs it in reverse: the
+ * smallest fixed payment that is debt-free by goal.months / goal.date, or
+ * keeps totalInterest under goal.maxInterest (see goalseek.js).
+ * validateSchedule(debts, scheduleRows, options?) lists every over-budget
+ * or below-minimum schedule month with its shortfall (see schedule.js).
+ * optimizeAllocations(debts, scheduleRows, options?) fills schedule-mode
+ * allocations to minimize interest or months (see optimize.js).
+ *
+ * All money values are rounded to cents.
+ */
+export { clampNumber, round2 } from "./numbers.js";
+export { amortizedPayment, getLoanTerms, amortizationSchedule } from "./loans.js";
+export {
+  MIN_PAYMENT_PRESETS,
+  getMinPaymentPreset,
+  estimateMinimumPayment,
+  computeMonthlyMinimumDynamic,
+} from "./minimums.js";
+export { FREQUENCIES, getFrequency, monthlyAmount, monthlyTotal } from "./cashflow.js";
+export { ACCRUAL_MODES, billingCycleSplit, cycleDaysForMonth } from "./accrual.js";
+export { FEE_KINDS, scheduledFeesForMonth, recurringMonthlyFees } from "./fees.js";
+export { getRateSchedule, rateForMonth, aprForMonth } from "./rates.js";
+export { parseIsoDate, toIsoDate, parseMonth, calendarMonth, monthNumber } from "./dates.js";
+export { PAY_FREQUENCIES, payDatesForMonth, withPayCalendar } from "./paycalendar.js";
+export { withWindfalls, windfallSavings } from "./windfalls.js";
+export { computeScheduleMonthRequiredPayments, getPaymentPlanFn, validateSchedule } from "./schedule.js";
+export { DEFAULT_HYBRID_THRESHOLD, registerStrategy, getStrategy, listStrategies } from "./strategies.js";
+export { MAX_MONTHS, simulateStrategy } from "./simulate.js";
+export { solveFixedPayment } from "./goalseek.js";
+export { OPTIMIZE_OBJECTIVES, optimizeAllocations } from "./optimize.js";
+export { debtTableRows, debtTableCsv } from "./report.js";
+export { scoreStickiness } from "./stickiness.js";
+export { pickWinner } from "./winner.js";
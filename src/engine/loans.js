@@ -0,0 +1,83 @@
+import { clampNumber, round2 } from "./numbers.js";
+
+/**
+ * Amortizing installment loans (car loans, mortgages, personal loans).
+ *
+ * Loan debts may carry their contract terms:
+ *  original_term?: number        // months, as signed
+ *  remaining_months?: number     // months left on the contract
+ *  contractual_payment?: number  // fixed monthly payment
+ *
+ * The contractual payment is the loan's minimum every month. Without one,
+ * it is derived from remaining_months. Extra payments shorten the term;
+ * the payment never changes.
+ */
+
+/** Level payment that clears `balance` in `months` at `apr` (percent). */
+export function amortizedPayment(balance, apr, months) {
+  const b = Math.max(0, clampNumber(balance, 0));
+  const n = Math.floor(clampNumber(months, 0));
+  if (b <= 0 || n <= 0) return 0;
+
+  const r = (Math.max(0, clampNumber(apr, 0)) / 100) / 12;
+  if (r === 0) return round2(b / n);
+  return round2((b * r) / (1 - Math.pow(1 + r, -n)));
+}
+
+/**
+ * Contract terms for a loan debt, or null when none were entered.
+ * Returns { payment, remainingMonths, originalTerm, monthsElapsed }.
+ * remainingMonths is Infinity when the payment does not cover interest.
+ */
+export function getLoanTerms(debt) {
+  if (debt?.type !== "loan") return null;
+
+  const balance = Math.max(0, clampNumber(debt.balance, 0));
+  const apr = Math.max(0, clampNumber(debt.interest_rate, 0));
+  const r = (apr / 100) / 12;
+
+  const contractual = Math.max(0, clampNumber(debt.contractual_payment, 0));
+  const remainingInput = Math.max(0, Math.floor(clampNumber(debt.remaining_months, 0)));
+  const originalTerm = Math.max(0, Math.floor(clampNumber(debt.original_term, 0))) || null;
+
+  let payment = contractual;
+  if (!payment && remainingInput) payment = amortizedPayment(balance, apr, remainingInput);
+  if (!payment) return null;
+
+  let remainingMonths = remainingInput;
+  if (contractual || !remainingMonths) {
+    if (balance <= 0) remainingMonths = 0;
+    else if (r === 0) remainingMonths = Math.ceil(balance / payment);
+    else if (payment <= balance * r) remainingMonths = Infinity;
+    else remainingMonths = Math.ceil(-Math.log(1 - (balance * r) / payment) / Math.log(1 + r));
+  }
+
+  return {
+    payment,
+    remainingMonths,
+    originalTerm,
+    monthsElapsed: originalTerm && Number.isFinite(remainingMonths) ? Math.max(0, originalTerm - remainingMonths) : null,
+  };
+}
+
+/**
+ * Month-by-month amortization at the contractual payment (no extra payments).
+ * rows: [{ month, payment, interest, principal, balance }]
+ */
+export function amortizationSchedule(debt, maxMonths = 600) {
+  const terms = getLoanTerms(debt);
+  if (!terms) return [];
+
+  const r = (Math.max(0, clampNumber(debt.interest_rate, 0)) / 100) / 12;
+  let balance = round2(Math.max(0, clampNumber(debt.balance, 0)));
+  const rows = [];
+
+  for (let month = 1; month <= maxMonths && balance > 0.000001; month++) {
+    const interest = round2(balance * r);
+    const payment = round2(Math.min(terms.payment, balance + interest));
+    const principal = round2(payment - interest);
+    balance = round2(balance + interest - payment);
+    rows.push({ month, payment, interest, principal, balance });
+  }
+  return rows;
+}
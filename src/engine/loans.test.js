@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { amortizationSchedule, amortizedPayment, getLoanTerms } from "./loans.js";
+import { estimateMinimumPayment } from "./minimums.js";
+import { simulateStrategy } from "./simulate.js";
+
+const carLoan = { id: 0, name: "Car", type: "loan", balance: 20000, interest_rate: 6 };
+
+test("level payment matches the standard amortization formula", () => {
+  assert.equal(amortizedPayment(20000, 6, 60), 386.66);
+  assert.equal(amortizedPayment(12000, 0, 48), 250);
+  assert.equal(amortizedPayment(0, 6, 60), 0);
+});
+
+test("terms come from the contractual payment or the remaining months", () => {
+  assert.deepEqual(getLoanTerms({ ...carLoan, remaining_months: 60, original_term: 72 }), {
+    payment: 386.66,
+    remainingMonths: 60,
+    originalTerm: 72,
+    monthsElapsed: 12,
+  });
+  assert.equal(getLoanTerms({ ...carLoan, contractual_payment: 386.66 }).remainingMonths, 60);
+  assert.equal(getLoanTerms({ ...carLoan, contractual_payment: 50 }).remainingMonths, Infinity);
+  assert.equal(getLoanTerms(carLoan), null);
+  assert.equal(getLoanTerms({ ...carLoan, type: "credit_card", remaining_months: 60 }), null);
+});
+
+test("schedule amortizes to zero on the last month", () => {
+  const rows = amortizationSchedule({ ...carLoan, remaining_months: 60 });
+  assert.equal(rows.length, 60);
+  assert.deepEqual(rows[0], { month: 1, payment: 386.66, interest: 100, principal: 286.66, balance: 19713.34 });
+  assert.equal(rows.at(-1).balance, 0);
+  const principal = rows.reduce((sum, r) => sum + r.principal, 0);
+  assert.equal(Math.round(principal * 100) / 100, 20000);
+});
+
+test("loan minimum is the contractual payment instead of balance/36", () => {
+  assert.equal(estimateMinimumPayment({ ...carLoan, contractual_payment: 386.66 }), 386.66);
+  assert.equal(estimateMinimumPayment({ ...carLoan, remaining_months: 60 }), 386.66);
+  assert.ok(estimateMinimumPayment(carLoan) > 600);
+});
+
+test("with minimum payments only, the simulator follows the amortization schedule", () => {
+  const loan = { ...carLoan, remaining_months: 60 };
+  const res = simulateStrategy("avalanche", [loan], () => ({ monthlyPayment: 386.66 }));
+  const rows = amortizationSchedule(loan);
+
+  assert.equal(res.monthsToDebtFree, 60);
+  assert.deepEqual(
+    res.timeline.map((t) => t.totalRemaining),
+    rows.map((r) => r.balance)
+  );
+});
+
+test("extra payments shorten the term, the payment stays the same", () => {
+  const loan = { ...carLoan, contractual_payment: 386.66 };
+  const card = { id: 1, name: "Card", type: "credit_card", balance: 1000, interest_rate: 19.99 };
+  const res = simulateStrategy("avalanche", [loan, card], () => ({ monthlyPayment: 700 }));
+
+  // every month the loan gets at least its contract payment, never a re-amortized one
+  for (const t of res.timeline) {
+    if (t.month < res.perDebt[0].payoffMonth) assert.ok(t.minPaid >= 386.66);
+  }
+  assert.ok(res.perDebt[0].payoffMonth < 60);
+});
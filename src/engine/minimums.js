@@ -0,0 +1,117 @@
+import { clampNumber } from "./numbers.js";
+import { getLoanTerms } from "./loans.js";
+
+/**
+ * Issuer minimum-payment formulas, selectable per debt via `min_formula`.
+ * "auto" (or none) keeps the type-based heuristic below.
+ *
+ * compute({ balance, interest, fees, debt }):
+ *  - interest: this month's interest at the current APR
+ *  - fees: debt.fees_this_month (0 when fees aren't tracked)
+ */
+export const MIN_PAYMENT_PRESETS = [
+  {
+    id: "auto",
+    label: "Estimate from debt type",
+    description: "ClearPath's default heuristic for the debt type.",
+    compute: null,
+  },
+  {
+    id: "interest_fees_1pct",
+    label: "Interest + fees + 1%",
+    description: "Interest and fees charged this month plus 1% of the balance, $25 floor.",
+    compute: ({ balance, interest, fees }) => Math.max(25, interest + fees + 0.01 * balance),
+  },
+  {
+    id: "pct2_floor25",
+    label: "2% of balance, $25 floor",
+    description: "2% of the balance, at least $25.",
+    compute: ({ balance }) => Math.max(25, 0.02 * balance),
+  },
+  {
+    id: "pct3_floor10",
+    label: "3% of balance, $10 floor",
+    description: "3% of the balance, at least $10.",
+    compute: ({ balance }) => Math.max(10, 0.03 * balance),
+  },
+  {
+    id: "interest_only",
+    label: "Interest only",
+    description: "Interest and fees charged this month (typical for lines of credit).",
+    compute: ({ interest, fees }) => interest + fees,
+  },
+  {
+    id: "fixed",
+    label: "Fixed payment",
+    description: "The same amount every month.",
+    compute: ({ debt }) => Math.max(0, clampNumber(debt.min_fixed_amount, 0)),
+  },
+];
+
+export function getMinPaymentPreset(id) {
+  return MIN_PAYMENT_PRESETS.find((p) => p.id === id) || MIN_PAYMENT_PRESETS[0];
+}
+
+/**
+ * Minimum payment estimator (monthly).
+ * Heuristics; issuers vary. We allow Advanced override.
+ * A per-debt min_formula preset wins over the heuristics.
+ */
+export function estimateMinimumPayment(debt) {
+  const balance = Math.max(0, clampNumber(debt.balance, 0));
+  const apr = Math.max(0, clampNumber(debt.interest_rate, 0));
+  const r = (apr / 100) / 12;
+  const interestOnly = balance * r;
+
+  const preset = getMinPaymentPreset(debt.min_formula);
+  if (preset.compute) {
+    if (balance <= 0) return 0;
+    const fees = Math.max(0, clampNumber(debt.fees_this_month, 0));
+    return preset.compute({ balance, interest: interestOnly, fees, debt });
+  }
+
+  const floor = 25;
+
+  if (debt.type === "credit_card") {
+    const pctOfBalance = 0.02 * balance;
+    const interestPlusPrincipal = interestOnly + 0.01 * balance;
+    return Math.max(floor, pctOfBalance, interestPlusPrincipal);
+  }
+
+  if (debt.type === "loc") {
+    return Math.max(floor, interestOnly);
+  }
+
+  if (debt.type === "loan") {
+    // Installment loan with contract terms: the contractual payment, exactly
+    const terms = getLoanTerms(debt);
+    if (terms) return Math.min(terms.payment, balance + interestOnly);
+
+    const principalPortion = balance / 36;
+    return Math.max(floor, interestOnly + principalPortion);
+  }
+
+  const pct = 0.015 * balance;
+  return Math.max(floor, interestOnly + 0.005 * balance, pct);
+}
+
+export function computeMonthlyMinimumDynamic(debt, currentBalance) {
+  // Use the same estimator but based on current balance
+  // contractual_payment is fixed at the start, so amortizing loans keep
+  // the same payment as the balance drops
+  const est = estimateMinimumPayment({
+    type: debt.type,
+    balance: currentBalance,
+    interest_rate: debt.interest_rate,
+    contractual_payment: debt.contractual_payment,
+    min_formula: debt.min_formula,
+    min_fixed_amount: debt.min_fixed_amount,
+    fees_this_month: debt.fees_this_month,
+  });
+
+  // Apply override floor if enabled
+  if (debt.min_floor_enabled) {
+    return Math.max(est, debt.min_floor);
+  }
+  return est;
+}
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MIN_PAYMENT_PRESETS,
+  computeMonthlyMinimumDynamic,
+  estimateMinimumPayment,
+  getMinPaymentPreset,
+} from "./minimums.js";
+
+test("credit card minimum is max of $25, 2% of balance, interest + 1%", () => {
+  // 4000 @ 29.99%: interest 99.97 + 40 = 139.97 beats 2% (80)
+  assert.equal(
+    estimateMinimumPayment({ type: "credit_card", balance: 4000, interest_rate: 29.99 }).toFixed(2),
+    "139.97"
+  );
+  // 0% card: 2% of balance
+  assert.equal(estimateMinimumPayment({ type: "credit_card", balance: 4000, interest_rate: 0 }), 80);
+  // small balance hits the floor
+  assert.equal(estimateMinimumPayment({ type: "credit_card", balance: 100, interest_rate: 20 }), 25);
+});
+
+test("loc minimum is interest only with a $25 floor", () => {
+  assert.equal(estimateMinimumPayment({ type: "loc", balance: 12000, interest_rate: 12 }), 120);
+  assert.equal(estimateMinimumPayment({ type: "loc", balance: 1000, interest_rate: 12 }), 25);
+});
+
+test("loan minimum is interest + balance/36", () => {
+  assert.equal(estimateMinimumPayment({ type: "loan", balance: 3600, interest_rate: 12 }), 136);
+});
+
+test("other debts fall back to the generic formula", () => {
+  assert.equal(estimateMinimumPayment({ type: "other", balance: 10000, interest_rate: 0 }), 150);
+  assert.equal(estimateMinimumPayment({ balance: 10000, interest_rate: 24 }), 250);
+});
+
+test("blank and negative inputs never produce NaN", () => {
+  assert.equal(estimateMinimumPayment({ type: "credit_card", balance: "", interest_rate: "" }), 25);
+  assert.equal(estimateMinimumPayment({ type: "loan", balance: -500, interest_rate: "abc" }), 25);
+});
+
+test("dynamic minimum honours the override floor", () => {
+  const debt = { type: "credit_card", interest_rate: 0, min_floor_enabled: true, min_floor: 200 };
+  assert.equal(computeMonthlyMinimumDynamic(debt, 4000), 200);
+  assert.equal(computeMonthlyMinimumDynamic(debt, 20000), 400);
+  assert.equal(computeMonthlyMinimumDynamic({ ...debt, min_floor_enabled: false }, 4000), 80);
+});
+
+test("minimum formula presets override the type heuristic", () => {
+  const card = { type: "credit_card", balance: 4000, interest_rate: 24 };
+  const min = (formula, extra = {}) => estimateMinimumPayment({ ...card, min_formula: formula, ...extra });
+
+  assert.equal(min("interest_fees_1pct"), 120);
+  assert.equal(min("interest_fees_1pct", { fees_this_month: 10 }), 130);
+  assert.equal(min("pct2_floor25"), 80);
+  assert.equal(min("pct3_floor10"), 120);
+  assert.equal(min("interest_only"), 80);
+  assert.equal(min("fixed", { min_fixed_amount: 150 }), 150);
+  assert.equal(min("auto"), estimateMinimumPayment(card));
+  assert.equal(min("no-such-formula"), estimateMinimumPayment(card));
+});
+
+test("preset floors apply to small balances", () => {
+  assert.equal(estimateMinimumPayment({ balance: 200, interest_rate: 0, min_formula: "pct3_floor10" }), 10);
+  assert.equal(estimateMinimumPayment({ balance: 200, interest_rate: 0, min_formula: "pct2_floor25" }), 25);
+  assert.equal(estimateMinimumPayment({ balance: 0, interest_rate: 0, min_formula: "pct2_floor25" }), 0);
+});
+
+test("every preset is listed with a label", () => {
+  assert.equal(getMinPaymentPreset("pct3_floor10").label, "3% of balance, $10 floor");
+  assert.equal(getMinPaymentPreset(undefined).id, "auto");
+  for (const p of MIN_PAYMENT_PRESETS) assert.ok(p.label && p.description);
+});
+
+test("dynamic minimum uses the debt's preset on the current balance", () => {
+  const debt = { type: "credit_card", interest_rate: 0, min_formula: "pct3_floor10" };
+  assert.equal(computeMonthlyMinimumDynamic(debt, 1000), 30);
+  assert.equal(computeMonthlyMinimumDynamic({ ...debt, min_floor_enabled: true, min_floor: 50 }, 1000), 50);
+});
@@ -0,0 +1,12 @@
+/**
+ * Numeric helpers shared by the engine and the UI.
+ * Inputs come straight from form fields, so anything non-finite falls back.
+ */
+export function clampNumber(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function round2(n) {
+  return Math.round((clampNumber(n, 0) + Number.EPSILON) * 100) / 100;
+}
@@ -0,0 +1,129 @@
+import { clampNumber, round2 } from "./numbers.js";
+import { getPaymentPlanFn } from "./schedule.js";
+import { simulateStrategy } from "./simulate.js";
+
+export const OPTIMIZE_OBJECTIVES = ["interest", "months"];
+
+const BASELINES = ["snowball", "avalanche"];
+
+// Lower is better: interest (+ fees) first for "interest", months first for "months"
+function costOf(objective, r) {
+  const money = round2(r.totalInterest + (r.totalFees || 0));
+  return objective === "months" ? [r.monthsToDebtFree, money] : [money, r.monthsToDebtFree];
+}
+
+function better(a, b) {
+  return a[0] < b[0] - 0.005 || (Math.abs(a[0] - b[0]) <= 0.005 && a[1] < b[1] - 0.005);
+}
+
+/** Keep only the allocations the user locked on a schedule row. */
+function lockedOnly(row) {
+  const locked = row.locked || {};
+  const allocations = Object.fromEntries(Object.entries(row.allocations || {}).filter(([id]) => locked[id]));
+  return { ...row, allocations };
+}
+
+/**
+ * Fill schedule-mode allocations to minimize total interest (+ fees) or
+ * months, for the monthly amounts the user already set.
+ *
+ * rows: schedule rows { month, amount, allocations, locked? } where
+ * locked: { [debtId]: true } marks allocations to keep as they are.
+ *
+ * Works month by month: each row tries "all of this month's extra to debt X"
+ * for every unlocked debt and keeps whichever makes the whole plan cheapest,
+ * with the better of Snowball / Avalanche handling everything not yet
+ * decided. A candidate is only kept when it beats the plan so far, so the
+ * result is never worse than either strategy on its own, or than the
+ * allocations the rows came with.
+ *
+ * options: simulateStrategy options, plus
+ *  - objective: "interest" (default) | "months"
+ *  - planFnFor(rows): paymentPlanFn for a schedule (default: plain
+ *    getPaymentPlanFn("schedule", ...)); wrap it to keep the pay calendar
+ *    and windfalls in the picture
+ *
+ * Returns {
+ *   rows,            // the schedule with allocations filled (locked ones untouched), in the given order
+ *   strategy,        // strategy that handles any money the rows leave unassigned
+ *   result,          // SimulationResult of the optimized schedule
+ *   baselines: [{ strategy, result, monthsSaved, interestSaved }],  // locked allocations only
+ * }
+ */
+export function optimizeAllocations(debts, rows, options = {}) {
+  const {
+    objective = "interest",
+    planFnFor = (r) => getPaymentPlanFn("schedule", 0, r, debts),
+    ...simOptions
+  } = options;
+  const cost = (r) => costOf(objective, r);
+  const run = (r, strategy) => simulateStrategy(strategy, debts, planFnFor(r), simOptions);
+
+  const given = rows || [];
+  let work = given.map(lockedOnly);
+  // Rows are filled in month order but returned in the user's order
+  const monthOf = (i) => clampNumber(given[i].month, 0);
+  const byMonth = given.map((_, i) => i).sort((a, b) => monthOf(a) - monthOf(b) || a - b);
+
+  const baselineRuns = BASELINES.map((strategy) => ({ strategy, result: run(work, strategy) }));
+  const rollout = baselineRuns.reduce((a, b) => (better(cost(b.result), cost(a.result)) ? b : a));
+  const strategy = rollout.strategy;
+  let best = rollout.result;
+  let bestCost = cost(best);
+
+  // Start from the user's own allocations when they already beat both strategies
+  const current = run(given, strategy);
+  if (!current.timeline.some((t) => t.invalid) && better(cost(current), bestCost)) {
+    work = given;
+    best = current;
+    bestCost = cost(current);
+  }
+
+  for (const i of byMonth) {
+    const row = work[i];
+    const month = Math.floor(clampNumber(row.month, 0));
+    const probe = best.timeline[month - 1];
+    if (!probe || probe.invalid) break;
+
+    // What each debt needs this month (minimums and locked allocations), from the plan so far
+    const pinned = planFnFor(work)(month)?.windfallByDebtId || {};
+    const before = month > 1 ? best.timeline[month - 2]?.balanceByDebtId || {} : null;
+    const active = debts.filter((d) => (before ? before[d.id] ?? 0 : clampNumber(d.balance, 0)) > 0.005);
+    const needs = Object.fromEntries(
+      active.map((d) => {
+        const paid = (probe.paidByDebtId?.[d.id] || 0) - (probe.extraByDebtId?.[d.id] || 0);
+        return [d.id, round2(Math.max(0, paid - clampNumber(pinned[d.id], 0)))];
+      })
+    );
+    const needed = round2(Object.values(needs).reduce((sum, v) => sum + v, 0));
+    const amount = round2(clampNumber(row.amount, 0));
+    if (amount - needed <= 0.005) continue;
+
+    let pick = null;
+    for (const d of active) {
+      if (row.locked?.[d.id]) continue;
+      const allocations = { ...row.allocations, [d.id]: round2(amount - needed + needs[d.id]) };
+      const candidate = work.map((r, j) => (j === i ? { ...r, allocations } : r));
+      const result = run(candidate, strategy);
+      const c = cost(result);
+      if (!result.timeline.some((t) => t.invalid) && better(c, bestCost)) {
+        pick = candidate;
+        best = result;
+        bestCost = c;
+      }
+    }
+    if (pick) work = pick;
+  }
+
+  return {
+    rows: work,
+    strategy,
+    result: best,
+    baselines: baselineRuns.map(({ strategy: s, result }) => ({
+      strategy: s,
+      result,
+      monthsSaved: result.monthsToDebtFree - best.monthsToDebtFree,
+      interestSaved: round2(result.totalInterest - best.totalInterest),
+    })),
+  };
+}
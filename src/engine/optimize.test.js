@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { optimizeAllocations } from "./optimize.js";
+import { getPaymentPlanFn } from "./schedule.js";
+import { simulateStrategy } from "./simulate.js";
+
+const DEBTS = [
+  { id: 0, name: "Store card", type: "credit_card", balance: 1500, interest_rate: 12 },
+  { id: 1, name: "Visa", type: "credit_card", balance: 5000, interest_rate: 26 },
+  // 0% promo for 6 months, then the highest rate of all
+  { id: 2, name: "Transfer", type: "credit_card", balance: 3000, interest_rate: 29, promo: { rate: 0, end_month: 6 } },
+];
+const ROWS = Array.from({ length: 12 }, (_, i) => ({ month: i + 1, amount: 700, allocations: {} }));
+
+const replay = (rows, strategy) => simulateStrategy(strategy, DEBTS, getPaymentPlanFn("schedule", 0, rows, DEBTS));
+
+test("optimized allocations beat pure Snowball and Avalanche on interest", () => {
+  const opt = optimizeAllocations(DEBTS, ROWS);
+
+  assert.equal(opt.rows.length, ROWS.length);
+  assert.ok(opt.rows.some((r) => Object.keys(r.allocations).length > 0));
+  for (const b of opt.baselines) {
+    assert.ok(opt.result.totalInterest <= b.result.totalInterest, b.strategy);
+    assert.equal(b.interestSaved, Math.round((b.result.totalInterest - opt.result.totalInterest) * 100) / 100);
+  }
+  assert.ok(opt.baselines.some((b) => b.interestSaved > 0));
+
+  // The rows reproduce the reported result
+  assert.equal(replay(opt.rows, opt.strategy).totalInterest, opt.result.totalInterest);
+});
+
+test("the months objective never takes longer than either strategy", () => {
+  const opt = optimizeAllocations(DEBTS, ROWS, { objective: "months" });
+  for (const b of opt.baselines) assert.ok(b.monthsSaved >= 0, b.strategy);
+});
+
+test("locked allocations are kept as they are", () => {
+  const rows = ROWS.map((r) => (r.month <= 3 ? { ...r, allocations: { 0: 200 }, locked: { 0: true } } : r));
+  const opt = optimizeAllocations(DEBTS, rows);
+
+  for (const r of opt.rows.slice(0, 3)) {
+    assert.equal(r.allocations[0], 200);
+    assert.deepEqual(r.locked, { 0: true });
+  }
+  const paid = opt.result.timeline.slice(0, 3).map((t) => t.paidByDebtId[0]);
+  assert.deepEqual(paid, [200, 200, 200]);
+});
+
+test("unlocked hand-typed allocations are replaced only when that is cheaper", () => {
+  const rows = ROWS.map((r) => ({ ...r, allocations: { 0: 600 } }));
+  const before = replay(rows, "avalanche");
+  const opt = optimizeAllocations(DEBTS, rows);
+  assert.ok(opt.result.totalInterest <= before.totalInterest);
+});
+
+test("rows come back in the order they were given", () => {
+  const rows = [ROWS[5], ...ROWS.slice(0, 5), ...ROWS.slice(6)];
+  const opt = optimizeAllocations(DEBTS, rows);
+
+  assert.deepEqual(opt.rows.map((r) => r.month), rows.map((r) => r.month));
+  assert.equal(opt.result.totalInterest, optimizeAllocations(DEBTS, ROWS).result.totalInterest);
+});
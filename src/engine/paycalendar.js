@@ -0,0 +1,85 @@
+import { clampNumber, round2 } from "./numbers.js";
+import { parseIsoDate, parseMonth, toIsoDate } from "./dates.js";
+
+/**
+ * Pay calendar: real paydays for each simulated month.
+ *
+ * calendar: {
+ *   frequency: "weekly" | "biweekly" | "semi_monthly" | "monthly",
+ *   start_date: "YYYY-MM-DD",   // any actual payday
+ *   plan_start?: "YYYY-MM",     // calendar month of simulated month 1
+ *                               // (default: start_date's month)
+ * }
+ *
+ * Weekly and bi-weekly pay repeats every 7 / 14 days from start_date, so some
+ * months get an extra paycheque (5 weekly or 3 bi-weekly). Semi-monthly pays
+ * on the 15th and the last day; monthly on start_date's day of the month.
+ */
+export const PAY_FREQUENCIES = ["weekly", "biweekly", "semi_monthly", "monthly"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STEP_DAYS = { weekly: 7, biweekly: 14 };
+const PAYCHEQUES_PER_MONTH = { weekly: 4, biweekly: 2, semi_monthly: 2, monthly: 1 };
+
+function isCalendar(calendar) {
+  return !!PAYCHEQUES_PER_MONTH[calendar?.frequency] && !!parseIsoDate(calendar?.start_date);
+}
+
+/** Paydays (ISO dates, ascending) that fall in simulated `month` (1-based). */
+export function payDatesForMonth(calendar, month) {
+  if (!isCalendar(calendar)) return [];
+
+  const anchor = parseIsoDate(calendar.start_date);
+  const planStart = parseMonth(calendar.plan_start) || anchor;
+  const m = Math.max(1, Math.floor(clampNumber(month, 1)));
+  const first = new Date(Date.UTC(planStart.getUTCFullYear(), planStart.getUTCMonth() + m - 1, 1));
+  const year = first.getUTCFullYear();
+  const mon = first.getUTCMonth();
+  const lastDay = new Date(Date.UTC(year, mon + 1, 0)).getUTCDate();
+
+  const step = STEP_DAYS[calendar.frequency];
+  if (step) {
+    const sinceAnchor = Math.round((first.getTime() - anchor.getTime()) / DAY_MS);
+    const offset = (((-sinceAnchor) % step) + step) % step; // days to the first payday
+    const dates = [];
+    for (let day = 1 + offset; day <= lastDay; day += step) {
+      dates.push(toIsoDate(new Date(Date.UTC(year, mon, day))));
+    }
+    return dates;
+  }
+
+  const days =
+    calendar.frequency === "semi_monthly" ? [15, lastDay] : [Math.min(anchor.getUTCDate(), lastDay)];
+  return days.map((day) => toIsoDate(new Date(Date.UTC(year, mon, day))));
+}
+
+/**
+ * Wrap a paymentPlanFn so payments follow the pay calendar.
+ * The plan's monthly payment is what a normal month's paycheques fund
+ * (e.g. 2 bi-weekly cheques); each extra paycheque adds its share as a bonus
+ * payment, which the simulator hands to the strategy target like any extra.
+ *
+ * Adds to each plan: payDates (ISO dates), bonusPayment.
+ * Under daily_balance accrual the simulator posts the month's payment on
+ * payDates, in equal shares (see billingCycleSplit).
+ * Returns paymentPlanFn unchanged when the calendar is missing or invalid.
+ */
+export function withPayCalendar(paymentPlanFn, calendar) {
+  if (!isCalendar(calendar)) return paymentPlanFn;
+  const usual = PAYCHEQUES_PER_MONTH[calendar.frequency];
+
+  return (month) => {
+    const plan = paymentPlanFn(month);
+    const payDates = payDatesForMonth(calendar, month);
+    const base = Math.max(0, round2(clampNumber(plan?.monthlyPayment, 0)));
+    const bonusPayment = round2((Math.max(0, payDates.length - usual) * base) / usual);
+
+    return {
+      ...plan,
+      monthlyPayment: round2(base + bonusPayment),
+      unassigned: plan?.unassigned == null ? plan?.unassigned : round2(plan.unassigned + bonusPayment),
+      payDates,
+      bonusPayment,
+    };
+  };
+}
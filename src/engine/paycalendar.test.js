@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseIsoDate } from "./dates.js";
+import { payDatesForMonth, withPayCalendar } from "./paycalendar.js";
+import { simulateStrategy } from "./simulate.js";
+
+const BIWEEKLY = { frequency: "biweekly", start_date: "2026-01-02" };
+
+test("bi-weekly pay has two three-paycheque months a year", () => {
+  assert.deepEqual(payDatesForMonth(BIWEEKLY, 1), ["2026-01-02", "2026-01-16", "2026-01-30"]);
+  assert.deepEqual(payDatesForMonth(BIWEEKLY, 2), ["2026-02-13", "2026-02-27"]);
+
+  const counts = Array.from({ length: 12 }, (_, i) => payDatesForMonth(BIWEEKLY, i + 1).length);
+  const bonusMonths = counts.flatMap((n, i) => (n === 3 ? [i + 1] : []));
+  assert.deepEqual(bonusMonths, [1, 7]);
+  assert.equal(counts.reduce((a, b) => a + b, 0), 26);
+});
+
+test("paydays before start_date still count in its month", () => {
+  const cal = { frequency: "biweekly", start_date: "2026-01-30" };
+  assert.deepEqual(payDatesForMonth(cal, 1), payDatesForMonth(BIWEEKLY, 1));
+});
+
+test("plan_start shifts which calendar month is month 1", () => {
+  const cal = { ...BIWEEKLY, plan_start: "2026-07" };
+  assert.deepEqual(payDatesForMonth(cal, 1), ["2026-07-03", "2026-07-17", "2026-07-31"]);
+  assert.deepEqual(payDatesForMonth(cal, 7), payDatesForMonth(BIWEEKLY, 13));
+});
+
+test("weekly, semi-monthly and monthly calendars", () => {
+  const weekly = { frequency: "weekly", start_date: "2026-01-02" };
+  const fives = Array.from({ length: 12 }, (_, i) => payDatesForMonth(weekly, i + 1).length).filter((n) => n === 5);
+  assert.equal(fives.length, 4);
+
+  assert.deepEqual(payDatesForMonth({ frequency: "semi_monthly", start_date: "2026-01-15" }, 2), [
+    "2026-02-15",
+    "2026-02-28",
+  ]);
+  assert.deepEqual(payDatesForMonth({ frequency: "monthly", start_date: "2026-01-31" }, 2), ["2026-02-28"]);
+});
+
+test("invalid calendars are ignored", () => {
+  assert.equal(parseIsoDate("2026-02-30"), null);
+  assert.deepEqual(payDatesForMonth({ frequency: "biweekly", start_date: "" }, 1), []);
+
+  const planFn = () => ({ monthlyPayment: 100 });
+  assert.equal(withPayCalendar(planFn, { frequency: "hourly", start_date: "2026-01-02" }), planFn);
+});
+
+test("extra paycheques become bonus payments toward the target", () => {
+  const debts = [
+    { id: 0, name: "Card", type: "credit_card", balance: 9000, interest_rate: 20 },
+    { id: 1, name: "Loan", type: "loan", balance: 6000, interest_rate: 8 },
+  ];
+  const planFn = withPayCalendar(() => ({ monthlyPayment: 1200 }), BIWEEKLY);
+  const res = simulateStrategy("avalanche", debts, planFn);
+  const [jan, feb] = res.timeline;
+
+  assert.equal(jan.bonusPayment, 600);
+  assert.equal(jan.paymentThisMonth, 1800);
+  assert.equal(jan.payDates.length, 3);
+  assert.equal(feb.bonusPayment, 0);
+  assert.equal(jan.targetDebtId, 0);
+  assert.ok(jan.extraAppliedToTarget > feb.extraAppliedToTarget);
+
+  const plain = simulateStrategy("avalanche", debts, () => ({ monthlyPayment: 1200 }));
+  assert.ok(res.monthsToDebtFree < plain.monthsToDebtFree);
+});
+
+test("daily balance interest follows the paydays, not the debt's payment day", () => {
+  // 18.25% APR = 0.05% per day; January is a 31-day cycle from the 2nd
+  const debts = [{ id: 0, name: "Card", type: "credit_card", balance: 10000, interest_rate: 18.25, statement_day: 1, payment_day: 28 }];
+  const options = { accrual: "daily_balance", startMonth: "2026-01" };
+  const semiMonthly = { frequency: "semi_monthly", start_date: "2026-01-15", plan_start: "2026-01" };
+
+  const onPaydays = simulateStrategy("avalanche", debts, withPayCalendar(() => ({ monthlyPayment: 1000 }), semiMonthly), options);
+  const onDueDate = simulateStrategy("avalanche", debts, () => ({ monthlyPayment: 1000 }), options);
+
+  // Paid on the 15th and 31st: $10,000 for 21 days (average), then $9,105 for 10
+  assert.equal(onPaydays.timeline[0].interestThisMonth, 150.53);
+  // Paid on the 28th: $10,000 for 26 days, then $9,130 for 5
+  assert.equal(onDueDate.timeline[0].interestThisMonth, 152.83);
+  assert.ok(onPaydays.totalInterest < onDueDate.totalInterest);
+});
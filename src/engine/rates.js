@@ -0,0 +1,63 @@
+import { clampNumber } from "./numbers.js";
+
+/**
+ * Per-debt rate schedules.
+ *
+ * A debt's APR in a given month is:
+ *  - promo.rate while month <= promo.end_month (intro 0%, balance transfer), else
+ *  - the latest rate_changes entry with month <= this month (variable rate), else
+ *  - interest_rate.
+ *
+ * promo.deferred marks a deferred-interest promo: interest at the standard
+ * rate builds up in the background and, if any balance is left after
+ * end_month, all of it is charged the following month.
+ *
+ * Input (on the debt):
+ *  promo?: { rate: number, end_month: number, deferred?: boolean }
+ *  rate_changes?: [{ month: number, rate: number }]
+ */
+export function getRateSchedule(debt) {
+  const baseApr = Math.max(0, clampNumber(debt?.interest_rate, 0));
+
+  const rawPromo = debt?.promo;
+  const endMonth = Math.floor(clampNumber(rawPromo?.end_month, 0));
+  const promo =
+    rawPromo && endMonth >= 1
+      ? {
+          rate: Math.max(0, clampNumber(rawPromo.rate, 0)),
+          end_month: endMonth,
+          deferred: !!rawPromo.deferred,
+        }
+      : null;
+
+  const changes = (debt?.rate_changes || [])
+    .map((c) => ({
+      month: Math.max(1, Math.floor(clampNumber(c?.month, 1))),
+      rate: Math.max(0, clampNumber(c?.rate, baseApr)),
+    }))
+    .sort((a, b) => a.month - b.month);
+
+  return { baseApr, promo, changes };
+}
+
+/**
+ * APR in force for a month (1-based).
+ * standard: ignore the promo (the rate deferred interest builds at).
+ */
+export function rateForMonth(schedule, month, { standard = false } = {}) {
+  if (!standard && schedule.promo && month <= schedule.promo.end_month) {
+    return schedule.promo.rate;
+  }
+
+  let apr = schedule.baseApr;
+  for (const c of schedule.changes) {
+    if (c.month > month) break;
+    apr = c.rate;
+  }
+  return apr;
+}
+
+/** Convenience for callers holding a raw debt. */
+export function aprForMonth(debt, month) {
+  return rateForMonth(getRateSchedule(debt), month);
+}
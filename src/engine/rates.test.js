@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { aprForMonth, getRateSchedule, rateForMonth } from "./rates.js";
+import { simulateStrategy } from "./simulate.js";
+import { getPaymentPlanFn } from "./schedule.js";
+
+test("a plain debt keeps its interest_rate", () => {
+  assert.equal(aprForMonth({ interest_rate: 19.99 }, 1), 19.99);
+  assert.equal(aprForMonth({ interest_rate: 19.99 }, 400), 19.99);
+});
+
+test("intro promo applies through end_month", () => {
+  const debt = { interest_rate: 22.99, promo: { rate: 0, end_month: 12 } };
+  assert.equal(aprForMonth(debt, 1), 0);
+  assert.equal(aprForMonth(debt, 12), 0);
+  assert.equal(aprForMonth(debt, 13), 22.99);
+});
+
+test("rate changes step up from their month, in any input order", () => {
+  const debt = {
+    interest_rate: 5,
+    rate_changes: [
+      { month: 25, rate: 8 },
+      { month: 13, rate: 6.5 },
+    ],
+  };
+  assert.deepEqual([1, 12, 13, 24, 25, 60].map((m) => aprForMonth(debt, m)), [5, 5, 6.5, 6.5, 8, 8]);
+});
+
+test("standard rate ignores the promo", () => {
+  const schedule = getRateSchedule({
+    interest_rate: 24.99,
+    promo: { rate: 0, end_month: 6, deferred: true },
+    rate_changes: [{ month: 4, rate: 26.99 }],
+  });
+  assert.equal(rateForMonth(schedule, 3), 0);
+  assert.equal(rateForMonth(schedule, 3, { standard: true }), 24.99);
+  assert.equal(rateForMonth(schedule, 5, { standard: true }), 26.99);
+  assert.equal(rateForMonth(schedule, 7), 26.99);
+});
+
+test("promos without a valid end month are ignored", () => {
+  assert.equal(getRateSchedule({ interest_rate: 9, promo: { rate: 0, end_month: "" } }).promo, null);
+});
+
+const planFor = (payment, debts) => getPaymentPlanFn("fixed", payment, [], debts);
+
+test("no interest accrues during a 0% intro period", () => {
+  const debts = [
+    { id: 0, name: "Transfer card", type: "credit_card", balance: 3000, interest_rate: 24.99, promo: { rate: 0, end_month: 6 } },
+    { id: 1, name: "Loan", type: "loan", balance: 3000, interest_rate: 0 },
+  ];
+  const res = simulateStrategy("snowball", debts, planFor(200, debts));
+  assert.ok(res.timeline.slice(0, 6).every((t) => t.interestThisMonth === 0));
+  assert.ok(res.timeline[6].interestThisMonth > 0);
+});
+
+test("avalanche re-targets when a promo ends", () => {
+  const debts = [
+    { id: 0, name: "Intro card", type: "credit_card", balance: 8000, interest_rate: 27, promo: { rate: 0, end_month: 3 } },
+    { id: 1, name: "Visa", type: "credit_card", balance: 8000, interest_rate: 18 },
+  ];
+  const res = simulateStrategy("avalanche", debts, planFor(1000, debts));
+  assert.deepEqual(res.timeline.slice(0, 5).map((t) => t.targetDebtId), [1, 1, 1, 0, 0]);
+});
+
+test("deferred interest is charged back when the promo balance is not cleared", () => {
+  const debts = [
+    {
+      id: 0,
+      name: "Store card",
+      type: "credit_card",
+      balance: 1200,
+      interest_rate: 26.99,
+      promo: { rate: 0, end_month: 6, deferred: true },
+    },
+    { id: 1, name: "Visa", type: "credit_card", balance: 500, interest_rate: 19.99 },
+  ];
+
+  // Too little to clear the store card in six months: cliff in month 7
+  const late = simulateStrategy("avalanche", debts, planFor(150, debts));
+  assert.ok(late.timeline[6].deferredInterestThisMonth > 100);
+  assert.equal(late.timeline.filter((t) => t.deferredInterestThisMonth > 0).length, 1);
+
+  // Cleared in time: nothing is charged
+  const paid = simulateStrategy("snowball", debts, planFor(400, debts));
+  assert.ok(paid.perDebt[0].payoffMonth <= 6);
+  assert.ok(paid.timeline.every((t) => t.deferredInterestThisMonth === 0));
+  assert.equal(paid.perDebt[0].interestPaid, 0);
+});
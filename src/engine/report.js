@@ -0,0 +1,65 @@
+import { round2 } from "./numbers.js";
+
+/**
+ * Month × debt amortization table for one SimulationResult.
+ *
+ * Returns one row per valid timeline month:
+ *  {
+ *    month,
+ *    debts: [{ id, name, payment, interest, fees, balance }],  // perDebt order
+ *    payment, interest, fees, balance,                          // month totals
+ *  }
+ */
+export function debtTableRows(result) {
+  const debts = result?.perDebt || [];
+
+  return (result?.timeline || [])
+    .filter((row) => !row.invalid)
+    .map((row) => {
+      const cells = debts.map((d) => ({
+        id: d.id,
+        name: d.name,
+        payment: round2(row.paidByDebtId?.[d.id] || 0),
+        interest: round2(row.interestByDebtId?.[d.id] || 0),
+        fees: round2(row.feesByDebtId?.[d.id] || 0),
+        balance: round2(row.balanceByDebtId?.[d.id] || 0),
+      }));
+
+      return {
+        month: row.month,
+        debts: cells,
+        payment: round2(cells.reduce((sum, c) => sum + c.payment, 0)),
+        interest: row.interestThisMonth,
+        fees: row.feesThisMonth,
+        balance: row.totalRemaining,
+      };
+    });
+}
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * debtTableRows as CSV text (header row + one line per month), ready for a
+ * spreadsheet. options.monthLabel(month) names the months (default: the number).
+ */
+export function debtTableCsv(result, { monthLabel = (m) => m } = {}) {
+  const debts = result?.perDebt || [];
+  const header = ["Month"];
+  for (const d of debts) {
+    header.push(`${d.name} payment`, `${d.name} interest`, `${d.name} fees`, `${d.name} balance`);
+  }
+  header.push("Total payment", "Total interest", "Total fees", "Total balance");
+
+  const lines = [header];
+  for (const row of debtTableRows(result)) {
+    const line = [monthLabel(row.month)];
+    for (const c of row.debts) line.push(c.payment, c.interest, c.fees, c.balance);
+    line.push(row.payment, row.interest, row.fees, row.balance);
+    lines.push(line);
+  }
+
+  return lines.map((line) => line.map(csvCell).join(",")).join("\n") + "\n";
+}
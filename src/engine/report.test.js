@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { debtTableCsv, debtTableRows } from "./report.js";
+import { simulateStrategy } from "./simulate.js";
+import { getPaymentPlanFn } from "./schedule.js";
+
+const DEBTS = [
+  { id: 0, name: "Visa, old", type: "credit_card", balance: 2000, interest_rate: 19.99 },
+  { id: 1, name: "Loan", type: "loan", balance: 5000, interest_rate: 7 },
+];
+const res = simulateStrategy("avalanche", DEBTS, getPaymentPlanFn("fixed", 700, [], DEBTS));
+
+test("each debt's row rolls its balance forward", () => {
+  const rows = debtTableRows(res);
+  assert.equal(rows.length, res.monthsToDebtFree);
+
+  let prev = Object.fromEntries(DEBTS.map((d) => [d.id, d.balance]));
+  for (const row of rows) {
+    for (const c of row.debts) {
+      const expected = Math.round((prev[c.id] + c.interest + c.fees - c.payment) * 100) / 100;
+      assert.ok(Math.abs(expected - c.balance) < 0.01, `month ${row.month}, debt ${c.id}`);
+      prev[c.id] = c.balance;
+    }
+    if (row.month < rows.length) assert.equal(row.payment, res.timeline[row.month - 1].paymentThisMonth);
+  }
+  assert.equal(rows.at(-1).balance, 0);
+});
+
+test("CSV has a header, one line per month and quoted names", () => {
+  const csv = debtTableCsv(res, { monthLabel: (m) => `M${m}` });
+  const lines = csv.trim().split("\n");
+
+  assert.equal(lines.length, res.monthsToDebtFree + 1);
+  assert.ok(lines[0].startsWith('Month,"Visa, old payment","Visa, old interest"'));
+  assert.ok(lines[0].endsWith("Total payment,Total interest,Total fees,Total balance"));
+  assert.ok(lines[1].startsWith("M1,"));
+  assert.equal(lines[1].split(",").length, 1 + DEBTS.length * 4 + 4);
+});
@@ -0,0 +1,161 @@
+import { clampNumber, round2 } from "./numbers.js";
+import { simulateStrategy } from "./simulate.js";
+import { listStrategies } from "./strategies.js";
+
+/**
+ * Compute the "required" per-debt payments for a given month in schedule mode.
+ * A = user enters TOTAL payment to that debt (includes minimum).
+ * So required = max(minimum, userAllocation) for each active debt.
+ *
+ * Returns:
+ *  - requiredByDebtId: { [id]: number }
+ *  - requiredSum: number
+ *  - overBudget: boolean
+ *  - unassigned: monthlyPayment - requiredSum (>=0 if feasible)
+ */
+export function computeScheduleMonthRequiredPayments(debts, scheduleRow, monthlyPayment) {
+  const mPay = Math.max(0, round2(clampNumber(monthlyPayment, 0)));
+  const alloc = scheduleRow?.allocations || {};
+
+  const requiredByDebtId = {};
+  let requiredSum = 0;
+
+  for (const d of debts) {
+    const bal = Math.max(0, clampNumber(d.balance, 0));
+    if (bal <= 0) continue;
+
+    const min = Math.max(0, clampNumber(d.minimum_payment, 0));
+    const user = Math.max(0, clampNumber(alloc[d.id], 0));
+    const required = round2(Math.max(min, user));
+
+    requiredByDebtId[d.id] = required;
+    requiredSum = round2(requiredSum + required);
+  }
+
+  const overBudget = requiredSum - mPay > 0.000001;
+  const unassigned = round2(Math.max(0, mPay - requiredSum));
+
+  return { requiredByDebtId, requiredSum, overBudget, unassigned };
+}
+
+/**
+ * Build the paymentPlanFn consumed by simulateStrategy.
+ * - fixed: the same payment every month, minimums + strategy.
+ * - schedule: rows keyed by month; months past the last row repeat it.
+ */
+export function getPaymentPlanFn(paymentMode, monthlyPayment, scheduleRows, debtsWithMin) {
+  const fixed = Math.max(0, round2(monthlyPayment));
+
+  if (paymentMode !== "schedule") {
+    return () => ({
+      monthlyPayment: fixed,
+      requiredByDebtId: null,
+      requiredSum: null,
+      overBudget: false,
+      unassigned: null,
+    });
+  }
+
+  // normalize schedule rows into map: month -> row
+  const map = new Map();
+  (scheduleRows || []).forEach((row) => {
+    const m = Math.max(1, Math.floor(clampNumber(row.month, 0)));
+    map.set(m, {
+      month: m,
+      amount: Math.max(0, round2(clampNumber(row.amount, 0))),
+      allocations: row.allocations || {},
+    });
+  });
+
+  const maxMonth = Math.max(0, ...Array.from(map.keys()));
+  const lastRow = maxMonth ? map.get(maxMonth) : { month: 1, amount: fixed, allocations: {} };
+
+  return (month) => {
+    const row = map.get(month) || lastRow;
+    const info = computeScheduleMonthRequiredPayments(debtsWithMin, row, row.amount);
+    return {
+      monthlyPayment: row.amount,
+      requiredByDebtId: info.requiredByDebtId,
+      requiredSum: info.requiredSum,
+      overBudget: info.overBudget,
+      unassigned: info.unassigned,
+    };
+  };
+}
+
+/**
+ * Check every month of a schedule, not just month 1.
+ *
+ *  - over_budget: a row's allocations need more than its total payment
+ *    (the simulator stops at such a month)
+ *  - below_minimum: the month's payment doesn't cover that month's minimums,
+ *    at the balances the plan would actually have by then
+ *
+ * Minimums depend on where earlier extra went, so every strategy in
+ * options.strategies (default: all registered) is run with over-budget months
+ * let through, and a month counts when any of them falls short.
+ *
+ * options: simulateStrategy options, plus
+ *  - planFnFor(rows): paymentPlanFn for a schedule (default: plain
+ *    getPaymentPlanFn("schedule", ...))
+ *  - strategies: strategy ids to check
+ *
+ * Returns issues sorted by month: [{
+ *   month, rowIndex,   // rowIndex: the row in `rows` that sets that month's payment
+ *   kind: "over_budget" | "below_minimum",
+ *   payment, required, shortfall,
+ * }]
+ * Months past the last row repeat it; only the first of those that falls
+ * short is reported.
+ */
+export function validateSchedule(debts, rows, options = {}) {
+  const {
+    planFnFor = (r) => getPaymentPlanFn("schedule", 0, r, debts),
+    strategies = listStrategies().map((s) => s.id),
+    ...simOptions
+  } = options;
+  const list = rows || [];
+  const issues = [];
+
+  // Which row sets each month: its own row, else the last one (see getPaymentPlanFn)
+  const rowIndexByMonth = new Map();
+  list.forEach((row, i) => rowIndexByMonth.set(Math.max(1, Math.floor(clampNumber(row.month, 0))), i));
+  const lastMonth = Math.max(0, ...rowIndexByMonth.keys());
+  if (!lastMonth) return issues;
+
+  list.forEach((row, i) => {
+    const amount = Math.max(0, round2(clampNumber(row.amount, 0)));
+    const info = computeScheduleMonthRequiredPayments(debts, row, amount);
+    if (!info.overBudget) return;
+    issues.push({
+      month: Math.max(1, Math.floor(clampNumber(row.month, 0))),
+      rowIndex: i,
+      kind: "over_budget",
+      payment: amount,
+      required: info.requiredSum,
+      shortfall: round2(info.requiredSum - amount),
+    });
+  });
+
+  const planFn = planFnFor(list);
+  const lenient = (month) => ({ ...planFn(month), overBudget: false });
+  const short = new Map(); // month -> worst { payment, required, shortfall }
+  for (const id of strategies) {
+    for (const t of simulateStrategy(id, debts, lenient, simOptions).timeline) {
+      const shortfall = round2(t.minimumsDue - t.paymentThisMonth);
+      if (shortfall <= 0.005) continue;
+      if (!(short.get(t.month)?.shortfall >= shortfall)) {
+        short.set(t.month, { payment: t.paymentThisMonth, required: t.minimumsDue, shortfall });
+      }
+    }
+  }
+  const months = [...short.keys()].sort((a, b) => a - b);
+  const firstRepeat = months.find((m) => m > lastMonth);
+  for (const month of months) {
+    if (month > lastMonth && month !== firstRepeat) continue;
+    const rowIndex = rowIndexByMonth.get(month) ?? rowIndexByMonth.get(lastMonth);
+    issues.push({ month, rowIndex, kind: "below_minimum", ...short.get(month) });
+  }
+
+  return issues.sort((a, b) => a.month - b.month || (a.kind === b.kind ? 0 : a.kind === "over_budget" ? -1 : 1));
+}
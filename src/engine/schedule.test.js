@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeScheduleMonthRequiredPayments, getPaymentPlanFn, validateSchedule } from "./schedule.js";
+
+const debts = [
+  { id: 0, balance: 4000, minimum_payment: 140 },
+  { id: 1, balance: 6000, minimum_payment: 207 },
+  { id: 2, balance: 0, minimum_payment: 50 },
+];
+
+test("required payment is max(minimum, allocation) for active debts", () => {
+  const info = computeScheduleMonthRequiredPayments(debts, { allocations: { 0: 500, 1: 100 } }, 1000);
+  assert.deepEqual(info.requiredByDebtId, { 0: 500, 1: 207 });
+  assert.equal(info.requiredSum, 707);
+  assert.equal(info.unassigned, 293);
+  assert.equal(info.overBudget, false);
+});
+
+test("allocations above the month payment are over budget", () => {
+  const info = computeScheduleMonthRequiredPayments(debts, { allocations: { 0: 900 } }, 1000);
+  assert.equal(info.requiredSum, 1107);
+  assert.equal(info.unassigned, 0);
+  assert.equal(info.overBudget, true);
+});
+
+test("fixed plan returns the same payment every month", () => {
+  const planFn = getPaymentPlanFn("fixed", 1500.004, [], debts);
+  assert.deepEqual(planFn(1), planFn(240));
+  assert.equal(planFn(1).monthlyPayment, 1500);
+  assert.equal(planFn(1).requiredByDebtId, null);
+});
+
+test("schedule plan repeats the last row past the end", () => {
+  const rows = [
+    { month: 2, amount: 800, allocations: {} },
+    { month: 1, amount: 1200, allocations: { 1: 600 } },
+  ];
+  const planFn = getPaymentPlanFn("schedule", 1500, rows, debts);
+  assert.equal(planFn(1).monthlyPayment, 1200);
+  assert.equal(planFn(1).requiredByDebtId[1], 600);
+  assert.equal(planFn(2).monthlyPayment, 800);
+  assert.equal(planFn(9).monthlyPayment, 800);
+});
+
+test("empty schedule falls back to the fixed payment", () => {
+  const planFn = getPaymentPlanFn("schedule", 1500, [], debts);
+  assert.equal(planFn(1).monthlyPayment, 1500);
+});
+
+const cards = [
+  { id: 0, name: "Card", type: "credit_card", balance: 4000, interest_rate: 29.99 },
+  { id: 1, name: "Loan", type: "loan", balance: 6000, interest_rate: 7.99 },
+];
+
+test("validateSchedule reports over-budget and below-minimum months past month 1", () => {
+  const rows = [
+    { month: 1, amount: 800, allocations: {} },
+    { month: 2, amount: 800, allocations: { 0: 500, 1: 400 } },
+    { month: 3, amount: 50, allocations: {} },
+    { month: 4, amount: 800, allocations: {} },
+  ];
+  const issues = validateSchedule(cards, rows);
+
+  assert.deepEqual(
+    issues.map((i) => [i.month, i.rowIndex, i.kind]),
+    [
+      [2, 1, "over_budget"],
+      [3, 2, "below_minimum"],
+    ]
+  );
+  assert.equal(issues[0].shortfall, 100);
+  assert.ok(issues[1].required > 50);
+  assert.equal(issues[1].shortfall, Math.round((issues[1].required - 50) * 100) / 100);
+});
+
+test("validateSchedule is empty for a workable schedule", () => {
+  const rows = [
+    { month: 1, amount: 800, allocations: { 0: 300 } },
+    { month: 2, amount: 600, allocations: {} },
+  ];
+  assert.deepEqual(validateSchedule(cards, rows), []);
+});
+
+test("validateSchedule reports a short last row once for the months it repeats", () => {
+  const rows = [
+    { month: 1, amount: 800, allocations: {} },
+    { month: 2, amount: 100, allocations: {} },
+  ];
+  const issues = validateSchedule(cards, rows);
+  assert.deepEqual(
+    issues.map((i) => [i.month, i.rowIndex]),
+    [
+      [2, 1],
+      [3, 1],
+    ]
+  );
+});
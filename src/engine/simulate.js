@@ -0,0 +1,465 @@
+import { clampNumber, round2 } from "./numbers.js";
+import { computeMonthlyMinimumDynamic } from "./minimums.js";
+import { getStrategy } from "./strategies.js";
+import { getRateSchedule, rateForMonth } from "./rates.js";
+import { billingCycleSplit, cycleDaysForMonth } from "./accrual.js";
+import { getLoanTerms } from "./loans.js";
+import { lateFeeOf, recurringMonthlyFees, scheduledFeesForMonth } from "./fees.js";
+
+export const MAX_MONTHS = 600;
+
+/**
+ * Strategy simulator (monthly).
+ * - Accrue interest monthly.
+ * - In FIXED mode:
+ *    pay minimums, then strategy gets extra.
+ * - In SCHEDULE mode:
+ *    pay required per-debt payments first (max(min, allocation)),
+ *    then strategy gets any unassigned remainder.
+ *
+ * paymentPlanFn(monthIndex1Based) returns:
+ *  {
+ *    monthlyPayment: number,
+ *    requiredByDebtId?: { [id]: number },
+ *    requiredSum?: number,
+ *    overBudget?: boolean,
+ *    unassigned?: number,
+ *    payDates?: string[],     // ISO paydays this month (see paycalendar.js)
+ *    bonusPayment?: number,   // extra-paycheque share, already in monthlyPayment
+ *    windfall?: number,       // lump sums this month, already in monthlyPayment
+ *    windfallByDebtId?: { [id]: number }  // the part pinned to a debt (see windfalls.js)
+ *  }
+ *
+ * strategy: any id from the strategy registry (see strategies.js).
+ * options: passed through to the strategy's compare (customOrder, hybridThreshold).
+ *
+ * Rates follow each debt's rate schedule (promo / rate_changes, see rates.js),
+ * so minimums and rate-based strategies always see the APR in force that month.
+ *
+ * options.accrual: "monthly" (default) | "daily_balance" (see accrual.js).
+ * options.startMonth: "YYYY-MM" of month 1; daily_balance cycles then follow
+ *   the real calendar month lengths (else 365/12 days each).
+ * options.cycleDays: fixed billing cycle length for daily_balance (overrides startMonth).
+ * Under daily_balance, a plan with payDates (withPayCalendar) posts its
+ * payment on those paydays in equal shares instead of each debt's payment_day.
+ *
+ * Fees (see fees.js) post after interest and count toward that month's
+ * minimum; late fees post when a minimum goes unpaid. They are tracked
+ * separately from interest (feesThisMonth, totalFees, perDebt.feesPaid).
+ *
+ * Plans that never pay off still run to MAX_MONTHS, but say so: paidOff is
+ * false, and each debt reports paidOff, endingBalance, negativeAmortization
+ * (it ended above where it started) and progressPayment: the larger of its
+ * starting minimum and what clears it within MAX_MONTHS at the long-run rate
+ * plus recurring fees. The plan's progressPayment adds those up and, when the
+ * plan never pays off, is checked by simulating it as a fixed payment.
+ */
+export function simulateStrategy(strategy, debts, paymentPlanFn, options = {}) {
+  const result = runStrategy(strategy, debts, paymentPlanFn, options);
+  if (result.paidOff) return result;
+
+  // Raise the suggestion 1% at a time until it really pays everything off
+  let payment = result.progressPayment;
+  for (let i = 0; i < PROGRESS_STEPS; i++) {
+    if (runStrategy(strategy, debts, () => ({ monthlyPayment: payment }), options).paidOff) break;
+    payment = Math.ceil(payment * 101) / 100;
+  }
+  return { ...result, progressPayment: payment };
+}
+
+const PROGRESS_STEPS = 100;
+
+function runStrategy(strategy, debts, paymentPlanFn, options) {
+  const { compare } = getStrategy(strategy);
+  const daily = options.accrual === "daily_balance";
+  const cycleDaysFor = (month) => options.cycleDays ?? cycleDaysForMonth(options.startMonth, month);
+
+  const state = debts.map((d) => ({
+    id: d.id,
+    name: d.name,
+    type: d.type,
+    baseApr: Math.max(0, clampNumber(d.interest_rate, 0)),
+    rates: getRateSchedule(d),
+    apr: 0, // APR in force this month
+    r: 0,
+    deferredAccrued: 0,
+    cycle: null, // this month's billing cycle (daily_balance)
+    statement_day: d.statement_day,
+    payment_day: d.payment_day,
+    balance: round2(Math.max(0, clampNumber(d.balance, 0))),
+    startBalance: round2(Math.max(0, clampNumber(d.balance, 0))),
+    minimum: 0,
+    interestPaid: 0,
+    feesPaid: 0,
+    fees: d.fees || [],
+    lateFee: lateFeeOf(d),
+    payoffMonth: null,
+
+    // amortizing loans: payment fixed for the life of the loan (see loans.js)
+    contractual_payment: getLoanTerms(d)?.payment ?? 0,
+
+    // issuer minimum formula (see MIN_PAYMENT_PRESETS)
+    min_formula: d.min_formula,
+    min_fixed_amount: d.min_fixed_amount,
+
+    // override is a FLOOR (never below)
+    min_floor_enabled: !!d.min_floor_enabled,
+    min_floor: round2(Math.max(0, clampNumber(d.min_floor, 0))),
+  }));
+
+  const minimumOf = (d, apr, fees, balance) =>
+    round2(
+      computeMonthlyMinimumDynamic(
+        {
+          type: d.type,
+          interest_rate: apr,
+          min_floor_enabled: d.min_floor_enabled,
+          min_floor: d.min_floor,
+          contractual_payment: d.contractual_payment,
+          min_formula: d.min_formula,
+          min_fixed_amount: d.min_fixed_amount,
+          fees_this_month: fees,
+        },
+        balance
+      )
+    );
+
+  const allPaid = () => state.every((d) => d.balance <= 0.000001);
+
+  // End-of-month balances, for charts
+  const balancesById = () => Object.fromEntries(state.map((d) => [d.id, Math.max(0, d.balance)]));
+
+  const pickTargetId = () => {
+    const active = state.filter((d) => d.balance > 0.000001);
+    if (!active.length) return null;
+
+    active.sort((a, b) => compare(a, b, options));
+    return active[0]?.id ?? null;
+  };
+
+  let totalInterest = 0;
+  let totalFees = 0;
+  const timeline = [];
+
+  for (let month = 1; month <= MAX_MONTHS; month++) {
+    if (allPaid()) break;
+
+    const plan = paymentPlanFn(month);
+    const paymentThisMonth = Math.max(
+      0,
+      round2(clampNumber(plan?.monthlyPayment, 0))
+    );
+
+    if (plan?.overBudget) {
+      timeline.push({
+        month,
+        paymentThisMonth,
+        requiredSum: round2(plan?.requiredSum ?? 0),
+        unassigned: round2(plan?.unassigned ?? 0),
+        payDates: plan?.payDates ?? [],
+        bonusPayment: 0,
+        windfall: 0,
+        windfallDirectedPaid: 0,
+        interestThisMonth: 0,
+        deferredInterestThisMonth: 0,
+        totalInterestToDate: totalInterest,
+        feesThisMonth: 0,
+        feesByDebtId: {},
+        totalFeesToDate: totalFees,
+        minimumsDue: 0,
+        minPaid: 0,
+        directedPaid: 0,
+        extraPaid: 0,
+        totalRemaining: round2(
+          state.reduce((sum, d) => sum + Math.max(0, d.balance), 0)
+        ),
+        balanceByDebtId: balancesById(),
+        targetDebtId: null,
+        targetDebtName: null,
+        appliedToTargetThisMonth: 0,
+        extraAppliedToTarget: 0,
+        extraByDebtId: {},
+        interestByDebtId: {},
+        paidByDebtId: {},
+        paidOffDebtIds: [],
+        invalid: true,
+      });
+      break;
+    }
+
+    // 0) rates in force this month (+ this month's billing cycle for daily_balance;
+    //    with a pay calendar the payment posts on the paydays)
+    const cycleDays = daily ? cycleDaysFor(month) : null;
+    const payDays = (plan?.payDates || []).map((date) => Number(date.slice(8, 10)));
+    for (const d of state) {
+      d.apr = rateForMonth(d.rates, month);
+      d.r = (d.apr / 100) / 12;
+      if (daily) d.cycle = billingCycleSplit(d, cycleDays, payDays);
+    }
+
+    // 1) accrue interest (+ deferred interest cliff the month after a promo ends)
+    //    daily_balance: only the days before the payment posts; the rest is step 5.
+    let interestThisMonthTotal = 0;
+    let deferredThisMonthTotal = 0;
+    const interestByDebtId = {};
+    const dailyRate = (d) => (d.apr / 100) / 365;
+
+    for (const d of state) {
+      if (d.balance <= 0.000001) continue;
+
+      const promo = d.rates.promo;
+      let interest = daily
+        ? round2(d.balance * dailyRate(d) * d.cycle.daysBeforePayment)
+        : round2(d.balance * d.r);
+
+      if (promo?.deferred) {
+        if (month <= promo.end_month) {
+          const standardR = (rateForMonth(d.rates, month, { standard: true }) / 100) / 12;
+          d.deferredAccrued = round2(d.deferredAccrued + d.balance * standardR);
+        } else if (month === promo.end_month + 1 && d.deferredAccrued > 0) {
+          interest = round2(interest + d.deferredAccrued);
+          deferredThisMonthTotal = round2(deferredThisMonthTotal + d.deferredAccrued);
+          d.deferredAccrued = 0;
+        }
+      }
+
+      d.balance = round2(d.balance + interest);
+      d.interestPaid = round2(d.interestPaid + interest);
+      interestByDebtId[d.id] = interest;
+      interestThisMonthTotal = round2(interestThisMonthTotal + interest);
+    }
+
+    // 1b) scheduled fees (annual, monthly, one-time)
+    let feesThisMonthTotal = 0;
+    const feesByDebtId = {};
+    const chargeFee = (d, amount) => {
+      if (amount <= 0) return;
+      d.balance = round2(d.balance + amount);
+      d.feesPaid = round2(d.feesPaid + amount);
+      feesByDebtId[d.id] = round2((feesByDebtId[d.id] || 0) + amount);
+      feesThisMonthTotal = round2(feesThisMonthTotal + amount);
+    };
+    for (const d of state) {
+      if (d.balance <= 0.000001) continue;
+      chargeFee(d, scheduledFeesForMonth(d, month, d.balance));
+    }
+
+    // 2) compute dynamic minimums for THIS month (after interest and fees)
+    const dynamicMinByDebtId = {};
+    for (const d of state) {
+      if (d.balance <= 0.000001) continue;
+
+      dynamicMinByDebtId[d.id] = minimumOf(d, d.apr, feesByDebtId[d.id] || 0, d.balance);
+      d.minimum = dynamicMinByDebtId[d.id];
+    }
+
+    // Windfalls pinned to a debt are held back until required payments are made (3b)
+    const windfallByDebtId = plan?.windfallByDebtId || {};
+    const pinnedWindfall = round2(
+      Object.values(windfallByDebtId).reduce((sum, v) => sum + Math.max(0, clampNumber(v, 0)), 0)
+    );
+
+    // 3) pay required (schedule allocations, with mins enforced) OR minimums (fixed)
+    let remaining = round2(Math.max(0, paymentThisMonth - pinnedWindfall));
+    let minPaidTotal = 0;
+    let directedPaidTotal = 0;
+
+    const requiredByDebtId = plan?.requiredByDebtId || null;
+
+    // Track total paid per debt this month (directed + extra) for a truthful "target"
+    const paidThisMonthByDebtId = {};
+
+    // Compute the REAL required sum for this month:
+    // - fixed: sum(dynamic mins)
+    // - schedule: sum(max(allocation, dynamic min)) for each debt
+    let requiredSumThisMonth = 0;
+    const lateDebts = [];
+
+    for (const d of state) {
+      if (d.balance <= 0.000001) continue;
+
+      const dynamicMin = dynamicMinByDebtId[d.id] || 0;
+      const alloc = requiredByDebtId ? Math.max(0, clampNumber(requiredByDebtId[d.id], 0)) : 0;
+
+      const intended = requiredByDebtId ? Math.max(alloc, dynamicMin) : dynamicMin;
+
+      requiredSumThisMonth = round2(requiredSumThisMonth + intended);
+
+      const pay = round2(Math.min(intended, d.balance, remaining));
+      if (pay < Math.min(dynamicMin, d.balance) - 0.005) lateDebts.push(d);
+      if (pay > 0) {
+        paidThisMonthByDebtId[d.id] = round2((paidThisMonthByDebtId[d.id] || 0) + pay);
+
+        const minPortion = Math.min(dynamicMin, pay);
+        minPaidTotal = round2(minPaidTotal + minPortion);
+
+        if (requiredByDebtId) directedPaidTotal = round2(directedPaidTotal + pay);
+
+        d.balance = round2(d.balance - pay);
+        remaining = round2(remaining - pay);
+
+        if (d.balance <= 0.000001 && d.payoffMonth == null) d.payoffMonth = month;
+      }
+    }
+
+    // If user allocations/required exceed payment, requiredSumThisMonth can be > paymentThisMonth.
+    // In that case, the month is effectively underfunded. We'll reflect that with unassigned = 0.
+    const unassignedThisMonth = round2(
+      Math.max(0, paymentThisMonth - pinnedWindfall - requiredSumThisMonth)
+    );
+
+    // 3b) pinned windfalls; whatever a debt can't absorb goes to the strategy.
+    //     Tracked as their own term (windfallDirectedPaid), not in minPaid / extraPaid.
+    remaining = round2(remaining + pinnedWindfall);
+    let windfallDirectedTotal = 0;
+    for (const d of state) {
+      const amount = Math.max(0, clampNumber(windfallByDebtId[d.id], 0));
+      const pay = round2(Math.min(amount, d.balance));
+      if (pay <= 0) continue;
+
+      d.balance = round2(d.balance - pay);
+      remaining = round2(remaining - pay);
+      windfallDirectedTotal = round2(windfallDirectedTotal + pay);
+      paidThisMonthByDebtId[d.id] = round2((paidThisMonthByDebtId[d.id] || 0) + pay);
+
+      if (d.balance <= 0.000001 && d.payoffMonth == null) d.payoffMonth = month;
+    }
+
+    // 4) extra targeting (strategy controls whatever remains)
+    const extraByDebtId = {};
+    let extraPaidTotal = 0;
+
+    while (remaining > 0.000001 && !allPaid()) {
+      const targetId = pickTargetId();
+      if (targetId == null) break;
+
+      const t = state.find((x) => x.id === targetId);
+      if (!t || t.balance <= 0.000001) break;
+
+      const pay = round2(Math.min(t.balance, remaining));
+      if (pay <= 0) break;
+
+      t.balance = round2(t.balance - pay);
+      remaining = round2(remaining - pay);
+      extraPaidTotal = round2(extraPaidTotal + pay);
+
+      extraByDebtId[targetId] = round2((extraByDebtId[targetId] || 0) + pay);
+      paidThisMonthByDebtId[targetId] = round2((paidThisMonthByDebtId[targetId] || 0) + pay);
+
+      if (t.balance <= 0.000001 && t.payoffMonth == null) t.payoffMonth = month;
+    }
+
+    // 4b) late fees for minimums that went unpaid
+    for (const d of lateDebts) {
+      if (d.balance > 0.000001) chargeFee(d, d.lateFee);
+    }
+    totalFees = round2(totalFees + feesThisMonthTotal);
+
+    // 5) daily_balance: interest on the post-payment balance for the rest of the cycle
+    if (daily) {
+      for (const d of state) {
+        if (d.balance <= 0.000001) continue;
+        const interest = round2(d.balance * dailyRate(d) * d.cycle.daysAfterPayment);
+        d.balance = round2(d.balance + interest);
+        d.interestPaid = round2(d.interestPaid + interest);
+        interestByDebtId[d.id] = round2((interestByDebtId[d.id] || 0) + interest);
+        interestThisMonthTotal = round2(interestThisMonthTotal + interest);
+      }
+    }
+    totalInterest = round2(totalInterest + interestThisMonthTotal);
+
+    // Determine "target" as the debt that received the MOST total payment this month
+    let actualTargetId = null;
+    let actualTargetPaid = 0;
+
+    // Walk state (not Object.entries) so ids keep their original type
+    for (const d of state) {
+      const amt = paidThisMonthByDebtId[d.id] || 0;
+      if (amt > actualTargetPaid) {
+        actualTargetPaid = amt;
+        actualTargetId = d.id;
+      }
+    }
+
+    const actualTargetDebt =
+      actualTargetId != null ? state.find((x) => x.id === actualTargetId) : null;
+
+    const appliedToTargetThisMonth = round2(actualTargetPaid);
+    const extraAppliedToTarget = round2(extraByDebtId[actualTargetId] || 0);
+
+    const totalRemaining = round2(
+      state.reduce((sum, d) => sum + Math.max(0, d.balance), 0)
+    );
+
+    timeline.push({
+      month,
+      paymentThisMonth,
+      requiredSum: requiredSumThisMonth,
+      unassigned: unassignedThisMonth,
+      payDates: plan?.payDates ?? [],
+      bonusPayment: round2(clampNumber(plan?.bonusPayment, 0)),
+      windfall: round2(clampNumber(plan?.windfall, 0)),
+      windfallDirectedPaid: windfallDirectedTotal,
+
+      interestThisMonth: interestThisMonthTotal,
+      deferredInterestThisMonth: deferredThisMonthTotal,
+      totalInterestToDate: totalInterest,
+      feesThisMonth: feesThisMonthTotal,
+      feesByDebtId,
+      totalFeesToDate: totalFees,
+      minimumsDue: round2(Object.values(dynamicMinByDebtId).reduce((sum, v) => sum + v, 0)),
+      minPaid: minPaidTotal,
+      directedPaid: directedPaidTotal,
+      extraPaid: extraPaidTotal,
+      totalRemaining,
+      balanceByDebtId: balancesById(),
+
+      targetDebtId: actualTargetId,
+      targetDebtName: actualTargetDebt?.name ?? null,
+      appliedToTargetThisMonth,
+      extraAppliedToTarget,
+      extraByDebtId,
+      interestByDebtId,
+      paidByDebtId: paidThisMonthByDebtId,
+      paidOffDebtIds: state.filter((d) => d.payoffMonth === month).map((d) => d.id),
+      invalid: false,
+    });
+  }
+
+  const paidOff = allPaid();
+  const monthsToDebtFree = paidOff ? timeline.length : MAX_MONTHS;
+
+  // Starting minimum, or the MAX_MONTHS payment on the starting balance once promos are over
+  const progressPaymentOf = (d) => {
+    if (d.startBalance <= 0) return 0;
+    const apr = rateForMonth(d.rates, MAX_MONTHS);
+    const r = apr / 1200;
+    const fees = recurringMonthlyFees(d);
+    const clearing = (r > 0 ? (d.startBalance * r) / (1 - (1 + r) ** -MAX_MONTHS) : d.startBalance / MAX_MONTHS) + fees;
+    return Math.ceil(Math.max(minimumOf(d, apr, fees, d.startBalance), clearing) * 100) / 100;
+  };
+
+  const perDebt = state.map((d) => ({
+    id: d.id,
+    name: d.name,
+    apr: d.baseApr,
+    payoffMonth: d.payoffMonth ?? monthsToDebtFree,
+    interestPaid: d.interestPaid,
+    feesPaid: d.feesPaid,
+    paidOff: d.balance <= 0.000001,
+    endingBalance: round2(Math.max(0, d.balance)),
+    negativeAmortization: d.balance > d.startBalance + 0.005,
+    progressPayment: progressPaymentOf(d),
+  }));
+
+  return {
+    strategy,
+    monthsToDebtFree,
+    paidOff,
+    progressPayment: round2(perDebt.reduce((sum, pd) => sum + pd.progressPayment, 0)),
+    totalInterest,
+    totalFees,
+    timeline,
+    perDebt,
+  };
+}
@@ -0,0 +1,205 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+
+import { MAX_MONTHS, simulateStrategy } from "./simulate.js";
+import { getPaymentPlanFn } from "./schedule.js";
+
+// Golden timelines live in __golden__/<name>.json.
+// Create or regenerate them after an intentional engine change with: UPDATE_GOLDEN=1 npm test
+function matchesGolden(name, actual) {
+  const url = new URL(`./__golden__/${name}.json`, import.meta.url);
+  if (process.env.UPDATE_GOLDEN) {
+    writeFileSync(url, JSON.stringify(actual, null, 2) + "\n");
+  }
+  assert.ok(existsSync(url), `missing golden file __golden__/${name}.json (run with UPDATE_GOLDEN=1 to create it)`);
+  assert.deepEqual(actual, JSON.parse(readFileSync(url, "utf8")));
+}
+
+function runBoth(debts, planFn) {
+  return {
+    snowball: simulateStrategy("snowball", debts, planFn),
+    avalanche: simulateStrategy("avalanche", debts, planFn),
+  };
+}
+
+const DEFAULT_DEBTS = [
+  { id: 0, name: "Credit Card", type: "credit_card", balance: 4000, interest_rate: 29.99 },
+  { id: 1, name: "Personal Loan", type: "loan", balance: 6000, interest_rate: 7.99 },
+];
+
+const FOUR_REVOLVING = [
+  { id: 0, name: "Visa", type: "credit_card", balance: 2500, interest_rate: 19.99 },
+  { id: 1, name: "Store Card", type: "credit_card", balance: 800, interest_rate: 26.99 },
+  { id: 2, name: "Mastercard", type: "credit_card", balance: 7200, interest_rate: 22.99 },
+  { id: 3, name: "LOC", type: "loc", balance: 5000, interest_rate: 9.5 },
+];
+
+test("golden: default debts, fixed $1500", () => {
+  matchesGolden("defaults-fixed-1500", runBoth(DEFAULT_DEBTS, getPaymentPlanFn("fixed", 1500, [], DEFAULT_DEBTS)));
+});
+
+test("golden: four revolving debts, fixed $900", () => {
+  matchesGolden("four-revolving-fixed-900", runBoth(FOUR_REVOLVING, getPaymentPlanFn("fixed", 900, [], FOUR_REVOLVING)));
+});
+
+test("golden: default debts, schedule with allocations", () => {
+  const debts = DEFAULT_DEBTS.map((d) => ({ ...d, minimum_payment: 150 }));
+  const rows = [
+    { month: 1, amount: 1000, allocations: { 1: 700 } },
+    { month: 2, amount: 1200, allocations: {} },
+    { month: 3, amount: 2000, allocations: { 0: 300 } },
+  ];
+  matchesGolden("defaults-schedule", runBoth(debts, getPaymentPlanFn("schedule", 1500, rows, debts)));
+});
+
+test("snowball and avalanche diverge when smallest balance is not highest APR", () => {
+  const planFn = getPaymentPlanFn("fixed", 900, [], FOUR_REVOLVING);
+  const { snowball, avalanche } = runBoth(FOUR_REVOLVING, planFn);
+
+  assert.equal(snowball.timeline[0].targetDebtId, 1);
+  assert.equal(avalanche.timeline[0].targetDebtId, 1);
+  // once the store card is gone, snowball goes to Visa and avalanche to Mastercard
+  const snowPaid = snowball.perDebt.find((d) => d.id === 0).payoffMonth;
+  const avalPaid = avalanche.perDebt.find((d) => d.id === 0).payoffMonth;
+  assert.ok(snowPaid < avalPaid);
+  assert.ok(avalanche.totalInterest <= snowball.totalInterest);
+});
+
+test("every month's totals reconcile with the balances", () => {
+  const planFn = getPaymentPlanFn("fixed", 900, [], FOUR_REVOLVING);
+  const debts = FOUR_REVOLVING.map((d) =>
+    d.id === 0 ? { ...d, fees: [{ kind: "annual", amount: 95, month: 1 }] } : d
+  );
+  const res = simulateStrategy("avalanche", debts, planFn);
+  let remaining = FOUR_REVOLVING.reduce((s, d) => s + d.balance, 0);
+
+  for (const row of res.timeline) {
+    const paid = row.minPaid + row.extraPaid;
+    remaining = Math.round((remaining + row.interestThisMonth + row.feesThisMonth - paid) * 100) / 100;
+    assert.ok(Math.abs(remaining - row.totalRemaining) < 0.05, `month ${row.month}`);
+  }
+  assert.equal(res.totalFees, res.timeline.at(-1).totalFeesToDate);
+  assert.ok(res.totalFees >= 95);
+  assert.equal(res.timeline.at(-1).totalRemaining, 0);
+  assert.equal(res.monthsToDebtFree, res.timeline.length);
+});
+
+test("custom order targets debts in the user's priority order", () => {
+  const planFn = getPaymentPlanFn("fixed", 900, [], FOUR_REVOLVING);
+  const res = simulateStrategy("custom", FOUR_REVOLVING, planFn, { customOrder: [3, 2, 0, 1] });
+  const payoff = Object.fromEntries(res.perDebt.map((d) => [d.id, d.payoffMonth]));
+
+  assert.equal(res.strategy, "custom");
+  assert.equal(res.timeline[0].targetDebtId, 3);
+  assert.ok(payoff[3] < payoff[2]);
+  assert.ok(payoff[2] <= payoff[0]);
+});
+
+test("custom order puts unlisted debts last, smallest balance first", () => {
+  const planFn = getPaymentPlanFn("fixed", 900, [], FOUR_REVOLVING);
+  const res = simulateStrategy("custom", FOUR_REVOLVING, planFn, { customOrder: [2] });
+  const order = [...res.perDebt].sort((a, b) => a.payoffMonth - b.payoffMonth).map((d) => d.id);
+  assert.equal(res.timeline[0].targetDebtId, 2);
+  assert.deepEqual(order, [2, 1, 0, 3]);
+});
+
+test("string ids are echoed back as the month target", () => {
+  const debts = DEFAULT_DEBTS.map((d, i) => ({ ...d, id: `d${i + 1}` }));
+  const res = simulateStrategy("avalanche", debts, getPaymentPlanFn("fixed", 1500, [], debts));
+  assert.equal(res.timeline[0].targetDebtId, "d1");
+  assert.equal(res.timeline[0].targetDebtName, "Credit Card");
+});
+
+test("payments that never cover interest run to MAX_MONTHS", () => {
+  const debts = [
+    { id: 0, name: "A", type: "loc", balance: 50000, interest_rate: 20 },
+    { id: 1, name: "B", type: "loc", balance: 100, interest_rate: 0 },
+  ];
+  const res = simulateStrategy("snowball", debts, () => ({ monthlyPayment: 500 }));
+  assert.equal(res.monthsToDebtFree, MAX_MONTHS);
+  assert.equal(res.timeline.length, MAX_MONTHS);
+  assert.equal(res.perDebt[0].payoffMonth, MAX_MONTHS);
+});
+
+test("a plan that never pays off says so, per debt, with the payment that makes progress", () => {
+  const debts = [
+    { id: 0, name: "A", type: "loc", balance: 50000, interest_rate: 20, fees: [{ kind: "annual", amount: 120 }] },
+    { id: 1, name: "B", type: "loc", balance: 100, interest_rate: 0 },
+  ];
+  const res = simulateStrategy("snowball", debts, () => ({ monthlyPayment: 500 }));
+  const [a, b] = res.perDebt;
+
+  assert.equal(res.paidOff, false);
+  assert.equal(a.paidOff, false);
+  assert.equal(a.negativeAmortization, true);
+  assert.ok(a.endingBalance > 50000);
+  assert.equal(a.progressPayment, 843.38); // clears 50000 at 20% in MAX_MONTHS, + 10 fees
+  // A's minimum takes the whole payment, so B is stuck but not growing
+  assert.equal(b.paidOff, false);
+  assert.equal(b.endingBalance, 100);
+  assert.equal(b.negativeAmortization, false);
+  assert.equal(b.progressPayment, 25); // its minimum
+  assert.equal(res.progressPayment, 868.38);
+});
+
+test("the suggested progress payment pays every debt off", () => {
+  const debts = [
+    { id: 0, name: "A", type: "loc", balance: 50000, interest_rate: 20, fees: [{ kind: "annual", amount: 120 }] },
+    { id: 1, name: "B", type: "credit_card", balance: 8000, interest_rate: 29.99 },
+  ];
+  for (const strategy of ["snowball", "avalanche"]) {
+    for (const accrual of ["monthly", "daily_balance"]) {
+      const options = { accrual, startMonth: "2026-01" };
+      const stuck = simulateStrategy(strategy, debts, () => ({ monthlyPayment: 500 }), options);
+      assert.equal(stuck.paidOff, false);
+
+      const enough = simulateStrategy(strategy, debts, () => ({ monthlyPayment: stuck.progressPayment }), options);
+      assert.equal(enough.paidOff, true, `${strategy} / ${accrual}`);
+      assert.ok(enough.monthsToDebtFree <= MAX_MONTHS);
+    }
+  }
+});
+
+test("over-budget schedule months stop the simulation with an invalid entry", () => {
+  const debts = DEFAULT_DEBTS.map((d) => ({ ...d, minimum_payment: 150 }));
+  const rows = [
+    { month: 1, amount: 1500, allocations: {} },
+    { month: 2, amount: 500, allocations: { 0: 600 } },
+  ];
+  const res = simulateStrategy("snowball", debts, getPaymentPlanFn("schedule", 1500, rows, debts));
+  assert.equal(res.timeline.length, 2);
+  assert.equal(res.timeline[0].invalid, false);
+  assert.equal(res.timeline[1].invalid, true);
+});
+
+test("per-debt minimum formulas drive the simulated minimums", () => {
+  const debts = [
+    { id: 0, name: "Card", type: "credit_card", balance: 3000, interest_rate: 0, min_formula: "pct3_floor10" },
+    { id: 1, name: "Loan", type: "other", balance: 3000, interest_rate: 0, min_formula: "fixed", min_fixed_amount: 200 },
+  ];
+  const res = simulateStrategy("snowball", debts, () => ({ monthlyPayment: 290 }));
+  assert.equal(res.timeline[0].minPaid, 290);
+  assert.equal(res.timeline[0].extraPaid, 0);
+});
+
+test("late fee posts when the payment can't cover the minimum", () => {
+  const debts = [{ id: 0, name: "Card", type: "credit_card", balance: 3000, interest_rate: 24, late_fee: 35 }];
+  const short = simulateStrategy("snowball", debts, getPaymentPlanFn("fixed", 20, [], debts));
+  const covered = simulateStrategy("snowball", debts, getPaymentPlanFn("fixed", 500, [], debts));
+
+  assert.equal(short.timeline[0].feesThisMonth, 35);
+  assert.equal(short.timeline[0].feesByDebtId[0], 35);
+  assert.equal(short.perDebt[0].feesPaid, short.totalFees);
+  assert.equal(covered.totalFees, 0);
+});
+
+test("per-debt balances add up to the month's total remaining", () => {
+  const res = simulateStrategy("snowball", FOUR_REVOLVING, getPaymentPlanFn("fixed", 900, [], FOUR_REVOLVING));
+  for (const row of res.timeline) {
+    const sum = Object.values(row.balanceByDebtId).reduce((a, b) => a + b, 0);
+    assert.ok(Math.abs(sum - row.totalRemaining) < 0.01, `month ${row.month}`);
+  }
+  const storeCard = res.perDebt.find((d) => d.id === 1);
+  assert.equal(res.timeline[storeCard.payoffMonth - 1].balanceByDebtId[1], 0);
+});
@@ -0,0 +1,33 @@
+/**
+ * Stickiness: how motivating a plan feels month to month.
+ * Built from the timeline's payoff months ("wins"):
+ *  - firstPayoffMonth: month the first account hits $0
+ *  - closedInFirstYear: accounts paid off in months 1-12
+ *  - longestGapWithoutWin: longest stretch of months with no payoff
+ *    (counted from the start of the plan)
+ *
+ * score = 12 × closedInFirstYear − firstPayoffMonth − longestGapWithoutWin
+ * Every account closed in year one is worth a year of waiting. Higher is better.
+ */
+export function scoreStickiness(result) {
+  const timeline = (result?.timeline || []).filter((t) => !t.invalid);
+  const winMonths = timeline.filter((t) => t.paidOffDebtIds?.length).map((t) => t.month);
+
+  const firstPayoffMonth = winMonths.length ? winMonths[0] : timeline.length;
+  const closedInFirstYear = timeline
+    .filter((t) => t.month <= 12)
+    .reduce((sum, t) => sum + (t.paidOffDebtIds?.length || 0), 0);
+
+  let longestGapWithoutWin = 0;
+  let lastWin = 0;
+  for (const m of winMonths) {
+    longestGapWithoutWin = Math.max(longestGapWithoutWin, m - lastWin);
+    lastWin = m;
+  }
+  // Still waiting at the end of the timeline (plan never finishes)
+  longestGapWithoutWin = Math.max(longestGapWithoutWin, timeline.length - lastWin);
+
+  const score = 12 * closedInFirstYear - firstPayoffMonth - longestGapWithoutWin;
+
+  return { firstPayoffMonth, closedInFirstYear, longestGapWithoutWin, wins: winMonths.length, score };
+}
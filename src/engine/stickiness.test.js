@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { scoreStickiness } from "./stickiness.js";
+import { simulateStrategy } from "./simulate.js";
+import { getPaymentPlanFn } from "./schedule.js";
+
+function timelineWithWins(length, winsByMonth) {
+  return {
+    timeline: Array.from({ length }, (_, i) => ({
+      month: i + 1,
+      paidOffDebtIds: winsByMonth[i + 1] || [],
+    })),
+  };
+}
+
+test("measures first payoff, first-year closures and the longest wait", () => {
+  const s = scoreStickiness(timelineWithWins(20, { 3: ["a"], 7: ["b", "c"], 20: ["d"] }));
+  assert.deepEqual(s, {
+    firstPayoffMonth: 3,
+    closedInFirstYear: 3,
+    longestGapWithoutWin: 13,
+    wins: 3,
+    score: 12 * 3 - 3 - 13,
+  });
+});
+
+test("a plan that never pays anything off scores its full length as the wait", () => {
+  const s = scoreStickiness(timelineWithWins(600, {}));
+  assert.equal(s.firstPayoffMonth, 600);
+  assert.equal(s.closedInFirstYear, 0);
+  assert.equal(s.longestGapWithoutWin, 600);
+});
+
+test("invalid months are ignored", () => {
+  const res = timelineWithWins(2, { 1: ["a"] });
+  res.timeline.push({ month: 3, paidOffDebtIds: [], invalid: true });
+  assert.equal(scoreStickiness(res).longestGapWithoutWin, 1);
+});
+
+test("snowball scores at least as sticky as avalanche when balances and rates disagree", () => {
+  const debts = [
+    { id: 0, name: "Visa", type: "credit_card", balance: 2500, interest_rate: 19.99 },
+    { id: 1, name: "Store Card", type: "credit_card", balance: 800, interest_rate: 26.99 },
+    { id: 2, name: "Mastercard", type: "credit_card", balance: 7200, interest_rate: 22.99 },
+    { id: 3, name: "LOC", type: "loc", balance: 5000, interest_rate: 9.5 },
+  ];
+  const planFn = getPaymentPlanFn("fixed", 900, [], debts);
+  const snow = scoreStickiness(simulateStrategy("snowball", debts, planFn));
+  const aval = scoreStickiness(simulateStrategy("avalanche", debts, planFn));
+
+  assert.equal(snow.closedInFirstYear, 2);
+  assert.equal(aval.closedInFirstYear, 2);
+  assert.ok(snow.score > aval.score);
+});
@@ -0,0 +1,101 @@
+/**
+ * Strategy registry.
+ *
+ * A strategy decides which active debt gets the extra (unassigned) payment.
+ * The simulator sorts the active debts with `compare` and pays the first one,
+ * re-sorting after each payoff within the month.
+ *
+ * compare(a, b, options) sees the simulator's debt state:
+ *  - balance: current balance (after this month's interest)
+ *  - apr, r: APR in percent, monthly rate
+ *  - minimum: this month's minimum payment
+ *  - id, name, type
+ * options is the object passed to simulateStrategy.
+ */
+
+export const DEFAULT_HYBRID_THRESHOLD = 1000;
+
+const byBalance = (a, b) => a.balance - b.balance;
+const byApr = (a, b) => b.apr - a.apr;
+
+const registry = new Map();
+
+/**
+ * Add (or replace) a strategy.
+ * def: { label, description, compare(a, b, options) }
+ */
+export function registerStrategy(id, def) {
+  if (!id || typeof def?.compare !== "function") {
+    throw new Error(`Strategy "${id}" needs an id and a compare function`);
+  }
+  registry.set(id, { id, label: def.label || id, description: def.description || "", compare: def.compare });
+}
+
+export function getStrategy(id) {
+  const def = registry.get(id);
+  if (!def) throw new Error(`Unknown strategy: ${id}`);
+  return def;
+}
+
+/** All registered strategies, in registration order. */
+export function listStrategies() {
+  return Array.from(registry.values());
+}
+
+registerStrategy("snowball", {
+  label: "Snowball",
+  description: "Pays off the smallest debt first to build momentum.",
+  compare: (a, b) => byBalance(a, b) || byApr(a, b),
+});
+
+registerStrategy("avalanche", {
+  label: "Avalanche",
+  description: "Pays off the highest-interest debt first to reduce interest.",
+  compare: (a, b) => byApr(a, b) || byBalance(a, b),
+});
+
+// options.customOrder: debt ids, highest priority first.
+// Debts missing from the list go last, smallest balance first.
+registerStrategy("custom", {
+  label: "Custom",
+  description: "Pays off debts in the priority order you set.",
+  compare: (a, b, options) => {
+    const order = options?.customOrder || [];
+    const rank = (d) => {
+      const i = order.indexOf(d.id);
+      return i === -1 ? order.length : i;
+    };
+    return rank(a) - rank(b) || byBalance(a, b);
+  },
+});
+
+registerStrategy("interest_cost", {
+  label: "Highest interest cost",
+  description: "Pays off the debt costing the most interest dollars each month first.",
+  compare: (a, b) => b.balance * b.r - a.balance * a.r || byApr(a, b) || byBalance(a, b),
+});
+
+// Cash flow index = balance ÷ minimum. Lowest first frees up the most
+// monthly cash per dollar paid.
+registerStrategy("cash_flow_index", {
+  label: "Cash flow index",
+  description: "Pays off the debt with the lowest balance-to-minimum ratio first to free up monthly cash.",
+  compare: (a, b) => {
+    const cfi = (d) => (d.minimum > 0 ? d.balance / d.minimum : Infinity);
+    return cfi(a) - cfi(b) || byBalance(a, b);
+  },
+});
+
+// options.hybridThreshold: balances under this are snowballed first (default $1000).
+registerStrategy("hybrid", {
+  label: "Hybrid",
+  description: "Clears small balances first for quick wins, then switches to highest interest.",
+  compare: (a, b, options) => {
+    const threshold = options?.hybridThreshold ?? DEFAULT_HYBRID_THRESHOLD;
+    const aSmall = a.balance < threshold;
+    const bSmall = b.balance < threshold;
+    if (aSmall !== bSmall) return aSmall ? -1 : 1;
+    if (aSmall) return byBalance(a, b) || byApr(a, b);
+    return byApr(a, b) || byBalance(a, b);
+  },
+});
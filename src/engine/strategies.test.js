@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { getStrategy, listStrategies, registerStrategy } from "./strategies.js";
+import { simulateStrategy } from "./simulate.js";
+
+const ids = (list) => list.map((d) => d.id);
+const sortWith = (id, debts, options) => [...debts].sort((a, b) => getStrategy(id).compare(a, b, options));
+
+const debts = [
+  { id: "visa", balance: 2500, apr: 19.99, r: 0.1999 / 12, minimum: 75 },
+  { id: "store", balance: 800, apr: 26.99, r: 0.2699 / 12, minimum: 40 },
+  { id: "mc", balance: 7200, apr: 22.99, r: 0.2299 / 12, minimum: 210 },
+  { id: "car", balance: 14000, apr: 6.9, r: 0.069 / 12, minimum: 900 },
+];
+
+test("built-in strategies are registered in display order", () => {
+  assert.deepEqual(ids(listStrategies()), [
+    "snowball",
+    "avalanche",
+    "custom",
+    "interest_cost",
+    "cash_flow_index",
+    "hybrid",
+  ]);
+  for (const s of listStrategies()) {
+    assert.ok(s.label);
+    assert.ok(s.description);
+  }
+});
+
+test("snowball and avalanche orderings", () => {
+  assert.deepEqual(ids(sortWith("snowball", debts)), ["store", "visa", "mc", "car"]);
+  assert.deepEqual(ids(sortWith("avalanche", debts)), ["store", "mc", "visa", "car"]);
+});
+
+test("interest cost orders by monthly interest dollars", () => {
+  // mc 137.94, car 80.50, visa 41.65, store 17.99
+  assert.deepEqual(ids(sortWith("interest_cost", debts)), ["mc", "car", "visa", "store"]);
+});
+
+test("cash flow index orders by balance / minimum", () => {
+  // car 15.6, store 20, visa 33.3, mc 34.3
+  assert.deepEqual(ids(sortWith("cash_flow_index", debts)), ["car", "store", "visa", "mc"]);
+});
+
+test("hybrid snowballs balances under the threshold, then avalanches", () => {
+  assert.deepEqual(ids(sortWith("hybrid", debts)), ["store", "mc", "visa", "car"]);
+  assert.deepEqual(ids(sortWith("hybrid", debts, { hybridThreshold: 3000 })), ["store", "visa", "mc", "car"]);
+});
+
+test("custom uses the given order", () => {
+  assert.deepEqual(ids(sortWith("custom", debts, { customOrder: ["car", "visa"] })), ["car", "visa", "store", "mc"]);
+});
+
+test("unknown strategies throw", () => {
+  assert.throws(() => getStrategy("nope"), /Unknown strategy: nope/);
+  assert.throws(() => simulateStrategy("nope", [], () => ({ monthlyPayment: 0 })), /Unknown strategy/);
+  assert.throws(() => registerStrategy("broken", {}), /compare function/);
+});
+
+test("registered strategies run through the simulator", () => {
+  registerStrategy("test_largest_first", {
+    label: "Largest first",
+    compare: (a, b) => b.balance - a.balance,
+  });
+  const simDebts = [
+    { id: 0, name: "Small", type: "loc", balance: 500, interest_rate: 10 },
+    { id: 1, name: "Large", type: "loc", balance: 5000, interest_rate: 5 },
+  ];
+  const res = simulateStrategy("test_largest_first", simDebts, () => ({ monthlyPayment: 1000 }));
+  assert.equal(res.timeline[0].targetDebtId, 1);
+  assert.equal(res.strategy, "test_largest_first");
+});
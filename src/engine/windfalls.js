@@ -0,0 +1,80 @@
+import { clampNumber, round2 } from "./numbers.js";
+import { simulateStrategy } from "./simulate.js";
+
+/**
+ * One-off lump sums (tax refunds, bonuses, gifts) on top of the regular plan.
+ *
+ * Windfall: {
+ *   month: number,          // simulated month it arrives (1-based)
+ *   amount: number,
+ *   debt_id?: id | null,    // pin to one debt; null = the strategy decides
+ *   label?: string,
+ * }
+ *
+ * A pinned windfall goes straight to its debt; anything it can't use (the
+ * debt is already paid off) falls through to the strategy.
+ */
+function normalizeWindfall(w) {
+  return {
+    label: w?.label ?? "",
+    month: Math.max(1, Math.floor(clampNumber(w?.month, 1))),
+    amount: Math.max(0, round2(clampNumber(w?.amount, 0))),
+    debt_id: w?.debt_id ?? null,
+  };
+}
+
+/**
+ * Wrap a paymentPlanFn so windfall months pay more.
+ * Adds to each plan: windfall (total this month), windfallByDebtId (pinned part).
+ * Months without a windfall return the wrapped plan as is.
+ */
+export function withWindfalls(paymentPlanFn, windfalls) {
+  const list = (windfalls || []).map(normalizeWindfall).filter((w) => w.amount > 0);
+  if (!list.length) return paymentPlanFn;
+
+  return (month) => {
+    const plan = paymentPlanFn(month);
+    const hits = list.filter((w) => w.month === month);
+    if (!hits.length) return plan;
+
+    let windfall = 0;
+    let pinned = 0;
+    const windfallByDebtId = {};
+    for (const w of hits) {
+      windfall = round2(windfall + w.amount);
+      if (w.debt_id == null) continue;
+      pinned = round2(pinned + w.amount);
+      windfallByDebtId[w.debt_id] = round2((windfallByDebtId[w.debt_id] || 0) + w.amount);
+    }
+
+    return {
+      ...plan,
+      monthlyPayment: round2(Math.max(0, clampNumber(plan?.monthlyPayment, 0)) + windfall),
+      unassigned: plan?.unassigned == null ? plan?.unassigned : round2(plan.unassigned + windfall - pinned),
+      windfall,
+      windfallByDebtId,
+    };
+  };
+}
+
+/**
+ * What each windfall is worth: the plan is simulated with every windfall,
+ * then once without each one.
+ *
+ * Returns one entry per windfall, in input order:
+ *  { label, month, amount, debt_id, monthsSaved, interestSaved }
+ */
+export function windfallSavings(strategy, debts, paymentPlanFn, windfalls, options = {}) {
+  const list = (windfalls || []).map(normalizeWindfall);
+  const withAll = simulateStrategy(strategy, debts, withWindfalls(paymentPlanFn, list), options);
+
+  return list.map((w, i) => {
+    const others = list.filter((_, j) => j !== i);
+    const without = simulateStrategy(strategy, debts, withWindfalls(paymentPlanFn, others), options);
+    return {
+      ...w,
+      monthsSaved: without.monthsToDebtFree - withAll.monthsToDebtFree,
+      interestSaved: round2(without.totalInterest - withAll.totalInterest),
+    };
+  });
+}
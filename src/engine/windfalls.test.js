@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { simulateStrategy } from "./simulate.js";
+import { getPaymentPlanFn } from "./schedule.js";
+import { windfallSavings, withWindfalls } from "./windfalls.js";
+
+const DEBTS = [
+  { id: 0, name: "Visa", type: "credit_card", balance: 6000, interest_rate: 22 },
+  { id: 1, name: "Car", type: "other", balance: 9000, interest_rate: 6 },
+];
+const planFn = getPaymentPlanFn("fixed", 800, [], DEBTS);
+
+test("an untargeted windfall goes to the strategy target", () => {
+  const res = simulateStrategy("avalanche", DEBTS, withWindfalls(planFn, [{ month: 3, amount: 2500 }]));
+  const m3 = res.timeline[2];
+
+  assert.equal(m3.windfall, 2500);
+  assert.equal(m3.paymentThisMonth, 3300);
+  assert.equal(m3.windfallDirectedPaid, 0);
+  assert.equal(m3.targetDebtId, 0);
+  assert.ok(m3.extraByDebtId[0] > 2500);
+});
+
+test("a pinned windfall pays its debt, leftovers go to the strategy", () => {
+  const windfalls = [{ month: 2, amount: 12000, debt_id: 1, label: "Inheritance" }];
+  const res = simulateStrategy("avalanche", DEBTS, withWindfalls(planFn, windfalls));
+  const m2 = res.timeline[1];
+  const car = res.perDebt.find((d) => d.id === 1);
+
+  assert.equal(car.payoffMonth, 2);
+  assert.ok(m2.windfallDirectedPaid < 12000);
+  assert.ok(m2.extraByDebtId[0] > 0);
+
+  let remaining = DEBTS.reduce((s, d) => s + d.balance, 0);
+  for (const row of res.timeline) {
+    const paid = row.minPaid + row.extraPaid + row.windfallDirectedPaid;
+    remaining = Math.round((remaining + row.interestThisMonth + row.feesThisMonth - paid) * 100) / 100;
+    assert.ok(Math.abs(remaining - row.totalRemaining) < 0.05, `month ${row.month}`);
+  }
+});
+
+test("pinned windfall payments reconcile with what each debt was paid", () => {
+  const windfalls = [
+    { month: 2, amount: 1200, debt_id: 1 },
+    { month: 4, amount: 500 },
+  ];
+  const rows = [{ month: 1, amount: 900, allocations: { 1: 400 } }];
+  const runs = [
+    ["fixed", simulateStrategy("avalanche", DEBTS, withWindfalls(planFn, windfalls))],
+    ["schedule", simulateStrategy("avalanche", DEBTS, withWindfalls(getPaymentPlanFn("schedule", 0, rows, DEBTS), windfalls))],
+  ];
+
+  for (const [mode, res] of runs) {
+    let remaining = DEBTS.reduce((sum, d) => sum + d.balance, 0);
+    for (const row of res.timeline) {
+      const required = mode === "schedule" ? row.directedPaid : row.minPaid;
+      const total = required + row.windfallDirectedPaid + row.extraPaid;
+      const paid = Object.values(row.paidByDebtId).reduce((sum, v) => sum + v, 0);
+      assert.ok(Math.abs(total - paid) < 0.01, `${mode} month ${row.month}`);
+
+      remaining = Math.round((remaining + row.interestThisMonth + row.feesThisMonth - paid) * 100) / 100;
+      assert.ok(Math.abs(remaining - row.totalRemaining) < 0.05, `${mode} month ${row.month} balance`);
+    }
+    assert.equal(res.timeline[1].windfallDirectedPaid, 1200);
+  }
+});
+
+test("windfall savings compare the plan with and without each windfall", () => {
+  const windfalls = [
+    { month: 4, amount: 3000, label: "Tax refund" },
+    { month: 40, amount: 500, label: "After payoff" },
+  ];
+  const [refund, late] = windfallSavings("avalanche", DEBTS, planFn, windfalls);
+
+  assert.equal(refund.label, "Tax refund");
+  assert.ok(refund.monthsSaved >= 3);
+  assert.ok(refund.interestSaved > 0);
+  assert.equal(late.monthsSaved, 0);
+  assert.equal(late.interestSaved, 0);
+});
+
+test("no windfalls leaves the plan untouched", () => {
+  assert.equal(withWindfalls(planFn, []), planFn);
+  assert.equal(withWindfalls(planFn, [{ month: 1, amount: 0 }]), planFn);
+});
@@ -0,0 +1,28 @@
+import { scoreStickiness } from "./stickiness.js";
+
+/**
+ * Pick the recommended strategy for a goal.
+ * results: SimulationResult[] (one per strategy, in display order).
+ * Returns the winning strategy id. Ties go to the earlier result.
+ *  - speed: fewest months
+ *  - interest: lowest total interest
+ *  - stick: highest stickiness score (see stickiness.js)
+ */
+export function pickWinner(goal, results) {
+  const list = (results || []).filter(Boolean);
+  if (!list.length) return null;
+
+  // lower is better
+  const cost =
+    goal === "interest"
+      ? (r) => r.totalInterest
+      : goal === "stick"
+      ? (r) => -scoreStickiness(r).score
+      : (r) => r.monthsToDebtFree;
+
+  let best = list[0];
+  for (const r of list.slice(1)) {
+    if (cost(r) < cost(best)) best = r;
+  }
+  return best.strategy;
+}
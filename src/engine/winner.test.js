@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { pickWinner } from "./winner.js";
+
+const snow = { strategy: "snowball", monthsToDebtFree: 10, totalInterest: 900 };
+const aval = { strategy: "avalanche", monthsToDebtFree: 11, totalInterest: 800 };
+const hybrid = { strategy: "hybrid", monthsToDebtFree: 9, totalInterest: 850 };
+
+test("speed goal picks the fewest months", () => {
+  assert.equal(pickWinner("speed", [snow, aval]), "snowball");
+  assert.equal(pickWinner("speed", [{ ...snow, monthsToDebtFree: 12 }, aval]), "avalanche");
+  assert.equal(pickWinner("speed", [snow, aval, hybrid]), "hybrid");
+});
+
+test("interest goal picks the lowest total interest", () => {
+  assert.equal(pickWinner("interest", [snow, aval, hybrid]), "avalanche");
+});
+
+test("ties go to the earlier result", () => {
+  assert.equal(pickWinner("interest", [snow, { ...aval, totalInterest: 900 }]), "snowball");
+  assert.equal(pickWinner("interest", [{ ...aval, totalInterest: 900 }, snow]), "avalanche");
+});
+
+test("stick goal picks the highest stickiness score", () => {
+  const wins = (...months) => ({
+    timeline: Array.from({ length: 12 }, (_, i) => ({
+      month: i + 1,
+      paidOffDebtIds: months.includes(i + 1) ? [i] : [],
+    })),
+  });
+  // early, frequent wins beat a single late one
+  const quick = { ...snow, ...wins(2, 5, 12) };
+  const slow = { ...aval, ...wins(11, 12) };
+  assert.equal(pickWinner("stick", [slow, quick]), "snowball");
+  assert.equal(pickWinner("stick", [{ ...slow, ...wins(1, 3, 6, 12) }, quick]), "avalanche");
+});
+
+test("no results, no winner", () => {
+  assert.equal(pickWinner("speed", []), null);
+});
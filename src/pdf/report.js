@@ -0,0 +1,312 @@
+import { CHART_COLORS, CHART_OVERLAYS } from "../chartTheme.js";
+import { createPdf, textWidth } from "./writer.js";
+
+const MARGIN = 40;
+const LINE = 14;
+
+/** Cut text that would overflow a table cell. */
+function fit(text, width, size) {
+  const s = String(text ?? "");
+  if (textWidth(s, size) <= width) return s;
+  const chars = Math.max(1, Math.floor(width / (size * 0.52)) - 1);
+  return `${s.slice(0, chars)}…`;
+}
+
+/**
+ * Build the plan report PDF in the browser from the live simulation.
+ *
+ * report: {
+ *   generatedAt: string,
+ *   planStart: string,                 // "March 2027"
+ *   goalLabel, winnerLabel: string,
+ *   reality: { income, expenses, freeCash, minimumsTotal },
+ *   payment: {
+ *     mode: "fixed" | "schedule",
+ *     monthlyPayment: number,          // fixed mode
+ *     schedule: [{ month, amount, allocations: [{ name, amount }] }],  // schedule mode
+ *     note?: string,                   // e.g. pay calendar
+ *   },
+ *   windfalls: [{ label, month, amount, debtName?, monthsSaved, interestSaved }],
+ *   debts: [{ id, name, balance, interest_rate }],
+ *   results: SimulationResult[] (+ label),
+ *   winner: strategy id,
+ *   monthLabel(m): string,
+ *   formatMoney(n): string,
+ * }
+ *
+ * Returns the PDF as a Uint8Array.
+ */
+export function buildPlanReportPdf(report) {
+  const { monthLabel, formatMoney } = report;
+  const money = (n) => `$${formatMoney(n)}`;
+
+  const doc = createPdf();
+  const right = doc.width - MARGIN;
+  let y = MARGIN;
+
+  const newPage = () => {
+    doc.addPage();
+    y = MARGIN;
+  };
+  const need = (h) => {
+    if (y + h > doc.height - MARGIN) newPage();
+  };
+
+  const heading = (text) => {
+    need(LINE * 3);
+    y += LINE;
+    doc.text(MARGIN, y, text, { size: 13, bold: true });
+    y += 6;
+    doc.line(MARGIN, y, right, y, { color: "#e5e7eb" });
+    y += LINE;
+  };
+
+  const para = (text, opts = {}) => {
+    need(LINE);
+    doc.text(MARGIN, y, text, { size: 10, ...opts });
+    y += LINE;
+  };
+
+  /**
+   * columns: [{ label, width, align? }]; rows: arrays of cell strings.
+   * Repeats the header row after a page break.
+   */
+  const table = (columns, rows) => {
+    const header = () => {
+      let x = MARGIN;
+      doc.rect(MARGIN, y - 10, right - MARGIN, LINE, { fill: "#f3f4f6" });
+      for (const c of columns) {
+        const tx = c.align === "right" ? x + c.width - 4 : x + 4;
+        doc.text(tx, y, c.label, { size: 9, bold: true, align: c.align || "left" });
+        x += c.width;
+      }
+      y += LINE;
+    };
+
+    need(LINE * 2);
+    header();
+    for (const row of rows) {
+      if (y + LINE > doc.height - MARGIN) {
+        newPage();
+        header();
+      }
+      let x = MARGIN;
+      row.forEach((cell, i) => {
+        const c = columns[i];
+        const tx = c.align === "right" ? x + c.width - 4 : x + 4;
+        doc.text(tx, y, fit(cell, c.width - 8, 9), { size: 9, align: c.align || "left", bold: !!row.bold });
+        x += c.width;
+      });
+      y += LINE - 2;
+    }
+    y += 6;
+  };
+
+  const chart = () => {
+    const overlays = CHART_OVERLAYS.map((o) => ({
+      ...o,
+      result: report.results.find((r) => r.strategy === o.strategy),
+    })).filter((o) => o.result);
+    if (!overlays.length) return;
+
+    const h = 180;
+    need(h + LINE * 3);
+    const left = MARGIN + 44;
+    const top = y;
+    const bottom = y + h;
+    const maxMonth = Math.max(1, ...overlays.map((o) => o.result.timeline.length));
+    const maxBalance = Math.max(1, ...report.debts.map((d) => d.balance));
+    const px = (m) => left + (m / maxMonth) * (right - left);
+    const py = (b) => top + (1 - b / maxBalance) * h;
+
+    for (const t of [0, 0.5, 1]) {
+      doc.line(left, py(t * maxBalance), right, py(t * maxBalance), { color: "#e5e7eb", width: 0.5 });
+      doc.text(left - 4, py(t * maxBalance) + 3, money(Math.round(t * maxBalance)), { size: 8, align: "right", color: "#6b7280" });
+    }
+    doc.text(left, bottom + 12, monthLabel(1), { size: 8, color: "#6b7280" });
+    doc.text(right, bottom + 12, monthLabel(maxMonth), { size: 8, align: "right", color: "#6b7280" });
+
+    for (const o of overlays) {
+      const dash = o.dash ? o.dash.split(" ").map(Number) : null;
+      report.debts.forEach((d, i) => {
+        const points = [[px(0), py(d.balance)]];
+        for (const row of o.result.timeline) {
+          if (row.invalid) break;
+          points.push([px(row.month), py(row.balanceByDebtId?.[d.id] ?? 0)]);
+        }
+        doc.polyline(points, { color: CHART_COLORS[i % CHART_COLORS.length], width: 1.5, dash });
+      });
+    }
+    y = bottom + LINE * 2;
+
+    // legend
+    let lx = MARGIN;
+    report.debts.forEach((d, i) => {
+      doc.rect(lx, y - 7, 8, 8, { fill: CHART_COLORS[i % CHART_COLORS.length] });
+      doc.text(lx + 12, y, d.name, { size: 8 });
+      lx += 12 + textWidth(d.name, 8) + 12;
+    });
+    for (const o of overlays) {
+      const dash = o.dash ? o.dash.split(" ").map(Number) : null;
+      doc.line(lx, y - 3, lx + 18, y - 3, { width: 1.5, dash });
+      doc.text(lx + 22, y, o.result.label, { size: 8 });
+      lx += 22 + textWidth(o.result.label, 8) + 12;
+    }
+    y += LINE;
+  };
+
+  const winner = report.results.find((r) => r.strategy === report.winner) || report.results[0];
+
+  // ---------- Title ----------
+  newPage();
+  doc.text(MARGIN, y + 8, "ClearPath Debt Payoff Plan", { size: 20, bold: true });
+  y += 28;
+  para(`Generated ${report.generatedAt} · Plan starts ${report.planStart}`, { color: "#6b7280" });
+  para(`Goal: ${report.goalLabel} · Best strategy for you: ${report.winnerLabel}`, { bold: true });
+
+  // ---------- Numbers ----------
+  heading("Your numbers");
+  table(
+    [
+      { label: "Monthly income", width: 133, align: "right" },
+      { label: "Monthly bills", width: 133, align: "right" },
+      { label: "Free cash", width: 133, align: "right" },
+      { label: "Minimum payments", width: 133, align: "right" },
+    ],
+    [
+      [
+        money(report.reality.income),
+        money(report.reality.expenses),
+        money(report.reality.freeCash),
+        money(report.reality.minimumsTotal),
+      ],
+    ]
+  );
+  table(
+    [
+      { label: "Debt", width: 232 },
+      { label: "Balance", width: 150, align: "right" },
+      { label: "APR", width: 150, align: "right" },
+    ],
+    report.debts.map((d) => [d.name, money(d.balance), `${formatMoney(d.interest_rate)}%`])
+  );
+
+  // ---------- Payment plan ----------
+  heading("Payment plan");
+  if (report.payment.mode === "schedule") {
+    para("Month-by-month schedule (allocations are totals per debt, minimums included):");
+    table(
+      [
+        { label: "Month", width: 110 },
+        { label: "Payment", width: 90, align: "right" },
+        { label: "Allocations", width: 332 },
+      ],
+      report.payment.schedule.map((row) => [
+        monthLabel(row.month),
+        money(row.amount),
+        row.allocations.length
+          ? row.allocations.map((a) => `${a.name} ${money(a.amount)}`).join(", ")
+          : "Minimums, strategy decides the rest",
+      ])
+    );
+    para("After the last row, the last month's payment and allocations repeat.", { size: 9, color: "#6b7280" });
+  } else {
+    para(`Fixed payment of ${money(report.payment.monthlyPayment)} every month.`);
+  }
+  if (report.payment.note) para(report.payment.note, { size: 9, color: "#6b7280" });
+
+  if (report.windfalls.length) {
+    y += 4;
+    table(
+      [
+        { label: "Windfall", width: 130 },
+        { label: "Month", width: 100 },
+        { label: "Amount", width: 80, align: "right" },
+        { label: "Goes to", width: 92 },
+        { label: "Saves", width: 130, align: "right" },
+      ],
+      report.windfalls.map((w) => [
+        w.label,
+        monthLabel(w.month),
+        money(w.amount),
+        w.debtName || "Strategy",
+        `${w.monthsSaved} mo · ${money(w.interestSaved)}`,
+      ])
+    );
+  }
+
+  // ---------- Strategies ----------
+  heading("Strategy comparison");
+  table(
+    [
+      { label: "Strategy", width: 172 },
+      { label: "Debt-free by", width: 110 },
+      { label: "Months", width: 70, align: "right" },
+      { label: "Interest", width: 90, align: "right" },
+      { label: "Fees", width: 90, align: "right" },
+    ],
+    report.results.map((r) =>
+      Object.assign(
+        [
+          r.strategy === report.winner ? `${r.label} (best)` : r.label,
+          r.paidOff === false ? "Never" : monthLabel(r.monthsToDebtFree),
+          r.paidOff === false ? "-" : String(r.monthsToDebtFree),
+          money(r.totalInterest),
+          money(r.totalFees || 0),
+        ],
+        { bold: r.strategy === report.winner }
+      )
+    )
+  );
+
+  need(180 + LINE * 7); // keep the heading with its chart
+  heading("Balance per debt");
+  chart();
+
+  heading("Payoff by debt");
+  table(
+    [
+      { label: "Strategy", width: 150 },
+      { label: "Debt", width: 152 },
+      { label: "APR", width: 60, align: "right" },
+      { label: "Paid off", width: 90 },
+      { label: "Interest", width: 80, align: "right" },
+    ],
+    report.results.flatMap((r) =>
+      r.perDebt.map((pd) => [
+        r.label,
+        pd.name,
+        `${formatMoney(pd.apr)}%`,
+        pd.paidOff === false ? "Never" : pd.payoffMonth ? monthLabel(pd.payoffMonth) : "-",
+        money(pd.interestPaid),
+      ])
+    )
+  );
+
+  // ---------- Month by month (winner) ----------
+  heading(`Month by month: ${winner.label}`);
+  table(
+    [
+      { label: "Month", width: 100 },
+      { label: "Payment", width: 80, align: "right" },
+      { label: "Interest", width: 70, align: "right" },
+      { label: "Fees", width: 60, align: "right" },
+      { label: "Target", width: 132 },
+      { label: "Remaining", width: 90, align: "right" },
+    ],
+    winner.timeline
+      .filter((row) => !row.invalid)
+      .map((row) => [
+        monthLabel(row.month),
+        money(row.paymentThisMonth),
+        money(row.interestThisMonth),
+        money(row.feesThisMonth || 0),
+        row.targetDebtName || "-",
+        money(row.totalRemaining),
+      ])
+  );
+
+  para("Estimates only. Check your statements for exact minimums and rates.", { size: 8, color: "#6b7280" });
+
+  return doc.output();
+}
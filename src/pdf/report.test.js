@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildPlanReportPdf } from "./report.js";
+import { simulateStrategy } from "../engine/simulate.js";
+import { getPaymentPlanFn } from "../engine/schedule.js";
+
+const DEBTS = [
+  { id: 0, name: "Visa", type: "credit_card", balance: 4000, interest_rate: 24.99 },
+  { id: 1, name: "Car (loan)", type: "other", balance: 9000, interest_rate: 6.5 },
+];
+
+function report(overrides = {}) {
+  const planFn = getPaymentPlanFn("fixed", 500, [], DEBTS);
+  const results = ["snowball", "avalanche"].map((s) => ({
+    ...simulateStrategy(s, DEBTS, planFn),
+    label: s === "snowball" ? "Snowball" : "Avalanche",
+  }));
+  return {
+    generatedAt: "Oct 19, 2026",
+    planStart: "November 2026",
+    goalLabel: "Lowest interest",
+    winnerLabel: "Avalanche",
+    reality: { income: 5000, expenses: 3000, freeCash: 2000, minimumsTotal: 300 },
+    payment: { mode: "fixed", monthlyPayment: 500, schedule: [] },
+    windfalls: [],
+    debts: DEBTS,
+    results,
+    winner: "avalanche",
+    monthLabel: (m) => `Month ${m}`,
+    formatMoney: (n) => Number(n).toFixed(2),
+    ...overrides,
+  };
+}
+
+test("the report covers every month of the winning plan", () => {
+  const data = report();
+  const pdf = String.fromCharCode(...buildPlanReportPdf(data));
+  const winner = data.results[1];
+
+  assert.ok(pdf.startsWith("%PDF-1.4"));
+  assert.match(pdf, /ClearPath Debt Payoff Plan/);
+  assert.match(pdf, /Car \\\(loan\\\)/);
+  assert.ok(pdf.includes(`(Month ${winner.monthsToDebtFree}) Tj`));
+  assert.ok(Number(/\/Count (\d+)/.exec(pdf)[1]) >= 2);
+});
+
+test("schedule mode lists rows and allocations", () => {
+  const pdf = String.fromCharCode(
+    ...buildPlanReportPdf(
+      report({
+        payment: {
+          mode: "schedule",
+          monthlyPayment: 500,
+          schedule: [{ month: 1, amount: 800, allocations: [{ name: "Visa", amount: 450 }] }],
+        },
+        windfalls: [{ label: "Tax refund", month: 4, amount: 1500, monthsSaved: 3, interestSaved: 120.5 }],
+      })
+    )
+  );
+  assert.match(pdf, /\(Visa \$450\.00\) Tj/);
+  assert.match(pdf, /\(Tax refund\) Tj/);
+});
@@ -0,0 +1,167 @@
+import { createPdf, textWidth } from "./writer.js";
+
+const MARGIN = 40;
+const LINE = 14;
+
+const STATUS_LABELS = { covered: "Covered", partial: "Partly covered", uncovered: "Not covered" };
+
+/** Break text into lines that fit `width` at `size`. */
+function wrap(text, width, size) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text ?? "").split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && textWidth(next, size) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Build the Survival Mode plan PDF (see plan/survival.js).
+ *
+ * report: {
+ *   generatedAt: string,
+ *   plan: buildSurvivalPlan(...) result,
+ *   steps: string[],                   // survivalSteps(plan, formatMoney)
+ *   monthLabel(m): string,
+ *   formatMoney(n): string,
+ * }
+ *
+ * Returns the PDF as a Uint8Array.
+ */
+export function buildSurvivalPlanPdf(report) {
+  const { plan, monthLabel, formatMoney } = report;
+  const money = (n) => `$${formatMoney(n)}`;
+
+  const doc = createPdf();
+  const right = doc.width - MARGIN;
+  let y = MARGIN;
+
+  const newPage = () => {
+    doc.addPage();
+    y = MARGIN;
+  };
+  const need = (h) => {
+    if (y + h > doc.height - MARGIN) newPage();
+  };
+
+  const heading = (text) => {
+    need(LINE * 3);
+    y += LINE;
+    doc.text(MARGIN, y, text, { size: 13, bold: true });
+    y += 6;
+    doc.line(MARGIN, y, right, y, { color: "#e5e7eb" });
+    y += LINE;
+  };
+
+  const para = (text, opts = {}, indent = 0) => {
+    for (const line of wrap(text, right - MARGIN - indent, opts.size || 10)) {
+      need(LINE);
+      doc.text(MARGIN + indent, y, line, { size: 10, ...opts });
+      y += LINE;
+    }
+  };
+
+  /** columns: [{ label, width, align? }]; rows: arrays of cell strings. */
+  const table = (columns, rows) => {
+    need(LINE * (rows.length + 1));
+    let x = MARGIN;
+    doc.rect(MARGIN, y - 10, right - MARGIN, LINE, { fill: "#f3f4f6" });
+    for (const c of columns) {
+      doc.text(c.align === "right" ? x + c.width - 4 : x + 4, y, c.label, { size: 9, bold: true, align: c.align || "left" });
+      x += c.width;
+    }
+    y += LINE;
+    for (const row of rows) {
+      need(LINE);
+      x = MARGIN;
+      row.forEach((cell, i) => {
+        const c = columns[i];
+        doc.text(c.align === "right" ? x + c.width - 4 : x + 4, y, String(cell), { size: 9, align: c.align || "left" });
+        x += c.width;
+      });
+      y += LINE - 2;
+    }
+    y += 6;
+  };
+
+  const outcome = (o) => (o.paidOff ? `Debt-free by ${monthLabel(o.monthsToDebtFree)}` : "Never pays off");
+
+  // ---------- Title ----------
+  newPage();
+  doc.text(MARGIN, y + 8, "ClearPath Survival Mode Plan", { size: 20, bold: true });
+  y += 28;
+  para(`Generated ${report.generatedAt}`, { color: "#6b7280" });
+  para(
+    plan.gap > 0
+      ? `Bills and minimum payments need ${money(plan.gap)} more a month than you bring in.`
+      : "Add your income so bills and minimum payments can be checked against it.",
+    { bold: true }
+  );
+
+  // ---------- Numbers ----------
+  heading("Your numbers");
+  table(
+    [
+      { label: "Monthly income", width: 133, align: "right" },
+      { label: "Monthly bills", width: 133, align: "right" },
+      { label: "Left after bills", width: 133, align: "right" },
+      { label: "Minimum payments", width: 133, align: "right" },
+    ],
+    [[money(plan.income), money(plan.expenses), money(plan.available), money(plan.minimumsTotal)]]
+  );
+
+  // ---------- Steps ----------
+  heading("What to do next");
+  report.steps.forEach((step, i) => {
+    need(LINE);
+    doc.text(MARGIN, y, `${i + 1}.`, { size: 10, bold: true });
+    para(step, {}, 18);
+    y += 2;
+  });
+
+  // ---------- Protect ----------
+  if (plan.protect.length) {
+    heading("Minimums to protect first");
+    table(
+      [
+        { label: "#", width: 24 },
+        { label: "Debt", width: 180 },
+        { label: "Minimum", width: 90, align: "right" },
+        { label: "Covered", width: 90, align: "right" },
+        { label: "Status", width: 148 },
+      ],
+      plan.protect.map((p) => [String(p.rank), p.name, money(p.minimum), money(p.covered), STATUS_LABELS[p.status]])
+    );
+    for (const p of plan.protect) para(`${p.name}: ${p.reason}`, { size: 9, color: "#374151" });
+  }
+
+  // ---------- Hardship ----------
+  const h = plan.hardship;
+  if (h) {
+    heading(`Hardship rate: ${formatMoney(h.rate)}% on ${h.debts.map((d) => d.name).join(", ")}`);
+    table(
+      [
+        { label: "", width: 152 },
+        { label: "Today", width: 190, align: "right" },
+        { label: "With hardship rate", width: 190, align: "right" },
+      ],
+      [
+        ["Minimum payments", money(plan.minimumsTotal), money(h.minimumsTotal)],
+        ["Monthly gap", money(plan.gap), money(h.gap)],
+        ["Interest, first 12 months", money(h.before.firstYearInterest), money(h.after.firstYearInterest)],
+        ["Paying what's left after bills", outcome(h.before), outcome(h.after)],
+      ]
+    );
+  }
+
+  para("Estimates only. Check your statements for exact minimums and rates.", { size: 8, color: "#6b7280" });
+
+  return doc.output();
+}
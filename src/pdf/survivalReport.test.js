@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildSurvivalPlanPdf } from "./survivalReport.js";
+import { buildSurvivalPlan, survivalSteps } from "../plan/survival.js";
+
+test("the survival plan PDF has the steps, the protect order and the hardship comparison", () => {
+  const debts = [
+    { id: 0, uid: "visa", name: "Visa", type: "credit_card", balance: 6000, interest_rate: 24.99 },
+    { id: 1, uid: "car", name: "Car (loan)", type: "loan", balance: 12000, interest_rate: 7, original_term: 60, remaining_months: 48 },
+  ];
+  const formatMoney = (n) => Number(n).toFixed(2);
+  const plan = buildSurvivalPlan({ income: 3000, expenses: 2700, debts });
+  const steps = survivalSteps(plan, formatMoney);
+  const pdf = String.fromCharCode(
+    ...buildSurvivalPlanPdf({ generatedAt: "Oct 19, 2026", plan, steps, monthLabel: (m) => `Month ${m}`, formatMoney })
+  );
+
+  assert.ok(pdf.startsWith("%PDF-1.4"));
+  assert.match(pdf, /ClearPath Survival Mode Plan/);
+  assert.match(pdf, /Minimums to protect first/);
+  assert.match(pdf, /Car \\\(loan\\\)/);
+  assert.match(pdf, /Hardship rate: 6\.00% on Visa/);
+  assert.ok(pdf.includes(`(${steps.length}.) Tj`));
+});
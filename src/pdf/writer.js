@@ -0,0 +1,158 @@
+/**
+ * Minimal PDF writer: text, lines and rectangles on Letter pages, using the
+ * standard Helvetica fonts (no embedding, no dependencies).
+ *
+ * Coordinates are in points with the origin at the TOP-left of the page
+ * (converted to PDF's bottom-left origin on output).
+ *
+ *   const doc = createPdf();
+ *   doc.text(40, 60, "Hello", { size: 18, bold: true });
+ *   doc.line(40, 70, 200, 70, { color: "#2563eb" });
+ *   const bytes = doc.output(); // Uint8Array
+ */
+export const PAGE = { width: 612, height: 792 };
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI = {
+  "—": 0x97,
+  "–": 0x96,
+  "’": 0x92,
+  "‘": 0x91,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "…": 0x85,
+  "€": 0x80,
+};
+const REPLACEMENTS = { "→": "->", "−": "-", "×": "x" };
+
+/** Escape a JS string as a PDF literal string body (WinAnsi bytes). */
+export function pdfString(s) {
+  let out = "";
+  for (const ch of String(s ?? "")) {
+    const text = REPLACEMENTS[ch] ?? ch;
+    for (const c of text) {
+      const code = WIN_ANSI[c] ?? c.charCodeAt(0);
+      if (c === "\\" || c === "(" || c === ")") out += `\\${c}`;
+      else if (code < 32) out += " ";
+      else if (code > 255) out += "?";
+      else out += String.fromCharCode(code);
+    }
+  }
+  return out;
+}
+
+/** Rough Helvetica width (points); good enough for right-aligning numbers. */
+export function textWidth(s, size = 10) {
+  return String(s ?? "").length * size * 0.52;
+}
+
+function rgb(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  const n = m ? parseInt(m[1], 16) : 0;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => (v / 255).toFixed(3)).join(" ");
+}
+
+const num = (n) => (Math.round(n * 100) / 100).toString();
+
+export function createPdf({ width = PAGE.width, height = PAGE.height } = {}) {
+  const pages = [];
+  let ops = null;
+
+  const y = (v) => num(height - v);
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+
+    text(x, top, str, { size = 10, bold = false, color = "#111827", align = "left" } = {}) {
+      if (!ops) doc.addPage();
+      const dx = align === "right" ? textWidth(str, size) : align === "center" ? textWidth(str, size) / 2 : 0;
+      ops.push(
+        `BT /${bold ? "F2" : "F1"} ${size} Tf ${rgb(color)} rg ${num(x - dx)} ${y(top)} Td (${pdfString(str)}) Tj ET`
+      );
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { color = "#111827", width: w = 1, dash = null } = {}) {
+      return doc.polyline(
+        [
+          [x1, y1],
+          [x2, y2],
+        ],
+        { color, width: w, dash }
+      );
+    },
+
+    polyline(points, { color = "#111827", width: w = 1, dash = null } = {}) {
+      if (!ops) doc.addPage();
+      if (points.length < 2) return doc;
+      const path = points.map(([px, py], i) => `${num(px)} ${y(py)} ${i ? "l" : "m"}`).join(" ");
+      const dashOp = dash ? `[${dash.join(" ")}] 0 d` : "[] 0 d";
+      ops.push(`q ${rgb(color)} RG ${num(w)} w ${dashOp} ${path} S Q`);
+      return doc;
+    },
+
+    rect(x, top, w, h, { fill = null, stroke = null, width: lw = 1 } = {}) {
+      if (!ops) doc.addPage();
+      const paint = fill && stroke ? "B" : fill ? "f" : "S";
+      const colors = `${fill ? `${rgb(fill)} rg ` : ""}${stroke ? `${rgb(stroke)} RG ` : ""}`;
+      ops.push(`q ${colors}${num(lw)} w ${num(x)} ${y(top + h)} ${num(w)} ${num(h)} re ${paint} Q`);
+      return doc;
+    },
+
+    pageCount() {
+      return pages.length;
+    },
+
+    /** Serialize to PDF bytes (Uint8Array). */
+    output() {
+      if (!pages.length) doc.addPage();
+
+      // 1 catalog, 2 pages, 3-4 fonts, then a page + content stream per page
+      const objects = [];
+      const pageIds = pages.map((_, i) => 5 + i * 2);
+
+      objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+      objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+      objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+
+      pages.forEach((pageOps, i) => {
+        const pageId = pageIds[i];
+        const stream = pageOps.join("\n");
+        objects[pageId] =
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+      });
+
+      // Every character is a single byte (< 256), so string length == byte offset
+      let body = "%PDF-1.4\n%âãÏÓ\n";
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = body.length;
+        body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xrefAt = body.length;
+      body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        body += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+      }
+      body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+
+      const bytes = new Uint8Array(body.length);
+      for (let i = 0; i < body.length; i++) bytes[i] = body.charCodeAt(i);
+      return bytes;
+    },
+  };
+
+  return doc;
+}
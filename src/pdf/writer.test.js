@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createPdf, pdfString } from "./writer.js";
+
+const decode = (bytes) => String.fromCharCode(...bytes);
+
+test("xref offsets point at their objects", () => {
+  const doc = createPdf();
+  doc.text(40, 60, "Page one", { bold: true });
+  doc.addPage().line(40, 40, 200, 40, { dash: [4, 2] });
+  const pdf = decode(doc.output());
+
+  assert.ok(pdf.startsWith("%PDF-1.4"));
+  assert.ok(pdf.trimEnd().endsWith("%%EOF"));
+  assert.match(pdf, /\/Count 2/);
+
+  const xrefAt = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  assert.ok(pdf.startsWith("xref", xrefAt));
+  const entries = pdf.slice(xrefAt).split("\n").slice(3).filter((l) => l.endsWith(" n "));
+  entries.forEach((line, i) => {
+    assert.ok(pdf.startsWith(`${i + 1} 0 obj`, Number(line.slice(0, 10))), `object ${i + 1}`);
+  });
+});
+
+test("stream lengths match their content", () => {
+  const doc = createPdf();
+  doc.text(40, 60, "Balance (after) \\ fees");
+  const pdf = decode(doc.output());
+  const m = /<< \/Length (\d+) >>\nstream\n/.exec(pdf);
+  const start = m.index + m[0].length;
+  assert.equal(pdf.indexOf("\nendstream", start) - start, Number(m[1]));
+});
+
+test("strings are escaped and mapped to WinAnsi", () => {
+  assert.equal(pdfString("a (b) \\ c"), "a \\(b\\) \\\\ c");
+  assert.equal(pdfString("Visa → paid"), "Visa -> paid");
+  assert.equal(pdfString("it’s"), "it\x92s");
+  assert.equal(pdfString("日本"), "??");
+});
@@ -0,0 +1,231 @@
+import { ACCRUAL_MODES, FEE_KINDS, FREQUENCIES, PAY_FREQUENCIES, parseIsoDate, parseMonth } from "../engine/index.js";
+
+/**
+ * Plan files: the user's inputs as a portable, versioned JSON document.
+ *
+ *  {
+ *    format: "clearpath-plan",
+ *    schema_version: 2,
+ *    exported_at: ISO string,
+ *    plan: { debts, paycheques, bills, monthlyPayment, goal, paymentMode,
+ *            paymentSchedule, customOrder, hybridThreshold, accrualMode,
+ *            planStart, payCalendar, windfalls }
+ *  }
+ *
+ * Plan fields use the app's state shapes (see DEFAULTS in App.jsx); numeric
+ * form fields may be "" for a blank input.
+ *
+ * Schema history:
+ *  1. The unversioned localStorage object: income and bills as [{ amount }]
+ *     (monthly), debts possibly without an id, no plan start, pay calendar
+ *     or windfalls.
+ *  2. Income and bills as [{ label, amount, frequency }].
+ */
+export const PLAN_FORMAT = "clearpath-plan";
+export const PLAN_SCHEMA_VERSION = 2;
+
+export const PLAN_FIELDS = [
+  "debts",
+  "paycheques",
+  "bills",
+  "monthlyPayment",
+  "goal",
+  "paymentMode",
+  "paymentSchedule",
+  "customOrder",
+  "hybridThreshold",
+  "accrualMode",
+  "planStart",
+  "payCalendar",
+  "windfalls",
+];
+
+const GOALS = ["speed", "interest", "stick"];
+const PAYMENT_MODES = ["fixed", "schedule"];
+const DEBT_TYPES = ["credit_card", "loan", "loc", "other"];
+const FREQUENCY_IDS = FREQUENCIES.map((f) => f.id);
+
+/** migrations[n] turns a version-n plan into a version n+1 plan. */
+const MIGRATIONS = {
+  1: (plan) => {
+    const cashFlow = (entries, label) =>
+      Array.isArray(entries)
+        ? entries.map((e) => {
+            const entry = e && typeof e === "object" ? e : { amount: e };
+            return { label: entry.label ?? label, amount: entry.amount ?? "", frequency: entry.frequency || "monthly" };
+          })
+        : entries;
+    const used = new Set((Array.isArray(plan.debts) ? plan.debts : []).map((d) => d?.id).filter(Boolean));
+    const legacyId = (i) => {
+      let id = `legacy_${i + 1}`;
+      while (used.has(id)) id = `${id}_`;
+      used.add(id);
+      return id;
+    };
+    const debts = Array.isArray(plan.debts)
+      ? plan.debts.map((d, i) => (d && typeof d === "object" && !d.id ? { ...d, id: legacyId(i) } : d))
+      : plan.debts;
+    return {
+      ...plan,
+      debts,
+      paycheques: cashFlow(plan.paycheques, "Paycheque"),
+      bills: cashFlow(plan.bills, "Bills"),
+    };
+  },
+};
+
+/** Bring a plan from `version` up to PLAN_SCHEMA_VERSION. */
+export function migratePlan(plan, version) {
+  let out = plan;
+  for (let v = version; v < PLAN_SCHEMA_VERSION; v++) out = MIGRATIONS[v](out);
+  return out;
+}
+
+/** Keep only the plan fields (drops UI state such as export status). */
+export function pickPlan(state) {
+  return Object.fromEntries(PLAN_FIELDS.filter((k) => state[k] !== undefined).map((k) => [k, state[k]]));
+}
+
+/** Serialize the plan inputs to the file's JSON text. */
+export function serializePlan(state, exportedAt = new Date().toISOString()) {
+  const file = {
+    format: PLAN_FORMAT,
+    schema_version: PLAN_SCHEMA_VERSION,
+    exported_at: exportedAt,
+    plan: pickPlan(state),
+  };
+  return `${JSON.stringify(file, null, 2)}\n`;
+}
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const isNum = (v, min = -Infinity) => typeof v === "number" && Number.isFinite(v) && v >= min;
+const isAmount = (v) => v === "" || v == null || isNum(v, 0);
+
+/**
+ * Check a current-version plan. Only `debts` is required; other fields are
+ * checked when present. Returns "path: problem" strings; empty when valid.
+ */
+export function validatePlan(plan) {
+  const errors = [];
+  const check = (ok, path, problem) => {
+    if (!ok) errors.push(`${path}: ${problem}`);
+  };
+  const list = (key, fn) => {
+    if (plan[key] === undefined) return;
+    if (!Array.isArray(plan[key])) errors.push(`${key}: must be a list`);
+    else plan[key].forEach((item, i) => (isObj(item) ? fn(item, `${key}[${i}]`) : errors.push(`${key}[${i}]: must be an object`)));
+  };
+
+  if (!isObj(plan)) return ["plan: must be an object"];
+
+  if (!Array.isArray(plan.debts) || !plan.debts.length) errors.push("debts: must be a non-empty list");
+  list("debts", (d, at) => {
+    check(typeof d.id === "string" && d.id !== "", `${at}.id`, "must be a non-empty string");
+    check(d.name == null || typeof d.name === "string", `${at}.name`, "must be text");
+    check(d.type == null || DEBT_TYPES.includes(d.type), `${at}.type`, `must be one of ${DEBT_TYPES.join(", ")}`);
+    check(isAmount(d.balance), `${at}.balance`, "must be a number >= 0");
+    check(isAmount(d.interest_rate), `${at}.interest_rate`, "must be a number >= 0");
+    check(isAmount(d.min_override_amount), `${at}.min_override_amount`, "must be a number >= 0");
+    check(d.rate_changes == null || Array.isArray(d.rate_changes), `${at}.rate_changes`, "must be a list");
+    if (d.fees != null) {
+      if (!Array.isArray(d.fees)) errors.push(`${at}.fees: must be a list`);
+      else
+        d.fees.forEach((f, j) =>
+          check(FEE_KINDS.includes(f?.kind), `${at}.fees[${j}].kind`, `must be one of ${FEE_KINDS.join(", ")}`)
+        );
+    }
+  });
+  if (Array.isArray(plan.debts)) {
+    const ids = plan.debts.map((d) => d?.id);
+    ids.forEach((id, i) => check(ids.indexOf(id) === i, `debts[${i}].id`, "is a duplicate"));
+  }
+
+  for (const key of ["paycheques", "bills"]) {
+    list(key, (e, at) => {
+      check(isAmount(e.amount), `${at}.amount`, "must be a number >= 0");
+      check(FREQUENCY_IDS.includes(e.frequency), `${at}.frequency`, `must be one of ${FREQUENCY_IDS.join(", ")}`);
+    });
+  }
+
+  check(isAmount(plan.monthlyPayment), "monthlyPayment", "must be a number >= 0");
+  check(plan.goal === undefined || GOALS.includes(plan.goal), "goal", `must be one of ${GOALS.join(", ")}`);
+  check(
+    plan.paymentMode === undefined || PAYMENT_MODES.includes(plan.paymentMode),
+    "paymentMode",
+    `must be one of ${PAYMENT_MODES.join(", ")}`
+  );
+  check(
+    plan.accrualMode === undefined || ACCRUAL_MODES.includes(plan.accrualMode),
+    "accrualMode",
+    `must be one of ${ACCRUAL_MODES.join(", ")}`
+  );
+  check(isAmount(plan.hybridThreshold), "hybridThreshold", "must be a number >= 0");
+  check(
+    plan.customOrder === undefined || (Array.isArray(plan.customOrder) && plan.customOrder.every((id) => typeof id === "string")),
+    "customOrder",
+    "must be a list of debt ids"
+  );
+  check(!plan.planStart || !!parseMonth(plan.planStart), "planStart", "must be YYYY-MM");
+
+  list("paymentSchedule", (row, at) => {
+    check(Number.isInteger(row.month) && row.month >= 1, `${at}.month`, "must be a whole number >= 1");
+    check(isAmount(row.amount), `${at}.amount`, "must be a number >= 0");
+    if (row.allocations != null) {
+      if (!isObj(row.allocations)) errors.push(`${at}.allocations: must be an object`);
+      else
+        for (const [id, v] of Object.entries(row.allocations)) check(isAmount(v), `${at}.allocations.${id}`, "must be a number >= 0");
+    }
+    if (row.locked != null) {
+      if (!isObj(row.locked)) errors.push(`${at}.locked: must be an object`);
+      else for (const [id, v] of Object.entries(row.locked)) check(typeof v === "boolean", `${at}.locked.${id}`, "must be true or false");
+    }
+  });
+
+  if (plan.payCalendar !== undefined) {
+    const c = plan.payCalendar;
+    if (!isObj(c)) errors.push("payCalendar: must be an object");
+    else {
+      check(!c.frequency || PAY_FREQUENCIES.includes(c.frequency), "payCalendar.frequency", `must be one of ${PAY_FREQUENCIES.join(", ")}`);
+      check(!c.start_date || !!parseIsoDate(c.start_date), "payCalendar.start_date", "must be YYYY-MM-DD");
+    }
+  }
+
+  list("windfalls", (w, at) => {
+    check(w.month === "" || isNum(w.month, 1), `${at}.month`, "must be a number >= 1"); // "" while being typed
+    check(isAmount(w.amount), `${at}.amount`, "must be a number >= 0");
+  });
+
+  return errors;
+}
+
+/**
+ * Read a plan file: parse, check the envelope, migrate to the current schema
+ * and validate. An unversioned object is read as schema 1 (a raw copy of the
+ * app's saved state).
+ *
+ * Returns { plan, version, errors }; `plan` is null when errors is non-empty.
+ */
+export function parsePlanFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    return { plan: null, version: null, errors: ["file: not valid JSON"] };
+  }
+  if (!isObj(file)) return { plan: null, version: null, errors: ["file: must be a JSON object"] };
+
+  const versioned = file.schema_version !== undefined;
+  const version = versioned ? file.schema_version : 1;
+  const errors = [];
+
+  if (versioned && file.format !== PLAN_FORMAT) errors.push(`format: must be "${PLAN_FORMAT}"`);
+  if (!Number.isInteger(version) || version < 1) errors.push("schema_version: must be a whole number >= 1");
+  else if (version > PLAN_SCHEMA_VERSION)
+    errors.push(`schema_version: ${version} is newer than this app supports (${PLAN_SCHEMA_VERSION})`);
+  if (versioned && !isObj(file.plan)) errors.push("plan: must be an object");
+  if (errors.length) return { plan: null, version, errors };
+
+  const plan = migratePlan(pickPlan(versioned ? file.plan : file), version);
+  const planErrors = validatePlan(plan);
+  return planErrors.length ? { plan: null, version, errors: planErrors } : { plan, version, errors: [] };
+}
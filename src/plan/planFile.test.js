@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { PLAN_SCHEMA_VERSION, parsePlanFile, serializePlan, validatePlan } from "./planFile.js";
+
+const STATE = {
+  debts: [
+    { id: "d1", name: "Visa", type: "credit_card", balance: 4000, interest_rate: 29.99, fees: [{ kind: "annual", amount: 99 }] },
+    { id: "d2", name: "Loan", type: "loan", balance: "", interest_rate: 7.99 },
+  ],
+  paycheques: [{ label: "Job", amount: 2100, frequency: "biweekly" }],
+  bills: [{ label: "Rent", amount: 1400, frequency: "monthly" }],
+  monthlyPayment: 1500,
+  goal: "interest",
+  paymentMode: "schedule",
+  paymentSchedule: [{ month: 1, amount: 1500, allocations: { 0: 600 } }],
+  customOrder: ["d2", "d1"],
+  hybridThreshold: 1000,
+  accrualMode: "daily_balance",
+  planStart: "2027-03",
+  payCalendar: { frequency: "biweekly", start_date: "2027-03-05" },
+  windfalls: [{ id: "w1", label: "Refund", month: 4, amount: 800, debt_uid: "d1" }],
+  // UI state is not part of the plan
+  status: "success",
+  lastUpdated: "2027-03-01T00:00:00.000Z",
+};
+
+test("a saved plan reads back unchanged, without UI state", () => {
+  const text = serializePlan(STATE, "2027-03-01T00:00:00.000Z");
+  const file = JSON.parse(text);
+  assert.equal(file.format, "clearpath-plan");
+  assert.equal(file.schema_version, PLAN_SCHEMA_VERSION);
+  assert.equal(file.plan.status, undefined);
+
+  const { plan, version, errors } = parsePlanFile(text);
+  assert.deepEqual(errors, []);
+  assert.equal(version, PLAN_SCHEMA_VERSION);
+  const expected = { ...STATE };
+  delete expected.status;
+  delete expected.lastUpdated;
+  assert.deepEqual(plan, expected);
+});
+
+test("what the form allows while typing survives download then open", () => {
+  const typing = {
+    ...STATE,
+    debts: [
+      ...STATE.debts,
+      // a just-added debt (emptyDebt in App.jsx)
+      {
+        id: "d3",
+        name: "",
+        type: "credit_card",
+        balance: "",
+        interest_rate: "",
+        min_override_enabled: false,
+        min_override_amount: "",
+        min_formula: "auto",
+        min_fixed_amount: "",
+        promo_enabled: false,
+        promo_rate: 0,
+        promo_end_month: 12,
+        promo_deferred: false,
+        rate_changes: [],
+        statement_day: 1,
+        payment_day: 22,
+        original_term: "",
+        remaining_months: "",
+        contractual_payment: "",
+        fees: [],
+        late_fee: "",
+      },
+    ],
+    paycheques: [{ label: "", amount: "", frequency: "monthly" }],
+    monthlyPayment: "",
+    hybridThreshold: "",
+    planStart: "",
+    payCalendar: { frequency: "", start_date: "" },
+    windfalls: [{ id: "w1", label: "", month: "", amount: "", debt_uid: "" }],
+  };
+
+  const { plan, errors } = parsePlanFile(serializePlan(typing));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(plan.debts, typing.debts);
+  assert.deepEqual(plan.windfalls, typing.windfalls);
+});
+
+test("an unversioned v1 save is migrated to monthly cash flow entries", () => {
+  const v1 = {
+    debts: STATE.debts,
+    paycheques: [{ amount: 5300 }],
+    bills: [{ amount: 2700 }, 300],
+    monthlyPayment: 1500,
+    status: "idle",
+  };
+  const { plan, version, errors } = parsePlanFile(JSON.stringify(v1));
+
+  assert.deepEqual(errors, []);
+  assert.equal(version, 1);
+  assert.deepEqual(plan.paycheques, [{ label: "Paycheque", amount: 5300, frequency: "monthly" }]);
+  assert.deepEqual(plan.bills, [
+    { label: "Bills", amount: 2700, frequency: "monthly" },
+    { label: "Bills", amount: 300, frequency: "monthly" },
+  ]);
+  assert.equal(plan.status, undefined);
+});
+
+test("malformed files are rejected with field-level errors", () => {
+  assert.deepEqual(parsePlanFile("{nope").errors, ["file: not valid JSON"]);
+  assert.deepEqual(parsePlanFile("[]").errors, ["file: must be a JSON object"]);
+
+  const future = JSON.stringify({ format: "clearpath-plan", schema_version: 99, plan: {} });
+  assert.match(parsePlanFile(future).errors[0], /^schema_version: 99 is newer/);
+
+  const bad = JSON.parse(serializePlan(STATE));
+  bad.plan.debts[1].id = "d1";
+  bad.plan.debts[0].balance = "lots";
+  bad.plan.bills[0].frequency = "fortnightly";
+  bad.plan.paymentSchedule[0].month = 0;
+  bad.plan.goal = "fastest";
+  bad.plan.payCalendar.start_date = "next friday";
+
+  const { plan, errors } = parsePlanFile(JSON.stringify(bad));
+  assert.equal(plan, null);
+  assert.deepEqual(errors, [
+    "debts[0].balance: must be a number >= 0",
+    "debts[1].id: is a duplicate",
+    "bills[0].frequency: must be one of weekly, biweekly, semi_monthly, monthly, annual",
+    "goal: must be one of speed, interest, stick",
+    "paymentSchedule[0].month: must be a whole number >= 1",
+    "payCalendar.start_date: must be YYYY-MM-DD",
+  ]);
+});
+
+test("debts are required", () => {
+  assert.deepEqual(validatePlan({ debts: [] }), ["debts: must be a non-empty list"]);
+  assert.deepEqual(validatePlan({}), ["debts: must be a non-empty list"]);
+});
@@ -0,0 +1,87 @@
+import { calendarMonth, round2 } from "../engine/index.js";
+
+/**
+ * Named scenarios: saved copies of the plan inputs ("Current plan",
+ * "+$200 a month", ...) the user can switch between and compare.
+ *
+ *  { id, name, plan }   // plan: plan fields, see planFile.js
+ */
+
+/** Pick the result to compare: the plan's winner for "best", else the strategy id. */
+function pickResult(sim, strategy) {
+  const id = strategy === "best" ? sim.winner : strategy;
+  return sim.results.find((r) => r.strategy === id) || null;
+}
+
+function summary(sim, result) {
+  return {
+    strategy: result.strategy,
+    label: result.label,
+    monthsToDebtFree: result.monthsToDebtFree,
+    paidOff: result.paidOff,
+    debtFreeMonth: result.paidOff ? calendarMonth(sim.startMonth, result.monthsToDebtFree) : null,
+    totalInterest: result.totalInterest,
+    totalFees: result.totalFees || 0,
+  };
+}
+
+/**
+ * Compare two simulated plans (simulatePlan output) under one strategy, or
+ * each plan's own winner with strategy "best". Differences are B - A, so a
+ * negative number means B is sooner / cheaper.
+ *
+ * Debts are matched by their form id (uid); a debt in only one scenario has
+ * null on the other side. A plan or debt that never pays off has no payoff
+ * month, and month differences involving it are null.
+ *
+ * Returns null when either side has no result for the strategy.
+ */
+export function compareScenarios(simA, simB, strategy = "best") {
+  const resA = simA && pickResult(simA, strategy);
+  const resB = simB && pickResult(simB, strategy);
+  if (!resA || !resB) return null;
+
+  const payoffs = (sim, result) =>
+    new Map(
+      result.perDebt.map((pd) => {
+        const debt = sim.debts.find((d) => d.id === pd.id);
+        return [
+          debt.uid,
+          {
+            name: pd.name,
+            payoffMonth: pd.paidOff ? pd.payoffMonth : null,
+            payoffCalendarMonth: pd.paidOff ? calendarMonth(sim.startMonth, pd.payoffMonth) : null,
+            interestPaid: pd.interestPaid,
+          },
+        ];
+      })
+    );
+  const byUidA = payoffs(simA, resA);
+  const byUidB = payoffs(simB, resB);
+
+  const uids = [...byUidA.keys(), ...[...byUidB.keys()].filter((uid) => !byUidA.has(uid))];
+  const debts = uids.map((uid) => {
+    const a = byUidA.get(uid) || null;
+    const b = byUidB.get(uid) || null;
+    const both = a && b && a.payoffMonth && b.payoffMonth;
+    return {
+      uid,
+      name: (b || a).name,
+      a,
+      b,
+      monthsDiff: both ? b.payoffMonth - a.payoffMonth : null,
+      interestDiff: a && b ? round2(b.interestPaid - a.interestPaid) : null,
+    };
+  });
+
+  const a = summary(simA, resA);
+  const b = summary(simB, resB);
+  return {
+    a,
+    b,
+    monthsDiff: a.paidOff && b.paidOff ? b.monthsToDebtFree - a.monthsToDebtFree : null,
+    interestDiff: round2(b.totalInterest - a.totalInterest),
+    feesDiff: round2(b.totalFees - a.totalFees),
+    debts,
+  };
+}
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_HYBRID_THRESHOLD } from "../engine/index.js";
+import { compareScenarios } from "./scenarios.js";
+import { simulatePlan } from "./simulatePlan.js";
+
+const BASE = {
+  debts: [
+    { id: "visa", name: "Visa", type: "credit_card", balance: 6000, interest_rate: 29.99 },
+    { id: "loan", name: "Loan", type: "loan", balance: 4000, interest_rate: 7.99 },
+  ],
+  monthlyPayment: 700,
+  goal: "interest",
+  paymentMode: "fixed",
+  paymentSchedule: [],
+  planStart: "2027-01",
+  windfalls: [],
+};
+
+test("simulatePlan runs every strategy and picks the plan's winner", () => {
+  const sim = simulatePlan(BASE);
+  assert.equal(sim.startMonth, "2027-01");
+  assert.ok(sim.results.length >= 2);
+  assert.equal(sim.winner, "avalanche");
+  assert.deepEqual(sim.debts.map((d) => d.uid), ["visa", "loan"]);
+});
+
+test("simulatePlan runs with the options it reports; a missing hybrid threshold uses the engine default", () => {
+  const sim = simulatePlan({ ...BASE, customOrder: ["loan", "visa"] });
+  assert.deepEqual(sim.options, {
+    customOrder: [1, 0],
+    hybridThreshold: DEFAULT_HYBRID_THRESHOLD,
+    accrual: undefined,
+    startMonth: "2027-01",
+  });
+  assert.ok(sim.results.every((r) => r.label && r.description && r.stickiness));
+});
+
+test("simulatePlan returns null with no balances or an over-budget first month", () => {
+  assert.equal(simulatePlan({ ...BASE, debts: [{ id: "x", balance: 0 }] }), null);
+  const schedule = [{ month: 1, amount: 100, allocations: { 0: 500 } }];
+  assert.equal(simulatePlan({ ...BASE, paymentMode: "schedule", paymentSchedule: schedule }), null);
+});
+
+test("paying $200 more finishes sooner and cheaper, per debt too", () => {
+  const a = simulatePlan(BASE);
+  const b = simulatePlan({ ...BASE, monthlyPayment: 900 });
+  const cmp = compareScenarios(a, b, "avalanche");
+
+  assert.equal(cmp.a.strategy, "avalanche");
+  assert.ok(cmp.monthsDiff < 0);
+  assert.ok(cmp.interestDiff < 0);
+  assert.equal(cmp.monthsDiff, cmp.b.monthsToDebtFree - cmp.a.monthsToDebtFree);
+  assert.match(cmp.a.debtFreeMonth, /^20\d\d-\d\d$/);
+
+  assert.deepEqual(cmp.debts.map((d) => d.uid), ["visa", "loan"]);
+  for (const d of cmp.debts) {
+    assert.ok(d.monthsDiff <= 0, d.name);
+    assert.ok(d.interestDiff <= 0, d.name);
+  }
+});
+
+test("debts in only one scenario are listed with the other side empty", () => {
+  const a = simulatePlan(BASE);
+  const b = simulatePlan({
+    ...BASE,
+    debts: [BASE.debts[1], { id: "car", name: "Car", type: "loan", balance: 3000, interest_rate: 5 }],
+  });
+  const cmp = compareScenarios(a, b);
+
+  const visa = cmp.debts.find((d) => d.uid === "visa");
+  const car = cmp.debts.find((d) => d.uid === "car");
+  assert.equal(visa.b, null);
+  assert.equal(visa.monthsDiff, null);
+  assert.equal(car.a, null);
+  assert.equal(car.b.name, "Car");
+  assert.equal(cmp.debts.length, 3);
+});
+
+test("no comparison without both results", () => {
+  assert.equal(compareScenarios(simulatePlan(BASE), null), null);
+  assert.equal(compareScenarios(simulatePlan(BASE), simulatePlan(BASE), "nope"), null);
+});
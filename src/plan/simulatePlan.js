@@ -0,0 +1,172 @@
+import {
+  DEFAULT_HYBRID_THRESHOLD,
+  aprForMonth,
+  clampNumber,
+  computeMonthlyMinimumDynamic,
+  getLoanTerms,
+  getPaymentPlanFn,
+  listStrategies,
+  parseMonth,
+  pickWinner,
+  round2,
+  scheduledFeesForMonth,
+  scoreStickiness,
+  simulateStrategy,
+  withPayCalendar,
+  withWindfalls,
+} from "../engine/index.js";
+
+/**
+ * From plan inputs (the app's form state, see planFile.js) to engine inputs.
+ * The app and scenario comparisons share these so a saved scenario simulates
+ * exactly like the same inputs on screen.
+ */
+
+/**
+ * Map a debt's form fields to the engine's rate inputs
+ * (promo / rate_changes, plus statement/payment days for daily-balance accrual).
+ */
+export function rateScheduleOf(d) {
+  return {
+    interest_rate: Math.max(0, clampNumber(d.interest_rate, 0)),
+    promo: d.promo_enabled
+      ? {
+          rate: Math.max(0, clampNumber(d.promo_rate, 0)),
+          end_month: Math.max(1, Math.floor(clampNumber(d.promo_end_month, 1))),
+          deferred: !!d.promo_deferred,
+        }
+      : null,
+    rate_changes: d.rate_changes || [],
+    statement_day: d.statement_day,
+    payment_day: d.payment_day,
+  };
+}
+
+/** Form debts -> EngineDebts with a balance (id = list position, uid = form id). */
+export function toEngineDebts(debts) {
+  return (debts || [])
+    .map((d, idx) => ({
+      id: idx,
+      uid: d.id, // stable id for custom priority (engine ids are list positions)
+      name: (d.name || "").trim() || "Debt",
+      type: d.type || "other",
+      balance: Math.max(0, clampNumber(d.balance, 0)),
+      ...rateScheduleOf(d),
+
+      // installment loans amortize at the contract payment
+      original_term: d.original_term,
+      remaining_months: d.remaining_months,
+      contractual_payment: d.contractual_payment,
+
+      min_formula: d.min_formula,
+      min_fixed_amount: d.min_fixed_amount,
+
+      fees: d.fees || [],
+      late_fee: d.late_fee,
+
+      // override is a FLOOR
+      min_floor_enabled: !!d.min_override_enabled,
+      min_floor: Math.max(0, clampNumber(d.min_override_amount, 0)),
+    }))
+    .filter((d) => d.balance > 0);
+}
+
+/**
+ * Month-1 minimum of an EngineDebt: at the month-1 rate (intro promos lower
+ * it), never below the override floor, with the loan payment and fees.
+ * Affordability checks and Survival Mode both use it.
+ */
+export function month1Minimum(d) {
+  return round2(
+    computeMonthlyMinimumDynamic(
+      {
+        type: d.type,
+        interest_rate: aprForMonth(d, 1),
+        min_floor_enabled: d.min_floor_enabled,
+        min_floor: d.min_floor,
+        contractual_payment: getLoanTerms(d)?.payment,
+        min_formula: d.min_formula,
+        min_fixed_amount: d.min_fixed_amount,
+        fees_this_month: scheduledFeesForMonth(d, 1, d.balance),
+      },
+      d.balance
+    )
+  );
+}
+
+/**
+ * Sort active debts by the user's custom priority (list of debt uids).
+ * Debts not ranked yet (e.g. newly added) keep their list position at the end.
+ */
+export function orderDebtsByPriority(activeDebts, customOrder) {
+  const order = customOrder || [];
+  const rank = (d) => {
+    const i = order.indexOf(d.uid);
+    return i === -1 ? order.length : i;
+  };
+  return activeDebts
+    .map((d, i) => ({ d, i }))
+    .sort((a, b) => rank(a.d) - rank(b.d) || a.i - b.i)
+    .map((x) => x.d);
+}
+
+/** "YYYY-MM" of month 1: the plan start, or the current month when unset. */
+export function planStartMonthOf(planStart, now = new Date()) {
+  if (parseMonth(planStart)) return planStart.slice(0, 7);
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+}
+
+/** Regular payments (fixed or schedule), paid on the pay calendar if one is set. No windfalls. */
+export function planPaymentFn(plan, engineDebts, startMonth) {
+  const monthlyPayment = Math.max(0, clampNumber(plan.monthlyPayment, 0));
+  return withPayCalendar(getPaymentPlanFn(plan.paymentMode, monthlyPayment, plan.paymentSchedule, engineDebts), {
+    ...plan.payCalendar,
+    plan_start: startMonth,
+  });
+}
+
+/** Windfalls pin to debts by stable id; the engine uses list positions. */
+export function toEngineWindfalls(windfalls, engineDebts) {
+  return (windfalls || []).map((w) => ({
+    label: (w.label || "").trim() || "Windfall",
+    month: w.month,
+    amount: w.amount,
+    debt_id: w.debt_uid ? engineDebts.find((d) => d.uid === w.debt_uid)?.id ?? null : null,
+  }));
+}
+
+/**
+ * simulateStrategy options for the plan's custom order, hybrid threshold
+ * (DEFAULT_HYBRID_THRESHOLD when unset) and accrual.
+ */
+export function planSimulationOptions(plan, engineDebts) {
+  return {
+    customOrder: orderDebtsByPriority(engineDebts, plan.customOrder).map((d) => d.id),
+    hybridThreshold: Math.max(0, clampNumber(plan.hybridThreshold, DEFAULT_HYBRID_THRESHOLD)),
+    accrual: plan.accrualMode,
+  };
+}
+
+/**
+ * Run every registered strategy on a plan: the one pipeline behind the app's
+ * results, exports and scenario comparisons. Returns
+ * { debts, startMonth, options, results (with label, description, stickiness), winner }
+ * or null when there is no debt to pay or any month is over budget (the
+ * results would be partial).
+ */
+export function simulatePlan(plan, { now } = {}) {
+  const debts = toEngineDebts(plan.debts);
+  if (!debts.length) return null;
+
+  const startMonth = planStartMonthOf(plan.planStart, now);
+  const planFn = withWindfalls(planPaymentFn(plan, debts, startMonth), toEngineWindfalls(plan.windfalls, debts));
+  const options = { ...planSimulationOptions(plan, debts), startMonth };
+
+  const results = listStrategies().map((s) => {
+    const result = simulateStrategy(s.id, debts, planFn, options);
+    return { ...result, label: s.label, description: s.description, stickiness: scoreStickiness(result) };
+  });
+  if (results.some((r) => r.timeline?.some((t) => t.invalid))) return null;
+
+  return { debts, startMonth, options, results, winner: pickWinner(plan.goal, results) };
+}
@@ -0,0 +1,177 @@
+import { PLAN_FIELDS, PLAN_SCHEMA_VERSION, migratePlan, validatePlan } from "./planFile.js";
+
+/**
+ * Saved app state in localStorage: the plan fields (see planFile.js) plus a
+ * little UI state, tagged with the plan schema version.
+ *
+ *  { schema_version, ...plan, scenarios, activeScenarioId,
+ *    lastUpdated, status, statusMessage, showDonate }
+ *
+ * scenarios: [{ id, name, plan }] (see scenarios.js); their plans
+ * share the schema version and are migrated and validated the same way.
+ *
+ * Objects saved before versioning have no schema_version and read as
+ * schema 1. The key keeps its old name so existing saves are found.
+ */
+export const STORAGE_KEY = "clearpath_debt_inputs_v1";
+
+/** Where the original text goes when a load had to repair or discard it. */
+export const BACKUP_KEY = "clearpath_debt_inputs_backup";
+
+const UI_FIELDS = {
+  lastUpdated: (v) => v === null || typeof v === "string",
+  status: (v) => ["idle", "success", "error"].includes(v),
+  statusMessage: (v) => typeof v === "string",
+  showDonate: (v) => typeof v === "boolean",
+};
+
+// Blank values for list-entry fields, so one bad value doesn't cost the whole entry
+const ENTRY_RESETS = {
+  name: "",
+  type: "other",
+  balance: "",
+  interest_rate: "",
+  min_override_amount: "",
+  rate_changes: [],
+  fees: [],
+  amount: "",
+  frequency: "monthly",
+  month: "",
+};
+
+// "debts[2].balance: ..." -> ["debts", 2, "balance"]; "goal: ..." -> ["goal", null, null]
+function errorTarget(error) {
+  const m = /^(\w+)(?:\[(\d+)\](?:\.(\w+))?)?/.exec(error);
+  return [m[1], m[2] === undefined ? null : Number(m[2]), m[3] ?? null];
+}
+
+/**
+ * Validate a plan and fix what's broken: bad fields on list entries are
+ * blanked (ENTRY_RESETS), entries still broken after that are dropped, and
+ * other bad fields fall back to `defaults[field]`.
+ * Returns { plan, repairs, debtsReset } (debtsReset: no usable debt was left).
+ */
+function repairPlan(input, defaults) {
+  const plan = { ...input };
+  const repairs = [];
+
+  for (const error of validatePlan(plan)) {
+    const [field, index, key] = errorTarget(error);
+    const entry = index !== null && Array.isArray(plan[field]) ? plan[field][index] : null;
+    if (!entry || typeof entry !== "object" || !Object.hasOwn(ENTRY_RESETS, key)) continue;
+    if (entry[key] === ENTRY_RESETS[key]) continue; // already cleared for an earlier error
+    plan[field] = plan[field].with(index, { ...entry, [key]: ENTRY_RESETS[key] });
+    repairs.push(`Cleared ${field}[${index}].${key} (${error}).`);
+  }
+
+  const dropped = new Map(); // field -> Set of indexes
+  const reset = new Map(); // field -> first error
+  for (const error of validatePlan(plan)) {
+    const [field, index] = errorTarget(error);
+    if (index !== null && Array.isArray(plan[field])) {
+      if (!dropped.has(field)) dropped.set(field, new Set());
+      if (!dropped.get(field).has(index)) repairs.push(`Removed ${field}[${index}] (${error}).`);
+      dropped.get(field).add(index);
+    } else if (!reset.has(field)) {
+      reset.set(field, error);
+    }
+  }
+  for (const [field, indexes] of dropped) {
+    plan[field] = plan[field].filter((_, i) => !indexes.has(i));
+    if (field === "debts" && !plan.debts.length) reset.set("debts", "debts: no usable debts left");
+  }
+  for (const [field, error] of reset) {
+    if (!PLAN_FIELDS.includes(field)) continue;
+    plan[field] = defaults[field];
+    repairs.push(`Reset ${field} to its default (${error}).`);
+  }
+
+  return { plan, repairs, debtsReset: reset.has("debts") };
+}
+
+/** Tag the state with the schema version for saving. */
+export function toStoredState(state) {
+  return { schema_version: PLAN_SCHEMA_VERSION, ...state };
+}
+
+/**
+ * Read the saved text: migrate it to the current schema, then validate and
+ * repair it (see repairPlan), so one broken value doesn't lose the whole
+ * plan. Saved scenarios are repaired the same way.
+ *
+ * Returns { state, repairs, discarded }:
+ *  - state: the repaired state (fields missing from the save stay missing),
+ *    or null when nothing usable was saved
+ *  - repairs: one message per change made, for the recovery notice
+ *  - discarded: true when the saved data could not be used at all
+ */
+export function readStoredState(raw, defaults) {
+  if (raw == null || raw === "") return { state: null, repairs: [], discarded: false };
+
+  const discard = (reason) => ({ state: null, repairs: [reason], discarded: true });
+
+  let saved;
+  try {
+    saved = JSON.parse(raw);
+  } catch {
+    return discard("Saved data was not valid JSON and could not be loaded.");
+  }
+  if (!saved || typeof saved !== "object" || Array.isArray(saved)) {
+    return discard("Saved data was not an object and could not be loaded.");
+  }
+
+  const version = saved.schema_version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    return discard(`Saved data has an unknown schema version (${JSON.stringify(version)}).`);
+  }
+  if (version > PLAN_SCHEMA_VERSION) {
+    return discard(`Saved data is from a newer version of the app (schema ${version}).`);
+  }
+
+  const migrated = { ...migratePlan(saved, version) };
+  delete migrated.schema_version;
+  const { plan: state, repairs } = repairPlan(migrated, defaults);
+
+  if (state.scenarios !== undefined) {
+    if (!Array.isArray(state.scenarios)) {
+      repairs.push("Removed saved scenarios (scenarios: must be a list).");
+      delete state.scenarios;
+    } else {
+      state.scenarios = state.scenarios.flatMap((sc, i) => {
+        const problem =
+          !sc || typeof sc !== "object"
+            ? "must be an object"
+            : typeof sc.id !== "string" || !sc.id
+            ? "id: must be a non-empty string"
+            : typeof sc.name !== "string"
+            ? "name: must be text"
+            : !sc.plan || typeof sc.plan !== "object"
+            ? "plan: must be an object"
+            : null;
+        const label = JSON.stringify(sc?.name ?? i + 1);
+        if (problem) {
+          repairs.push(`Removed scenario ${label} (${problem}).`);
+          return [];
+        }
+
+        const plan = migratePlan(sc.plan, version);
+        const fixed = repairPlan(plan, defaults);
+        if (fixed.debtsReset) {
+          repairs.push(`Removed scenario ${label} (${validatePlan(plan)[0]}).`);
+          return [];
+        }
+        repairs.push(...fixed.repairs.map((r) => `Scenario ${label}: ${r}`));
+        return [{ ...sc, plan: fixed.plan }];
+      });
+    }
+  }
+  if (state.activeScenarioId != null && !(state.scenarios || []).some((sc) => sc.id === state.activeScenarioId)) {
+    state.activeScenarioId = null;
+  }
+
+  for (const [field, ok] of Object.entries(UI_FIELDS)) {
+    if (state[field] !== undefined && !ok(state[field])) delete state[field];
+  }
+
+  return { state, repairs, discarded: false };
+}
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { PLAN_SCHEMA_VERSION } from "./planFile.js";
+import { readStoredState, toStoredState } from "./storage.js";
+
+const DEFAULTS = {
+  debts: [{ id: "d1", name: "Default", type: "credit_card", balance: 1000, interest_rate: 20 }],
+  bills: [{ label: "Bills", amount: 2700, frequency: "monthly" }],
+  goal: "speed",
+  payCalendar: { frequency: "", start_date: "" },
+};
+
+const DEBTS = [
+  { id: "a", name: "Visa", type: "credit_card", balance: 4000, interest_rate: 29.99 },
+  { id: "b", name: "Loan", type: "loan", balance: 6000, interest_rate: 7.99 },
+];
+
+test("current saves load as-is and round-trip through toStoredState", () => {
+  const state = { debts: DEBTS, goal: "interest", status: "success", showDonate: true };
+  const raw = JSON.stringify(toStoredState(state));
+  assert.equal(JSON.parse(raw).schema_version, PLAN_SCHEMA_VERSION);
+
+  assert.deepEqual(readStoredState(raw, DEFAULTS), { state, repairs: [], discarded: false });
+});
+
+test("nothing saved yet is not a repair", () => {
+  assert.deepEqual(readStoredState(null, DEFAULTS), { state: null, repairs: [], discarded: false });
+});
+
+test("unversioned saves are migrated: ids backfilled, cash flow gets a frequency", () => {
+  const v1 = {
+    debts: [{ name: "Old card", balance: 500, interest_rate: 19 }, DEBTS[0]],
+    paycheques: [{ amount: 5300 }],
+  };
+  const { state, repairs } = readStoredState(JSON.stringify(v1), DEFAULTS);
+
+  assert.deepEqual(repairs, []);
+  assert.equal(state.debts[0].id, "legacy_1");
+  assert.equal(state.debts[1].id, "a");
+  assert.deepEqual(state.paycheques, [{ label: "Paycheque", amount: 5300, frequency: "monthly" }]);
+});
+
+test("broken entry values are cleared, broken entries dropped and broken fields reset, with a message each", () => {
+  const saved = toStoredState({
+    debts: [DEBTS[0], { ...DEBTS[1], balance: -100 }, { name: "No id", balance: 50 }],
+    bills: "oops",
+    goal: "fastest",
+    payCalendar: { frequency: "hourly", start_date: "" },
+    status: 42,
+  });
+  const { state, repairs, discarded } = readStoredState(JSON.stringify(saved), DEFAULTS);
+
+  assert.equal(discarded, false);
+  assert.deepEqual(state.debts, [DEBTS[0], { ...DEBTS[1], balance: "" }]);
+  assert.equal(state.bills, DEFAULTS.bills);
+  assert.equal(state.goal, "speed");
+  assert.equal(state.payCalendar, DEFAULTS.payCalendar);
+  assert.equal(state.status, undefined);
+  assert.deepEqual(repairs, [
+    "Cleared debts[1].balance (debts[1].balance: must be a number >= 0).",
+    "Removed debts[2] (debts[2].id: must be a non-empty string).",
+    "Reset bills to its default (bills: must be a list).",
+    "Reset goal to its default (goal: must be one of speed, interest, stick).",
+    "Reset payCalendar to its default (payCalendar.frequency: must be one of weekly, biweekly, semi_monthly, monthly).",
+  ]);
+});
+
+test("no usable debts falls back to the default debts", () => {
+  const saved = toStoredState({ debts: [{ name: "No id", balance: 100 }] });
+  const { state, repairs } = readStoredState(JSON.stringify(saved), DEFAULTS);
+
+  assert.equal(state.debts, DEFAULTS.debts);
+  assert.equal(repairs.length, 2);
+  assert.match(repairs[1], /^Reset debts to its default/);
+});
+
+test("unreadable or future saves are discarded", () => {
+  for (const raw of ["{not json", "[1,2]", JSON.stringify({ schema_version: PLAN_SCHEMA_VERSION + 1, debts: DEBTS })]) {
+    const { state, repairs, discarded } = readStoredState(raw, DEFAULTS);
+    assert.equal(state, null);
+    assert.equal(discarded, true);
+    assert.equal(repairs.length, 1);
+  }
+});
+
+test("saved scenarios are migrated, and broken ones dropped", () => {
+  const v1 = {
+    debts: DEBTS,
+    scenarios: [
+      { id: "s1", name: "Old", plan: { debts: DEBTS, bills: [{ amount: 100 }] } },
+      { id: "s2", name: "Broken", plan: { debts: [] } },
+      "junk",
+    ],
+    activeScenarioId: "s2",
+  };
+  const { state, repairs } = readStoredState(JSON.stringify(v1), DEFAULTS);
+
+  assert.deepEqual(state.scenarios.map((sc) => sc.id), ["s1"]);
+  assert.deepEqual(state.scenarios[0].plan.bills, [{ label: "Bills", amount: 100, frequency: "monthly" }]);
+  assert.equal(state.activeScenarioId, null);
+  assert.deepEqual(repairs, [
+    'Removed scenario "Broken" (debts: must be a non-empty list).',
+    "Removed scenario 3 (must be an object).",
+  ]);
+});
+
+test("a scenario with one bad value is kept with that value cleared", () => {
+  const saved = toStoredState({
+    debts: DEBTS,
+    scenarios: [{ id: "s1", name: "Typo", plan: { debts: [DEBTS[0], { ...DEBTS[1], interest_rate: -7.99 }], goal: "fastest" } }],
+    activeScenarioId: "s1",
+  });
+  const { state, repairs } = readStoredState(JSON.stringify(saved), DEFAULTS);
+
+  assert.deepEqual(state.scenarios[0].plan, { debts: [DEBTS[0], { ...DEBTS[1], interest_rate: "" }], goal: "speed" });
+  assert.equal(state.activeScenarioId, "s1");
+  assert.deepEqual(repairs, [
+    'Scenario "Typo": Cleared debts[1].interest_rate (debts[1].interest_rate: must be a number >= 0).',
+    'Scenario "Typo": Reset goal to its default (goal: must be one of speed, interest, stick).',
+  ]);
+});
@@ -0,0 +1,202 @@
+import { aprForMonth, round2, simulateStrategy } from "../engine/index.js";
+import { month1Minimum } from "./simulatePlan.js";
+
+/**
+ * Survival Mode: when bills and minimums don't fit in income, turn the
+ * shortfall into a concrete plan from the user's own numbers: which minimums
+ * to protect first, the bill cut or raise that closes the gap, and what a
+ * hardship rate on the cards would change.
+ */
+
+/** APR to suggest asking card issuers for (hardship programs often land near here). */
+export const HARDSHIP_RATE = 6;
+
+// Protect first what costs the most to miss: secured / installment debt can take the asset
+const PROTECT_TIERS = ["loan", "loc", "other", "credit_card"];
+
+const PROTECT_REASONS = {
+  loan: "Installment or secured loan: missed payments can mean repossession or default on the whole loan.",
+  loc: "Line of credit: often secured against your home, and the lender can freeze or call it.",
+  other: "Keep it current to stay out of collections.",
+  credit_card: "Unsecured: late fees and credit damage, but nothing is repossessed.",
+};
+
+const sumMinimums = (debts) => round2(debts.reduce((sum, d) => sum + month1Minimum(d), 0));
+
+/** Avalanche at a fixed payment: where the plan ends up. */
+function outlook(debts, payment) {
+  const r = simulateStrategy("avalanche", debts, () => ({ monthlyPayment: payment }));
+  return {
+    paidOff: r.paidOff,
+    monthsToDebtFree: r.monthsToDebtFree,
+    totalInterest: r.totalInterest,
+    firstYearInterest: round2(r.timeline.slice(0, 12).reduce((sum, t) => sum + t.interestThisMonth, 0)),
+  };
+}
+
+/**
+ * Build the Survival Mode plan.
+ *
+ * input: {
+ *   income, expenses: number,     // monthly
+ *   debts: EngineDebt[],          // with a balance (see toEngineDebts)
+ *   minimums?: number[],          // each debt's month-1 minimum, as the app computed it
+ *                                 // (default: month1Minimum of each debt)
+ *   hardshipRate?: number,        // APR to model on the cards (default HARDSHIP_RATE)
+ * }
+ *
+ * Returns {
+ *   income, expenses, available,  // available: income left after bills (>= 0)
+ *   minimumsTotal, billsShortfall, minimumsShortfall,
+ *   gap,                          // monthly amount that makes bills + minimums fit
+ *   protect: [{ rank, id, uid, name, type, minimum, covered, shortBy,
+ *               status: "covered" | "partial" | "uncovered", reason }],
+ *   closeGap: { billCut, billCutPercent, billCutAlone, incomeIncrease, incomeIncreasePercent },
+ *   hardship: null | {            // null when no card is above the rate
+ *     rate, debts: [{ id, uid, name, from, to }],
+ *     minimumsTotal, minimumsSaved, gap, closesGap,
+ *     before, after,              // avalanche at `available`: { paidOff, monthsToDebtFree,
+ *                                 //   totalInterest, firstYearInterest }
+ *   },
+ * }
+ */
+export function buildSurvivalPlan({ income, expenses, debts, minimums, hardshipRate = HARDSHIP_RATE }) {
+  const inc = round2(Math.max(0, income || 0));
+  const exp = round2(Math.max(0, expenses || 0));
+  const available = round2(Math.max(0, inc - exp));
+  const billsShortfall = round2(Math.max(0, exp - inc));
+
+  const ranked = debts
+    .map((d, i) => ({ d, i, minimum: minimums?.[i] ?? month1Minimum(d), tier: PROTECT_TIERS.indexOf(d.type) }))
+    .map((x) => ({ ...x, tier: x.tier === -1 ? PROTECT_TIERS.indexOf("other") : x.tier }))
+    .sort((a, b) => a.tier - b.tier || a.minimum - b.minimum || a.i - b.i);
+
+  const minimumsTotal = round2(ranked.reduce((sum, x) => sum + x.minimum, 0));
+  const minimumsShortfall = round2(Math.max(0, minimumsTotal - available));
+  const gap = round2(billsShortfall + minimumsShortfall);
+
+  // Fill minimums in priority order with what's left after bills
+  let left = available;
+  const protect = ranked.map(({ d, minimum }, i) => {
+    const covered = round2(Math.min(left, minimum));
+    left = round2(left - covered);
+    const shortBy = round2(minimum - covered);
+    return {
+      rank: i + 1,
+      id: d.id,
+      uid: d.uid,
+      name: d.name,
+      type: d.type,
+      minimum,
+      covered,
+      shortBy,
+      status: shortBy <= 0.005 ? "covered" : covered > 0 ? "partial" : "uncovered",
+      reason: PROTECT_REASONS[d.type] || PROTECT_REASONS.other,
+    };
+  });
+
+  const closeGap = {
+    billCut: gap,
+    billCutPercent: exp > 0 ? round2((gap / exp) * 100) : null,
+    billCutAlone: gap <= exp,
+    incomeIncrease: gap,
+    incomeIncreasePercent: inc > 0 ? round2((gap / inc) * 100) : null,
+  };
+
+  const rate = Math.max(0, Number(hardshipRate) || 0);
+  const cards = debts.filter((d) => d.type === "credit_card" && aprForMonth(d, 1) > rate);
+  let hardship = null;
+  if (cards.length) {
+    const relief = debts.map((d) => (cards.includes(d) ? { ...d, interest_rate: rate, promo: null, rate_changes: [] } : d));
+    const reliefMinimums = sumMinimums(relief);
+    const reliefGap = round2(Math.max(0, exp + reliefMinimums - inc));
+    hardship = {
+      rate,
+      debts: cards.map((d) => ({ id: d.id, uid: d.uid, name: d.name, from: aprForMonth(d, 1), to: rate })),
+      minimumsTotal: reliefMinimums,
+      minimumsSaved: round2(minimumsTotal - reliefMinimums),
+      gap: reliefGap,
+      closesGap: gap > 0 && reliefGap <= 0.005,
+      before: outlook(debts, available),
+      after: outlook(relief, available),
+    };
+  }
+
+  return {
+    income: inc,
+    expenses: exp,
+    available,
+    minimumsTotal,
+    billsShortfall,
+    minimumsShortfall,
+    gap,
+    protect,
+    closeGap,
+    hardship,
+  };
+}
+
+/**
+ * The plan as ordered, plain-language steps (shared by the screen and the PDF).
+ * formatMoney(n) formats a dollar amount without the "$".
+ */
+export function survivalSteps(plan, formatMoney) {
+  const money = (n) => `$${formatMoney(n)}`;
+  const names = (list) => {
+    const all = list.map((x) => x.name);
+    return all.length > 1 ? `${all.slice(0, -1).join(", ")} and ${all.at(-1)}` : all.join("");
+  };
+  const steps = [];
+
+  if (plan.billsShortfall > 0) {
+    steps.push(
+      `Cover essential bills first: you're ${money(plan.billsShortfall)}/month short before any debt payment. ` +
+        "Pause anything that isn't housing, food, utilities, transport to work or insurance."
+    );
+  }
+
+  if (plan.protect.length) {
+    steps.push(
+      plan.available > 0
+        ? `Protect minimums in this order with the ${money(plan.available)}/month left after bills: ${names(plan.protect)}.`
+        : `When money frees up, protect minimums in this order: ${names(plan.protect)}.`
+    );
+  }
+
+  if (plan.gap > 0) {
+    const { billCut, billCutPercent, billCutAlone, incomeIncrease, incomeIncreasePercent } = plan.closeGap;
+    const cut = `cut bills by ${money(billCut)}/month${billCutPercent != null ? ` (${formatMoney(billCutPercent)}% of your bills)` : ""}`;
+    const raise = `raise income by ${money(incomeIncrease)}/month${
+      incomeIncreasePercent != null ? ` (${formatMoney(incomeIncreasePercent)}% more)` : ""
+    }`;
+    steps.push(
+      billCutAlone
+        ? `Close the ${money(plan.gap)}/month gap: ${cut}, or ${raise}, or a mix of both.`
+        : `Close the ${money(plan.gap)}/month gap: it's more than all your bills, so ${raise}.`
+    );
+  }
+
+  const h = plan.hardship;
+  if (h && h.minimumsSaved > 0) {
+    const effect = h.closesGap
+      ? "enough to close the gap"
+      : plan.gap > 0
+      ? `leaving a ${money(h.gap)}/month gap`
+      : "more room every month";
+    steps.push(
+      `Call ${names(h.debts)} and ask for a hardship rate of ${formatMoney(h.rate)}%: ` +
+        `minimums drop by ${money(h.minimumsSaved)}/month, ${effect}.`
+    );
+  }
+
+  const behind = plan.protect.filter((p) => p.status !== "covered");
+  if (behind.length) {
+    steps.push(
+      `Contact ${names(behind)} before a payment is missed and ask about a reduced payment or forbearance; ` +
+        "lenders have more options before an account is late."
+    );
+  }
+
+  steps.push("Once bills and minimums fit, ClearPath unlocks strategy comparisons and the payoff timeline.");
+  return steps;
+}
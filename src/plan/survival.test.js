@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { month1Minimum } from "./simulatePlan.js";
+import { buildSurvivalPlan, survivalSteps } from "./survival.js";
+
+const DEBTS = [
+  { id: 0, uid: "visa", name: "Visa", type: "credit_card", balance: 6000, interest_rate: 24.99 },
+  { id: 1, uid: "car", name: "Car loan", type: "loan", balance: 12000, interest_rate: 7, original_term: 60, remaining_months: 48 },
+  { id: 2, uid: "store", name: "Store card", type: "credit_card", balance: 1500, interest_rate: 29.99 },
+];
+
+const money = (n) => n.toFixed(2);
+
+test("secured loans are protected before cards, and the money runs out on the last one", () => {
+  const plan = buildSurvivalPlan({ income: 3000, expenses: 2600, debts: DEBTS });
+
+  assert.equal(plan.available, 400);
+  assert.deepEqual(plan.protect.map((p) => p.uid), ["car", "store", "visa"]);
+  assert.deepEqual(plan.protect.map((p) => p.status), ["covered", "covered", "partial"]);
+  assert.equal(plan.gap, plan.minimumsShortfall);
+  assert.equal(plan.protect.at(-1).shortBy, plan.gap);
+  assert.equal(plan.closeGap.billCut, plan.gap);
+  assert.equal(plan.closeGap.billCutPercent, Math.round((plan.gap / 2600) * 10000) / 100);
+});
+
+test("minimums passed in are the ones the plan protects", () => {
+  const minimums = [150, 300, 50];
+  const plan = buildSurvivalPlan({ income: 3000, expenses: 2600, debts: DEBTS, minimums });
+
+  assert.equal(plan.minimumsTotal, 500);
+  assert.deepEqual(
+    plan.protect.map((p) => [p.uid, p.minimum]),
+    [["car", 300], ["store", 50], ["visa", 150]]
+  );
+  assert.equal(plan.gap, 100);
+});
+
+test("default minimums follow the override floor and month-1 fees", () => {
+  const visa = DEBTS[0];
+  const plain = month1Minimum(visa);
+  assert.equal(month1Minimum({ ...visa, min_floor_enabled: true, min_floor: plain + 100 }), plain + 100);
+  const byFormula = { ...visa, min_formula: "interest_fees_1pct" };
+  assert.equal(month1Minimum({ ...byFormula, fees: [{ kind: "monthly", amount: 10 }] }), month1Minimum(byFormula) + 10);
+
+  const plan = buildSurvivalPlan({ income: 3000, expenses: 2600, debts: DEBTS });
+  assert.equal(plan.minimumsTotal, Math.round(DEBTS.reduce((sum, d) => sum + month1Minimum(d), 0) * 100) / 100);
+});
+
+test("a hardship rate lowers card minimums and the interest on the way out", () => {
+  const plan = buildSurvivalPlan({ income: 3000, expenses: 2600, debts: DEBTS, hardshipRate: 0 });
+  const h = plan.hardship;
+
+  assert.deepEqual(h.debts.map((d) => d.uid), ["visa", "store"]);
+  assert.ok(h.minimumsSaved > 0);
+  assert.equal(h.gap, Math.max(0, Math.round((2600 + h.minimumsTotal - 3000) * 100) / 100));
+  assert.ok(h.after.totalInterest < h.before.totalInterest);
+  assert.ok(h.after.monthsToDebtFree <= h.before.monthsToDebtFree);
+});
+
+test("no hardship option when no card is above the rate", () => {
+  const debts = DEBTS.filter((d) => d.type !== "credit_card");
+  assert.equal(buildSurvivalPlan({ income: 1000, expenses: 900, debts }).hardship, null);
+});
+
+test("bills over income come first in the steps and leave every minimum uncovered", () => {
+  const plan = buildSurvivalPlan({ income: 2000, expenses: 2300, debts: DEBTS });
+  const steps = survivalSteps(plan, money);
+
+  assert.equal(plan.billsShortfall, 300);
+  assert.equal(plan.gap, Math.round((300 + plan.minimumsTotal) * 100) / 100);
+  assert.ok(plan.protect.every((p) => p.status === "uncovered"));
+  assert.match(steps[0], /\$300\.00\/month short/);
+  assert.ok(steps.some((s) => s.includes("Call Visa and Store card")));
+  assert.match(steps.at(-1), /unlocks/);
+});